@@ -0,0 +1,64 @@
+// scripts/webhook-receiver.js
+// Minimal local endpoint for trying out webhooks: logs every delivery and
+// checks its signature. Register http://localhost:4000/ as the webhook url,
+// then run with the secret you were given:
+//
+//   WEBHOOK_SECRET=whsec_... npm run webhook-receiver
+//
+// The backend only calls public hosts; start it with WEBHOOKS_ALLOW_PRIVATE=true
+// (local development only) so it will deliver to localhost.
+//
+// FAIL_RATE=0.5 answers half of the deliveries with a 500, to watch the retries.
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT || '4000', 10);
+const SECRET = process.env.WEBHOOK_SECRET || '';
+const FAIL_RATE = parseFloat(process.env.FAIL_RATE || '0');
+// refuse deliveries signed longer ago than this (replays)
+const TOLERANCE_S = 5 * 60;
+
+// same scheme as services/webhooks.js: sha256=HMAC(secret, "<timestamp>.<body>")
+const verify = (req, body) => {
+  const timestamp = req.headers['x-taskpilot-timestamp'] || '';
+  const signature = req.headers['x-taskpilot-signature'] || '';
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_S) return 'stale timestamp';
+
+  const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+  const a = Buffer.from(signature);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b) ? null : 'bad signature';
+};
+
+http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const event = req.headers['x-taskpilot-event'];
+    const problem = SECRET ? verify(req, body) : null;
+
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url} ${event || '-'} (delivery ${req.headers['x-taskpilot-delivery'] || '-'})`);
+    if (problem) {
+      console.log(`  rejected: ${problem}`);
+      res.writeHead(401, { 'Content-Type': 'text/plain' });
+      return res.end(problem);
+    }
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+
+    if (Math.random() < FAIL_RATE) {
+      console.log('  answering 500 (FAIL_RATE)');
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      return res.end('simulated failure');
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  });
+}).listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}/`);
+  if (!SECRET) console.log('WEBHOOK_SECRET is not set: signatures are not checked');
+});
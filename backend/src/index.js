@@ -4,9 +4,16 @@ const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/db');
 const routes = require('./routes');
+const { startTrashPurge } = require('./services/cleanup');
+const { startWebhookRetries } = require('./services/webhooks');
+const { migrateTaskStatuses } = require('./services/workflow');
 
 const app = express();
 
+// behind a reverse proxy, take the client address from X-Forwarded-For
+// (the rate limits key on it); TRUST_PROXY is the number of proxy hops
+if (process.env.TRUST_PROXY) app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10));
+
 // middleware
 app.use(cors());
 app.use(express.json());
@@ -23,6 +30,11 @@ const PORT = process.env.PORT || 5000;
 (async () => {
   try {
     await connectDB();
+    // tasks from before workflow statuses existed get one, so ?status= filters find them
+    const migrated = await migrateTaskStatuses();
+    if (migrated) console.log(`Gave statuses to the tasks of ${migrated} lists`);
+    startTrashPurge();
+    startWebhookRetries();
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
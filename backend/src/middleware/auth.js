@@ -1,19 +1,50 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const JWT_SECRET = process.env.JWT_SECRET || 'change_this_to_a_long_secret';
+const { verifyAccessToken, isSessionActive } = require('../services/sessions');
+const { isApiToken, findApiToken } = require('../services/apiTokens');
+
+// Bearer <personal API token>: the user it belongs to, limited to its scopes
+// (see middleware/scopes.js). req.apiToken is only set on this path.
+const apiTokenAuth = async (token, req, res, next) => {
+  try {
+    const apiToken = await findApiToken(token);
+    if (!apiToken) return res.status(401).json({ message: 'Invalid token' });
+
+    const user = await User.findById(apiToken.user).select('-password');
+    if (!user) return res.status(401).json({ message: 'Invalid token' });
+    req.user = user;
+    req.apiToken = apiToken;
+    req.sessionId = null;
+    req.tokenExpiresAt = apiToken.expiresAt ? apiToken.expiresAt.getTime() : null;
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
 
 module.exports = async (req, res, next) => {
   const authHeader = req.headers.authorization || '';
   const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
   if (!token) return res.status(401).json({ message: 'No token provided' });
+  if (isApiToken(token)) return apiTokenAuth(token, req, res, next);
 
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = verifyAccessToken(token);
+
+    // access tokens are tied to a session so logout/revocation takes effect immediately
+    if (decoded.sid && !(await isSessionActive(decoded.id, decoded.sid))) {
+      return res.status(401).json({ message: 'Session revoked' });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
     if (!user) return res.status(401).json({ message: 'Invalid token' });
     req.user = user;
+    req.apiToken = null;
+    req.sessionId = decoded.sid || null;
+    req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
     next();
   } catch (err) {
-    return res.status(401).json({ message: 'Invalid token' });
+    const message = err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
+    return res.status(401).json({ message });
   }
 };
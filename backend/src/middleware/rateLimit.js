@@ -0,0 +1,108 @@
+const { createLimiter } = require('../services/limiter');
+
+const MINUTE = 60 * 1000;
+const ACCOUNT_LOCK_AFTER = parseInt(process.env.ACCOUNT_LOCK_AFTER || '10', 10);
+const ACCOUNT_LOCK_MINUTES = parseInt(process.env.ACCOUNT_LOCK_MINUTES || '15', 10);
+
+// failed logins from one address, whatever account they target
+const loginIp = createLimiter({ name: 'login-ip', windowMs: 15 * MINUTE, free: 20, maxDelayMs: 15 * MINUTE });
+
+// failed logins against one account: short backoff first, then a temporary lockout
+const loginAccount = createLimiter({
+  name: 'login-account',
+  windowMs: ACCOUNT_LOCK_MINUTES * MINUTE,
+  free: 3,
+  maxDelayMs: MINUTE,
+  lockAfter: ACCOUNT_LOCK_AFTER,
+  lockMs: ACCOUNT_LOCK_MINUTES * MINUTE,
+});
+
+// sign-ups from one address, successful or not
+const registerIp = createLimiter({ name: 'register-ip', windowMs: 60 * MINUTE, free: 10, maxDelayMs: 60 * MINUTE });
+
+// password reset and verification mails: per address, and per inbox so nobody can flood one
+const emailIp = createLimiter({ name: 'account-email-ip', windowMs: 60 * MINUTE, free: 10, maxDelayMs: 60 * MINUTE });
+const emailAccount = createLimiter({ name: 'account-email', windowMs: 60 * MINUTE, free: 3, maxDelayMs: 60 * MINUTE });
+
+const ipOf = (req) => req.ip || 'unknown';
+const accountOf = (req) => String(req.body.email || '').trim().toLowerCase();
+
+const describeWait = (seconds) => (seconds < 90
+  ? `${seconds} second${seconds === 1 ? '' : 's'}`
+  : `${Math.ceil(seconds / 60)} minutes`);
+
+/**
+ * Helper - send the 429 for a wait of `ms`
+ */
+const sendTooMany = (res, ms, message = 'Too many attempts') => {
+  const retryAfter = Math.ceil(ms / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: `${message}. Try again in ${describeWait(retryAfter)}.`,
+    code: 'RATE_LIMITED',
+    retryAfter,
+  });
+};
+
+// longest wait among [limiter, id] pairs (empty ids are skipped)
+const longestWait = async (pairs, method) => {
+  const waits = await Promise.all(pairs.filter(([, id]) => id).map(([limiter, id]) => limiter[method](id)));
+  return Math.max(0, ...waits);
+};
+
+/**
+ * Refuse login attempts while the address or the account is blocked.
+ */
+const loginGate = async (req, res, next) => {
+  try {
+    const wait = await longestWait([[loginIp, ipOf(req)], [loginAccount, accountOf(req)]], 'retryAfter');
+    if (wait) return sendTooMany(res, wait);
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Count a failed login against the address and the account.
+ * Returns the wait it earned, 0 when the next attempt may go ahead at once.
+ */
+const recordLoginFailure = (req) => longestWait([[loginIp, ipOf(req)], [loginAccount, accountOf(req)]], 'hit');
+
+// the right password clears the account's failures (not the address's)
+const recordLoginSuccess = (req) => loginAccount.reset(accountOf(req));
+
+/**
+ * Count every sign-up attempt per address and refuse the ones over the limit.
+ */
+const registerGate = async (req, res, next) => {
+  try {
+    const ip = ipOf(req);
+    const wait = (await registerIp.retryAfter(ip)) || (await registerIp.hit(ip));
+    if (wait) return sendTooMany(res, wait, 'Too many sign-ups from this address');
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Count every request for an account email (reset link, new verification link)
+ * per address and per inbox, whether or not the account exists, and refuse
+ * the ones over the limit.
+ */
+const accountEmailGate = async (req, res, next) => {
+  try {
+    const pairs = [[emailIp, ipOf(req)], [emailAccount, accountOf(req)]];
+    const wait = (await longestWait(pairs, 'retryAfter')) || (await longestWait(pairs, 'hit'));
+    if (wait) return sendTooMany(res, wait, 'Too many emails requested');
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = { loginGate, recordLoginFailure, recordLoginSuccess, registerGate, accountEmailGate, sendTooMany };
@@ -0,0 +1,31 @@
+const { hasScope } = require('../services/apiTokens');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Limit personal API tokens on a group of routes: reading needs
+ * "<resource>:read", anything else "<resource>:write". `readOnly` lists the
+ * other routes that write nothing, as "<METHOD> <path below the mount point>"
+ * (e.g. "POST /parse"). Requests made with a login (JWT) are not limited.
+ * Goes after the auth middleware.
+ */
+const requireScope = (resource, { readOnly = [] } = {}) => (req, res, next) => {
+  if (!req.apiToken) return next();
+  const reads = READ_METHODS.includes(req.method) || readOnly.includes(`${req.method} ${req.path}`);
+  const scope = `${resource}:${reads ? 'read' : 'write'}`;
+  if (!hasScope(req.apiToken, scope)) {
+    return res.status(403).json({ message: `This token lacks the ${scope} scope`, code: 'INSUFFICIENT_SCOPE', scope });
+  }
+  next();
+};
+
+/**
+ * Routes API tokens can't use at all: sessions and token management, so a
+ * leaked token can't mint new tokens or log the user out.
+ */
+const loginOnly = (req, res, next) => {
+  if (req.apiToken) return res.status(403).json({ message: 'Not available with an API token' });
+  next();
+};
+
+module.exports = { requireScope, loginOnly };
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const PURPOSES = ['verify-email', 'reset-password'];
+
+// One-time tokens sent by email. Like refresh tokens, only the sha256 hash is
+// stored; a token is spent by setting usedAt.
+const AccountTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  purpose: { type: String, enum: PURPOSES, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+// expired tokens are useless; let mongo remove them
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+AccountTokenSchema.statics.PURPOSES = PURPOSES;
+
+module.exports = mongoose.model('AccountToken', AccountTokenSchema);
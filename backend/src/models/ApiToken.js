@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// what a personal API token may do; "<resource>:write" includes reading
+const SCOPES = ['tasks:read', 'tasks:write', 'projects:read', 'projects:write', 'tags:read', 'tags:write', 'webhooks:read', 'webhooks:write'];
+
+// Personal access tokens for scripts and integrations. Like refresh tokens,
+// only the sha256 hash is stored; the raw token is shown once, at creation.
+const ApiTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  // first characters of the token, so the user can tell their tokens apart
+  prefix: { type: String, required: true },
+  tokenHash: { type: String, required: true, unique: true, select: false },
+  scopes: { type: [{ type: String, enum: SCOPES }], required: true },
+  expiresAt: { type: Date, default: null }, // null = never
+  lastUsedAt: { type: Date, default: null },
+  revokedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+ApiTokenSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('ApiToken', ApiTokenSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const AttachmentSchema = new mongoose.Schema({
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+  uploader: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  filename: { type: String, required: true, trim: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  // where the storage backend keeps the bytes; never sent to clients
+  storageKey: { type: String, required: true, select: false },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.storageKey;
+      return ret;
+    },
+  },
+});
+
+AttachmentSchema.index({ task: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Attachment', AttachmentSchema);
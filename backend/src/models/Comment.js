@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+const CommentSchema = new mongoose.Schema({
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  body: { type: String, required: true, trim: true, maxlength: 5000 },
+  editedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+CommentSchema.index({ task: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', CommentSchema);
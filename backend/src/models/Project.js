@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const WorkflowStatusSchema = require('./WorkflowStatus');
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+const MemberSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, enum: ROLES, default: 'editor' },
+}, { _id: false });
+
+const ProjectSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: '', trim: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  members: { type: [MemberSchema], default: [] },
+  // workflow for the project's tasks; empty means the default columns
+  statuses: { type: [WorkflowStatusSchema], default: undefined },
+}, { timestamps: true });
+
+ProjectSchema.index({ 'members.user': 1 });
+
+// role of a user in this project, or null when they are not a member
+ProjectSchema.methods.roleOf = function (userId) {
+  const member = this.members.find(m => String(m.user._id || m.user) === String(userId));
+  return member ? member.role : null;
+};
+
+ProjectSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('Project', ProjectSchema);
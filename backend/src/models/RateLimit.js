@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// One counter of the Mongo limiter store (services/limiter/mongo.js), shared by
+// every backend replica. `key` is "<limit name>:<ip or email>".
+const RateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  hits: { type: Number, default: 0 },
+  windowEndsAt: { type: Date, required: true },
+  blockedUntil: { type: Date, default: null },
+  expiresAt: { type: Date, required: true },
+});
+
+// a counter is dead once its window and its block are both over
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
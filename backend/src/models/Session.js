@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One document per login. The refresh token itself is never stored, only its
+// sha256 hash, and the hash is replaced every time the token is rotated.
+const SessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true },
+  previousHash: { type: String, default: null },
+  rotatedAt: { type: Date, default: null },
+  userAgent: { type: String, default: '' },
+  ip: { type: String, default: '' },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+// let mongo clean up sessions once the refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const TagSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  color: { type: String, default: '#6b7280', trim: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+}, { timestamps: true });
+
+// tag names are unique per user, ignoring case ("Bug" and "bug" are the same tag)
+TagSchema.index(
+  { owner: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+TagSchema.statics.COLLATION = { locale: 'en', strength: 2 };
+
+module.exports = mongoose.model('Tag', TagSchema);
@@ -1,10 +1,129 @@
 const mongoose = require('mongoose');
 
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// string priorities don't sort meaningfully, so we keep a numeric twin for sorting
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3, urgent: 4 };
+
+// what task lists may be sorted by (API name -> stored field); nothing else is accepted
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  dueDate: 'dueDate',
+  priority: 'priorityRank',
+  title: 'title',
+};
+
+// a step of the task's checklist; array order is display order
+const ChecklistItemSchema = new mongoose.Schema({
+  text: { type: String, required: true, trim: true },
+  done: { type: Boolean, default: false },
+  doneAt: { type: Date, default: null },
+}, { id: false });
+
+// see services/recurrence.js for how these fields are interpreted
+const RecurrenceSchema = new mongoose.Schema({
+  freq: { type: String, enum: ['daily', 'weekly', 'monthly', 'yearly'], required: true },
+  interval: { type: Number, default: 1, min: 1 },
+  byWeekday: { type: [Number], default: [] },
+  byMonthDay: { type: Number, default: null },
+  weekOfMonth: { type: Number, default: null },
+  until: { type: Date, default: null },
+  count: { type: Number, default: null },
+  tzOffset: { type: Number, default: 0 },
+}, { _id: false });
+
 const TaskSchema = new mongoose.Schema({
   title: { type: String, required: true, trim: true },
   description: { type: String, default: '', trim: true },
+  // key of a status in the workflow of the task's project (or owner); completed
+  // mirrors whether that status is a done one, for filters and older clients
+  status: { type: String, default: null },
   completed: { type: Boolean, default: false },
+  dueDate: { type: Date, default: null },
+  priority: { type: String, enum: PRIORITIES, default: 'medium' },
+  priorityRank: { type: Number, default: PRIORITY_RANK.medium },
   owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-}, { timestamps: true });
+  // null for personal tasks, otherwise the shared project the task lives in
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+  items: { type: [ChecklistItemSchema], default: [] },
+  tags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+  recurrence: { type: RecurrenceSchema, default: null },
+  // later occurrences of a recurring task point at the first one (which has null here)
+  seriesId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  occurrence: { type: Number, default: 1 },
+  spawnedNext: { type: Boolean, default: false },
+  // tasks that have to be done before this one (same project, or the same owner's
+  // personal tasks); see services/dependencies.js
+  blockedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
+  // set when the task is moved to the trash; purged for good TRASH_RETENTION_DAYS later
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // bumped by every write; the API sends it as the task's ETag for conditional updates
+  version: { type: Number, default: 0 },
+}, {
+  timestamps: true,
+  id: false,
+  toJSON: { virtuals: true },
+});
+
+// e.g. { done: 3, total: 5 } — shown as a progress bar on the task card
+TaskSchema.virtual('progress').get(function () {
+  const items = this.items || [];
+  return { done: items.filter(i => i.done).length, total: items.length };
+});
+
+// one pair per sortable field: personal lists filter on owner + project, project
+// lists on project; _id is the tie-break the list cursors rely on
+Object.values(SORT_FIELDS).forEach(field => {
+  TaskSchema.index({ owner: 1, project: 1, [field]: -1, _id: -1 });
+  TaskSchema.index({ project: 1, [field]: -1, _id: -1 });
+});
+TaskSchema.index({ project: 1, status: 1 });
+TaskSchema.index({ owner: 1, dueDate: 1 });
+TaskSchema.index({ tags: 1 });
+// what a task is blocking is looked up through this
+TaskSchema.index({ blockedBy: 1 });
+// only trashed tasks are indexed: backs the trash view and the purge job
+TaskSchema.index({ deletedAt: -1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+// backs ?q= on the list endpoint; a title hit counts more than a description hit
+TaskSchema.index(
+  { title: 'text', description: 'text' },
+  { weights: { title: 3, description: 1 }, name: 'task_text' }
+);
+
+// tags are always shown as chips, so every task query brings their name and colour along
+TaskSchema.pre(['find', 'findOne', 'findOneAndUpdate'], function () {
+  this.populate('tags', 'name color');
+});
+
+// trashed tasks are invisible to every read unless the query asks about deletedAt itself
+// (the trash view, restore, purge). Bulk writes like updateMany still reach them.
+TaskSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments'], function () {
+  if (this.getFilter().deletedAt === undefined) this.where({ deletedAt: null });
+});
+
+// bump version on every write, whichever route or service makes it
+TaskSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return;
+  this.setUpdate({ ...update, $inc: { ...update.$inc, version: 1 } });
+});
+
+TaskSchema.pre('save', function () {
+  if (!this.isNew && this.isModified()) this.version = (this.version || 0) + 1;
+});
+
+// filter matching a task still at the version it was read at
+// (tasks saved before versions existed have none, which reads as 0)
+TaskSchema.statics.atVersion = (task) => ({
+  _id: task._id,
+  version: task.version ? task.version : { $in: [0, null] },
+});
+
+TaskSchema.statics.PRIORITIES = PRIORITIES;
+TaskSchema.statics.PRIORITY_RANK = PRIORITY_RANK;
+TaskSchema.statics.SORT_FIELDS = SORT_FIELDS;
 
 module.exports = mongoose.model('Task', TaskSchema);
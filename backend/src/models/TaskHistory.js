@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const ACTIONS = ['create', 'update', 'complete', 'reopen', 'delete', 'restore'];
+
+const ChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  from: { type: mongoose.Schema.Types.Mixed, default: null },
+  to: { type: mongoose.Schema.Types.Mixed, default: null },
+}, { _id: false });
+
+// One entry per change to a task. Entries outlive the task so deletions stay auditable.
+const TaskHistorySchema = new mongoose.Schema({
+  task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  action: { type: String, enum: ACTIONS, required: true },
+  changes: { type: [ChangeSchema], default: [] },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+TaskHistorySchema.index({ task: 1, createdAt: -1 });
+
+TaskHistorySchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('TaskHistory', TaskHistorySchema);
@@ -1,9 +1,15 @@
 const mongoose = require('mongoose');
+const WorkflowStatusSchema = require('./WorkflowStatus');
 
 const UserSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   email: { type: String, required: true, unique: true, lowercase: true, trim: true },
   password: { type: String, required: true },
+  // false until the address is confirmed; accounts from before verification existed
+  // don't have the field and count as verified
+  emailVerified: { type: Boolean },
+  // workflow for personal tasks; empty means the default columns
+  statuses: { type: [WorkflowStatusSchema], default: undefined },
 }, { timestamps: true });
 
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// what a webhook can subscribe to; task.completed fires alongside task.updated
+const EVENTS = ['task.created', 'task.updated', 'task.completed', 'task.deleted'];
+
+// An HTTP endpoint that is told about task events. It covers one project's
+// tasks, or with project null its owner's personal tasks.
+const WebhookSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+  url: { type: String, required: true, trim: true },
+  description: { type: String, default: '', trim: true, maxlength: 200 },
+  events: { type: [{ type: String, enum: EVENTS }], required: true },
+  // signs every payload (HMAC-SHA256); the receiver holds the same secret
+  secret: { type: String, required: true, select: false },
+  active: { type: Boolean, default: true },
+}, { timestamps: true });
+
+WebhookSchema.index({ project: 1, owner: 1, active: 1 });
+
+WebhookSchema.statics.EVENTS = EVENTS;
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'success', 'failed'];
+
+// how long the delivery log keeps an entry
+const LOG_DAYS = 30;
+
+// One payload sent (or being retried) to a webhook. pending deliveries are
+// picked up again at nextAttemptAt; failed ones gave up after the last retry.
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: null },
+  // outcome of the latest attempt
+  responseStatus: { type: Number, default: null },
+  responseBody: { type: String, default: '' },
+  error: { type: String, default: null },
+  durationMs: { type: Number, default: null },
+  deliveredAt: { type: Date, default: null },
+  // set on copies made by "redeliver"
+  redeliveryOf: { type: mongoose.Schema.Types.ObjectId, default: null },
+}, { timestamps: true });
+
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: LOG_DAYS * 24 * 60 * 60 });
+
+WebhookDeliverySchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
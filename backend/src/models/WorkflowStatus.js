@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// One column of a workflow, embedded in a User (personal tasks) or a Project.
+// Not a collection of its own. See services/workflow.js.
+const WorkflowStatusSchema = new mongoose.Schema({
+  key: { type: String, required: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  // tasks in a done status count as completed
+  done: { type: Boolean, default: false },
+}, { _id: false });
+
+module.exports = WorkflowStatusSchema;
@@ -0,0 +1,91 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const router = express.Router();
+const ApiToken = require('../models/ApiToken');
+const { createApiToken } = require('../services/apiTokens');
+
+const MAX_ACTIVE_TOKENS = 20;
+
+/**
+ * Helper - send validation errors (DRY)
+ */
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array().map(e => ({ param: e.param, msg: e.msg })) });
+  }
+  return null;
+};
+
+// GET /api/tokens -> the user's personal API tokens, newest first (never the tokens themselves)
+router.get('/', async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json({ tokens, scopes: ApiToken.SCOPES });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/tokens -> create a token. Body: { name, scopes: [...], expiresInDays: 1-365 | null (never) }
+// The response is the only time the token is shown.
+router.post(
+  '/',
+  body('name').isString().trim().notEmpty().withMessage('name is required')
+    .isLength({ max: 60 }).withMessage('name must be at most 60 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('pick at least one scope'),
+  body('scopes.*').isIn(ApiToken.SCOPES).withMessage(`scopes must be among ${ApiToken.SCOPES.join(', ')}`),
+  body('expiresInDays').optional({ values: 'null' }).isInt({ min: 1, max: 365 }).withMessage('expiresInDays must be between 1 and 365'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const active = await ApiToken.countDocuments({
+        user: req.user._id,
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+      });
+      if (active >= MAX_ACTIVE_TOKENS) {
+        return res.status(400).json({ message: `At most ${MAX_ACTIVE_TOKENS} tokens can be active; revoke one first` });
+      }
+
+      const { name, scopes, expiresInDays } = req.body;
+      const { token, apiToken } = await createApiToken(req.user._id, {
+        name,
+        scopes,
+        expiresInDays: expiresInDays ? parseInt(expiresInDays, 10) : null,
+      });
+      res.status(201).json({ token, apiToken });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// DELETE /api/tokens/:id -> revoke a token; scripts using it stop working at once
+router.delete(
+  '/:id',
+  param('id').isMongoId().withMessage('invalid token id'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const apiToken = await ApiToken.findOneAndUpdate(
+        { _id: req.params.id, user: req.user._id, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      );
+      if (!apiToken) return res.status(404).json({ message: 'Token not found' });
+      res.json({ message: 'Token revoked', apiToken });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
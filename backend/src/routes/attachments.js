@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const { param, validationResult } = require('express-validator');
+const router = express.Router({ mergeParams: true });
+const Attachment = require('../models/Attachment');
+const { loadTask } = require('../services/permissions');
+const { getStorage } = require('../services/storage');
+
+const MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES || String(10 * 1024 * 1024), 10);
+const MAX_FILES = 10;
+const ALLOWED_TYPES = (process.env.ATTACHMENT_MIME_TYPES
+  || 'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/csv')
+  .split(',')
+  .map(t => t.trim());
+
+// served inline (thumbnails, pdf preview); everything else is forced to download
+const INLINE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf'];
+
+/**
+ * Helper - send validation errors (DRY)
+ */
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array().map(e => ({ param: e.param, msg: e.msg })) });
+  }
+  return null;
+};
+
+// multer storage engine that streams each upload straight into the storage backend
+const storageEngine = {
+  _handleFile(req, file, cb) {
+    const key = `${req.task._id}/${crypto.randomBytes(16).toString('hex')}`;
+    getStorage().write(key, file.stream)
+      .then(size => cb(null, { storageKey: key, size }))
+      .catch(cb);
+  },
+  _removeFile(req, file, cb) {
+    getStorage().remove(file.storageKey).then(() => cb(null), cb);
+  },
+};
+
+const upload = multer({
+  storage: storageEngine,
+  limits: { fileSize: MAX_BYTES, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_TYPES.includes(file.mimetype)) return cb(null, true);
+    const err = new Error(`File type ${file.mimetype} is not allowed`);
+    err.status = 415;
+    cb(err);
+  },
+}).array('files', MAX_FILES);
+
+// multer error -> HTTP status
+const uploadErrorStatus = (err) => {
+  if (err.status) return err.status;
+  if (err.code === 'LIMIT_FILE_SIZE') return 413;
+  if (err instanceof multer.MulterError) return 400;
+  return 500;
+};
+
+/**
+ * Validate, then load the task into req.task with at least `minRole`.
+ */
+const withTask = (minRole) => async (req, res, next) => {
+  const vErr = handleValidation(req, res);
+  if (vErr) return;
+
+  try {
+    const { task, status, message } = await loadTask(req.params.id, req.user._id, minRole);
+    if (!task) return res.status(status).json({ message });
+    req.task = task;
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const taskId = param('id').isMongoId().withMessage('invalid task id');
+const attachmentId = param('attachmentId').isMongoId().withMessage('invalid attachment id');
+
+// GET /api/tasks/:id/attachments -> metadata of the task's files
+router.get('/', taskId, withTask('viewer'), async (req, res) => {
+  try {
+    const attachments = await Attachment.find({ task: req.task._id })
+      .sort({ createdAt: 1 })
+      .populate('uploader', 'name');
+    res.json({ attachments });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/tasks/:id/attachments -> multipart upload, field name "files" (up to 10 at once)
+router.post('/', taskId, withTask('editor'), (req, res) => {
+  upload(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      const status = uploadErrorStatus(uploadErr);
+      if (status === 500) console.error(uploadErr);
+      const message = uploadErr.code === 'LIMIT_FILE_SIZE'
+        ? `File is larger than ${Math.round(MAX_BYTES / 1024 / 1024)} MB`
+        : status === 500 ? 'Server error' : uploadErr.message;
+      return res.status(status).json({ message });
+    }
+
+    const files = req.files || [];
+    if (!files.length) return res.status(400).json({ message: 'No files uploaded' });
+
+    try {
+      const attachments = await Attachment.insertMany(files.map(f => ({
+        task: req.task._id,
+        uploader: req.user._id,
+        filename: f.originalname,
+        mimeType: f.mimetype,
+        size: f.size,
+        storageKey: f.storageKey,
+      })));
+
+      res.status(201).json({ attachments });
+    } catch (err) {
+      console.error(err);
+      await Promise.all(files.map(f => getStorage().remove(f.storageKey).catch(() => {})));
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+});
+
+// GET /api/tasks/:id/attachments/:attachmentId/download -> stream the file (same auth as the task)
+router.get('/:attachmentId/download', taskId, attachmentId, withTask('viewer'), async (req, res) => {
+  try {
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, task: req.task._id })
+      .select('+storageKey');
+    if (!attachment) return res.status(404).json({ message: 'Attachment not found' });
+
+    let stream;
+    try {
+      stream = await getStorage().read(attachment.storageKey);
+    } catch (err) {
+      return res.status(404).json({ message: 'File missing from storage' });
+    }
+
+    const disposition = INLINE_TYPES.includes(attachment.mimeType) ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=3600',
+    });
+
+    stream.on('error', (err) => {
+      console.error(err);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /api/tasks/:id/attachments/:attachmentId -> remove the file and its metadata
+router.delete('/:attachmentId', taskId, attachmentId, withTask('editor'), async (req, res) => {
+  try {
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, task: req.task._id })
+      .select('+storageKey');
+    if (!attachment) return res.status(404).json({ message: 'Attachment not found' });
+
+    await getStorage().remove(attachment.storageKey);
+    await attachment.deleteOne();
+    res.json({ message: 'Attachment deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
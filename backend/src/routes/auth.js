@@ -1,11 +1,39 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const auth = require('../middleware/auth');
+const { loginOnly } = require('../middleware/scopes');
+const {
+  loginGate,
+  recordLoginFailure,
+  recordLoginSuccess,
+  registerGate,
+  accountEmailGate,
+  sendTooMany,
+} = require('../middleware/rateLimit');
+const {
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} = require('../services/sessions');
+const { consumeAccountToken } = require('../services/accountTokens');
+const { revokeAllApiTokens } = require('../services/apiTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'change_this_to_a_long_secret';
+// with this on (the default), unverified accounts can't log in
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION !== 'false';
+
+const isVerified = (user) => user.emailVerified !== false;
+
+const publicUser = (user) => ({ id: user._id, name: user.name, email: user.email, emailVerified: isVerified(user) });
+
+// sending mail must not break the request that triggered it; the user can ask again
+const sendQuietly = (send, user) => send(user).catch(err => console.error('Failed to send email:', err));
 
 const handleValidation = (req, res) => {
   const errors = validationResult(req);
@@ -21,6 +49,7 @@ router.post(
   body('name').isString().trim().notEmpty().withMessage('name is required'),
   body('email').isEmail().withMessage('valid email is required'),
   body('password').isLength({ min: 6 }).withMessage('password must be at least 6 characters'),
+  registerGate,
   async (req, res) => {
     const vErr = handleValidation(req, res);
     if (vErr) return;
@@ -34,10 +63,19 @@ router.post(
       const salt = await bcrypt.genSalt(10);
       const hash = await bcrypt.hash(password, salt);
 
-      const user = await User.create({ name, email, password: hash });
-      const token = jwt.sign({ id: user._id }, JWT_SECRET, { expiresIn: '1h' });
+      const user = await User.create({ name, email, password: hash, emailVerified: false });
+      await sendQuietly(sendVerificationEmail, user);
+
+      if (REQUIRE_EMAIL_VERIFICATION) {
+        return res.status(201).json({
+          message: 'Check your inbox to confirm your email address',
+          verificationRequired: true,
+          user: publicUser(user),
+        });
+      }
 
-      res.status(201).json({ token, user: { id: user._id, name: user.name, email: user.email } });
+      const { token, refreshToken } = await createSession(user, req);
+      res.status(201).json({ token, refreshToken, user: publicUser(user) });
     } catch (err) {
       console.error(err);
       res.status(500).json({ message: 'Server error' });
@@ -50,6 +88,7 @@ router.post(
   '/login',
   body('email').isEmail().withMessage('valid email is required'),
   body('password').notEmpty().withMessage('password is required'),
+  loginGate,
   async (req, res) => {
     const vErr = handleValidation(req, res);
     if (vErr) return;
@@ -58,14 +97,211 @@ router.post(
       const { email, password } = req.body;
 
       const user = await User.findOne({ email });
-      if (!user) return res.status(401).json({ message: 'Invalid credentials' });
+      const match = user ? await bcrypt.compare(password, user.password) : false;
+      if (!match) {
+        // unknown emails count too, so the limiter doesn't reveal which accounts exist
+        const wait = await recordLoginFailure(req);
+        if (wait) return sendTooMany(res, wait, 'Invalid credentials. Too many failed attempts');
+        return res.status(401).json({ message: 'Invalid credentials' });
+      }
+      await recordLoginSuccess(req);
+
+      if (REQUIRE_EMAIL_VERIFICATION && !isVerified(user)) {
+        return res.status(403).json({ message: 'Please confirm your email address first', code: 'EMAIL_NOT_VERIFIED' });
+      }
+
+      const { token, refreshToken } = await createSession(user, req);
+
+      res.json({ token, refreshToken, user: publicUser(user) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Verify email -> spend the token from the confirmation email
+router.post(
+  '/verify-email',
+  body('token').isString().notEmpty().withMessage('token is required'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const userId = await consumeAccountToken(req.body.token, 'verify-email');
+      if (!userId) return res.status(400).json({ message: 'This link is invalid or has expired' });
+
+      await User.updateOne({ _id: userId }, { $set: { emailVerified: true } });
+      res.json({ message: 'Email address confirmed' });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Resend verification -> new confirmation email. Same answer, just as fast,
+// whether or not the address has an account, so this can't be used to find
+// out who signed up: the mail goes out after the response.
+router.post(
+  '/resend-verification',
+  body('email').isEmail().withMessage('valid email is required'),
+  accountEmailGate,
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const user = await User.findOne({ email: req.body.email });
+      if (user && !isVerified(user)) sendQuietly(sendVerificationEmail, user);
+      res.json({ message: 'If that address has an unconfirmed account, we sent a new link' });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Forgot password -> email a reset link. Same answer for unknown addresses,
+// and no slower for known ones: the mail isn't waited for.
+router.post(
+  '/forgot-password',
+  body('email').isEmail().withMessage('valid email is required'),
+  accountEmailGate,
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const user = await User.findOne({ email: req.body.email });
+      if (user) sendQuietly(sendPasswordResetEmail, user);
+      res.json({ message: 'If that address has an account, we sent a link to reset the password' });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Reset password -> spend the token from the reset email and set a new password.
+// Every session is logged out and every personal API token revoked, so whoever
+// had the account can't keep using it; the reset link also proves the address is theirs.
+router.post(
+  '/reset-password',
+  body('token').isString().notEmpty().withMessage('token is required'),
+  body('password').isLength({ min: 6 }).withMessage('password must be at least 6 characters'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
 
-      const match = await bcrypt.compare(password, user.password);
-      if (!match) return res.status(401).json({ message: 'Invalid credentials' });
+    try {
+      const userId = await consumeAccountToken(req.body.token, 'reset-password');
+      if (!userId) return res.status(400).json({ message: 'This link is invalid or has expired' });
 
-      const token = jwt.sign({ id: user._id }, JWT_SECRET, { expiresIn: '1h' });
+      const salt = await bcrypt.genSalt(10);
+      const hash = await bcrypt.hash(req.body.password, salt);
+      await User.updateOne({ _id: userId }, { $set: { password: hash, emailVerified: true } });
+      await revokeAllSessions(userId);
+      await revokeAllApiTokens(userId);
 
-      res.json({ token, user: { id: user._id, name: user.name, email: user.email } });
+      res.json({ message: 'Password changed, you can log in now' });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Refresh -> trade a refresh token for a new access token (the refresh token rotates too)
+router.post(
+  '/refresh',
+  body('refreshToken').isString().notEmpty().withMessage('refreshToken is required'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const tokens = await rotateSession(req.body.refreshToken);
+      if (!tokens) return res.status(401).json({ message: 'Invalid refresh token' });
+      res.json(tokens);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Logout -> revoke the session behind the given refresh token.
+// No access token needed: it may already have expired when the user logs out.
+router.post(
+  '/logout',
+  body('refreshToken').isString().notEmpty().withMessage('refreshToken is required'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      await revokeByRefreshToken(req.body.refreshToken);
+      res.json({ message: 'Logged out' });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Logout everywhere -> revoke every session of the current user
+router.post('/logout-all', auth, loginOnly, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user._id);
+    res.json({ message: 'Logged out everywhere', revoked: result.modifiedCount });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/auth/sessions -> active sessions of the current user
+router.get('/sessions', auth, loginOnly, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(s => ({
+        id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+        current: String(s._id) === String(req.sessionId),
+      })),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /api/auth/sessions/:id -> revoke a single session (e.g. a lost laptop)
+router.delete(
+  '/sessions/:id',
+  auth,
+  loginOnly,
+  param('id').isMongoId().withMessage('invalid session id'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const session = await revokeSession(req.user._id, req.params.id);
+      if (!session) return res.status(404).json({ message: 'Session not found' });
+      res.json({ message: 'Session revoked' });
     } catch (err) {
       console.error(err);
       res.status(500).json({ message: 'Server error' });
@@ -0,0 +1,132 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const router = express.Router({ mergeParams: true });
+const Comment = require('../models/Comment');
+const { loadTask } = require('../services/permissions');
+
+/**
+ * Helper - send validation errors (DRY)
+ */
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array().map(e => ({ param: e.param, msg: e.msg })) });
+  }
+  return null;
+};
+
+/**
+ * Validate, then load the task into req.task. Every project member may read
+ * and write comments, so viewer access is enough here.
+ */
+const loadVisibleTask = async (req, res, next) => {
+  const vErr = handleValidation(req, res);
+  if (vErr) return;
+
+  try {
+    const { task, role, status, message } = await loadTask(req.params.id, req.user._id);
+    if (!task) return res.status(status).json({ message });
+    req.task = task;
+    req.taskRole = role;
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const taskId = param('id').isMongoId().withMessage('invalid task id');
+const commentId = param('commentId').isMongoId().withMessage('invalid comment id');
+const commentBody = body('body').isString().trim().notEmpty().withMessage('body is required')
+  .isLength({ max: 5000 }).withMessage('body must be at most 5000 characters');
+
+// GET /api/tasks/:id/comments -> oldest first
+// Supports: ?page=1&limit=20
+router.get(
+  '/',
+  taskId,
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be >= 1'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  loadVisibleTask,
+  async (req, res) => {
+    try {
+      const page = Math.max(1, parseInt(req.query.page || '1', 10));
+      const limit = Math.max(1, Math.min(100, parseInt(req.query.limit || '20', 10)));
+      const filter = { task: req.task._id };
+
+      const [comments, total] = await Promise.all([
+        Comment.find(filter)
+          .sort({ createdAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('author', 'name email'),
+        Comment.countDocuments(filter),
+      ]);
+
+      res.json({
+        comments,
+        meta: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// POST /api/tasks/:id/comments -> add a comment
+router.post('/', taskId, commentBody, loadVisibleTask, async (req, res) => {
+  try {
+    const comment = await Comment.create({ task: req.task._id, author: req.user._id, body: req.body.body });
+    await comment.populate('author', 'name email');
+    res.status(201).json({ comment });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PUT /api/tasks/:id/comments/:commentId -> edit (author only)
+router.put('/:commentId', taskId, commentId, commentBody, loadVisibleTask, async (req, res) => {
+  try {
+    const comment = await Comment.findOne({ _id: req.params.commentId, task: req.task._id });
+    if (!comment) return res.status(404).json({ message: 'Comment not found' });
+    if (String(comment.author) !== String(req.user._id)) {
+      return res.status(403).json({ message: 'Only the author can edit a comment' });
+    }
+
+    comment.body = req.body.body;
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate('author', 'name email');
+
+    res.json({ comment });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /api/tasks/:id/comments/:commentId -> the author, or the owner of the task / project (moderation)
+router.delete('/:commentId', taskId, commentId, loadVisibleTask, async (req, res) => {
+  try {
+    const comment = await Comment.findOne({ _id: req.params.commentId, task: req.task._id });
+    if (!comment) return res.status(404).json({ message: 'Comment not found' });
+    if (String(comment.author) !== String(req.user._id) && req.taskRole !== 'owner') {
+      return res.status(403).json({ message: 'Not allowed' });
+    }
+
+    await comment.deleteOne();
+    res.json({ message: 'Comment deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
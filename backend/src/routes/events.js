@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { subscribe } = require('../services/events');
+const { isSessionActive } = require('../services/sessions');
+const { isApiTokenActive } = require('../services/apiTokens');
+
+// comment lines keep proxies from closing an idle stream; the same tick
+// notices revoked sessions and API tokens
+const HEARTBEAT_MS = 25 * 1000;
+
+// GET /api/events -> Server-Sent Events stream of task changes for the logged-in user
+// Events: task.created | task.updated (data: the task) and task.deleted (data: { _id }).
+// The stream ends when the access token expires or the session is revoked;
+// clients reconnect with a fresh token.
+router.get('/', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx: don't buffer the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribe(req.user._id, (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.task)}\n\n`);
+  });
+
+  const close = () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+    res.end();
+  };
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (req.sessionId && !(await isSessionActive(req.user._id, req.sessionId))) return close();
+      if (req.apiToken && !(await isApiTokenActive(req.apiToken._id))) return close();
+      res.write(': ping\n\n');
+    } catch (err) {
+      console.error(err);
+    }
+  }, HEARTBEAT_MS);
+
+  // capped: setTimeout overflows past ~24 days (a very long ACCESS_TOKEN_TTL)
+  const expiry = req.tokenExpiresAt && setTimeout(close, Math.min(2 ** 31 - 1, Math.max(0, req.tokenExpiresAt - Date.now())));
+  req.on('close', close);
+});
+
+module.exports = router;
@@ -3,15 +3,36 @@ const router = express.Router();
 
 const authRoutes = require('./auth');
 const taskRoutes = require('./tasks');
+const projectRoutes = require('./projects');
+const tagRoutes = require('./tags');
+const eventRoutes = require('./events');
+const workflowRoutes = require('./workflow');
+const apiTokenRoutes = require('./apiTokens');
+const webhookRoutes = require('./webhooks');
 const auth = require('../middleware/auth');
+const { requireScope, loginOnly } = require('../middleware/scopes');
 
 router.use('/auth', authRoutes);
 
-// Protected task routes — auth middleware applied here
-router.use('/tasks', auth, taskRoutes);
+// Protected task routes — auth middleware applied here; personal API tokens
+// also need the matching scope (e.g. tasks:read for GET /api/tasks)
+// the quick-add preview only parses text
+router.use('/tasks', auth, requireScope('tasks', { readOnly: ['POST /parse'] }), taskRoutes);
+router.use('/projects', auth, requireScope('projects'), projectRoutes);
+router.use('/tags', auth, requireScope('tags'), tagRoutes);
+router.use('/workflow', auth, requireScope('tasks'), workflowRoutes);
 
-// quick protected 'me' endpoint
-router.get('/me', auth, (req, res) => {
+// live task updates (Server-Sent Events)
+router.use('/events', auth, requireScope('tasks'), eventRoutes);
+
+// outgoing webhooks for task events
+router.use('/webhooks', auth, requireScope('webhooks'), webhookRoutes);
+
+// personal API tokens, managed from a logged-in session only
+router.use('/tokens', auth, loginOnly, apiTokenRoutes);
+
+// quick protected 'me' endpoint (the account profile: not for API tokens)
+router.get('/me', auth, loginOnly, (req, res) => {
   res.json({ me: req.user });
 });
 
@@ -0,0 +1,218 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const router = express.Router();
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { hasRole } = require('../services/permissions');
+const { purgeTaskData } = require('../services/cleanup');
+
+/**
+ * Helper - send validation errors (DRY)
+ */
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array().map(e => ({ param: e.param, msg: e.msg })) });
+  }
+  return null;
+};
+
+/**
+ * Load :id into req.project and make sure the current user has at least `minRole`.
+ * Non-members get a 404 so project ids can't be probed.
+ */
+const requireRole = (minRole) => async (req, res, next) => {
+  const vErr = handleValidation(req, res);
+  if (vErr) return;
+
+  try {
+    const project = await Project.findById(req.params.id).populate('members.user', 'name email');
+    const role = project && project.roleOf(req.user._id);
+    if (!role) return res.status(404).json({ message: 'Project not found' });
+    if (!hasRole(role, minRole)) return res.status(403).json({ message: 'Not allowed' });
+
+    req.project = project;
+    req.projectRole = role;
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const projectId = param('id').isMongoId().withMessage('invalid project id');
+
+const serialize = (project, role) => ({
+  _id: project._id,
+  name: project.name,
+  description: project.description,
+  owner: project.owner,
+  members: project.members,
+  role,
+  createdAt: project.createdAt,
+  updatedAt: project.updatedAt,
+});
+
+// GET /api/projects -> projects the user is a member of
+router.get('/', async (req, res) => {
+  try {
+    const projects = await Project.find({ 'members.user': req.user._id })
+      .populate('members.user', 'name email')
+      .sort({ name: 1 });
+    res.json({ projects: projects.map(p => serialize(p, p.roleOf(req.user._id))) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/projects -> create a project, the creator becomes its owner
+router.post(
+  '/',
+  body('name').isString().trim().notEmpty().withMessage('name is required'),
+  body('description').optional().isString().withMessage('description must be text'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const { name, description } = req.body;
+      const project = await Project.create({
+        name,
+        description: description || '',
+        owner: req.user._id,
+        members: [{ user: req.user._id, role: 'owner' }],
+      });
+      await project.populate('members.user', 'name email');
+
+      res.status(201).json({ project: serialize(project, 'owner') });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// GET /api/projects/:id -> any member
+router.get('/:id', projectId, requireRole('viewer'), (req, res) => {
+  res.json({ project: serialize(req.project, req.projectRole) });
+});
+
+// PUT /api/projects/:id -> rename / describe (owner only)
+router.put(
+  '/:id',
+  projectId,
+  body('name').optional().isString().trim().notEmpty().withMessage('name must be a non-empty string'),
+  body('description').optional().isString().withMessage('description must be text'),
+  requireRole('owner'),
+  async (req, res) => {
+    try {
+      const { name, description } = req.body;
+      if (name !== undefined) req.project.name = name;
+      if (description !== undefined) req.project.description = description;
+      await req.project.save();
+
+      res.json({ project: serialize(req.project, req.projectRole) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// DELETE /api/projects/:id -> delete the project, all of its tasks and its webhooks (owner only)
+router.delete('/:id', projectId, requireRole('owner'), async (req, res) => {
+  try {
+    const taskIds = await Task.find({ project: req.project._id }).distinct('_id');
+    await purgeTaskData(taskIds);
+    await Task.deleteMany({ project: req.project._id });
+    const webhookIds = await Webhook.find({ project: req.project._id }).distinct('_id');
+    await WebhookDelivery.deleteMany({ webhook: { $in: webhookIds } });
+    await Webhook.deleteMany({ _id: { $in: webhookIds } });
+    await req.project.deleteOne();
+    res.json({ message: 'Project deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/projects/:id/members -> invite a registered user by email (owner only)
+router.post(
+  '/:id/members',
+  projectId,
+  body('email').isEmail().withMessage('valid email is required'),
+  body('role').optional().isIn(['editor', 'viewer']).withMessage('role must be editor or viewer'),
+  requireRole('owner'),
+  async (req, res) => {
+    try {
+      const user = await User.findOne({ email: req.body.email.toLowerCase().trim() }).select('name email');
+      if (!user) return res.status(404).json({ message: 'No user with that email' });
+      if (req.project.roleOf(user._id)) return res.status(409).json({ message: 'Already a member' });
+
+      req.project.members.push({ user: user._id, role: req.body.role || 'editor' });
+      await req.project.save();
+      await req.project.populate('members.user', 'name email');
+
+      res.status(201).json({ project: serialize(req.project, req.projectRole) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// PUT /api/projects/:id/members/:userId -> change a member's role (owner only)
+router.put(
+  '/:id/members/:userId',
+  projectId,
+  param('userId').isMongoId().withMessage('invalid user id'),
+  body('role').isIn(['editor', 'viewer']).withMessage('role must be editor or viewer'),
+  requireRole('owner'),
+  async (req, res) => {
+    try {
+      const member = req.project.members.find(m => String(m.user._id) === req.params.userId);
+      if (!member) return res.status(404).json({ message: 'Member not found' });
+      if (member.role === 'owner') return res.status(400).json({ message: 'The owner role cannot be changed' });
+
+      member.role = req.body.role;
+      await req.project.save();
+
+      res.json({ project: serialize(req.project, req.projectRole) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// DELETE /api/projects/:id/members/:userId -> remove a member (owner), or leave (yourself)
+router.delete(
+  '/:id/members/:userId',
+  projectId,
+  param('userId').isMongoId().withMessage('invalid user id'),
+  requireRole('viewer'),
+  async (req, res) => {
+    try {
+      const leaving = req.params.userId === String(req.user._id);
+      if (!leaving && req.projectRole !== 'owner') return res.status(403).json({ message: 'Not allowed' });
+
+      const member = req.project.members.find(m => String(m.user._id) === req.params.userId);
+      if (!member) return res.status(404).json({ message: 'Member not found' });
+      if (member.role === 'owner') return res.status(400).json({ message: 'The owner cannot be removed' });
+
+      req.project.members = req.project.members.filter(m => m !== member);
+      await req.project.save();
+
+      res.json({ message: leaving ? 'Left project' : 'Member removed' });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
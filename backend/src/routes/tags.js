@@ -0,0 +1,109 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const router = express.Router();
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+
+/**
+ * Helper - send validation errors (DRY)
+ */
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array().map(e => ({ param: e.param, msg: e.msg })) });
+  }
+  return null;
+};
+
+const tagId = param('id').isMongoId().withMessage('invalid tag id');
+
+// duplicate key on the (owner, name) index
+const isDuplicate = (err) => err && err.code === 11000;
+
+// GET /api/tags -> the user's tags, alphabetically
+router.get('/', async (req, res) => {
+  try {
+    const tags = await Tag.find({ owner: req.user._id }).collation(Tag.COLLATION).sort({ name: 1 });
+    res.json({ tags });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/tags -> create a tag
+router.post(
+  '/',
+  body('name').isString().trim().notEmpty().withMessage('name is required')
+    .isLength({ max: 40 }).withMessage('name must be at most 40 characters')
+    .not().contains(',').withMessage('name cannot contain commas'),
+  body('color').optional().isHexColor().withMessage('color must be a hex colour'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const { name, color } = req.body;
+      const tag = await Tag.create({ name, color, owner: req.user._id });
+      res.status(201).json({ tag });
+    } catch (err) {
+      if (isDuplicate(err)) return res.status(409).json({ message: 'Tag already exists' });
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// PUT /api/tags/:id -> rename / recolour. Tasks reference tags by id,
+// so a rename shows up on every tagged task without touching them.
+router.put(
+  '/:id',
+  tagId,
+  body('name').optional().isString().trim().notEmpty().withMessage('name must be a non-empty string')
+    .isLength({ max: 40 }).withMessage('name must be at most 40 characters')
+    .not().contains(',').withMessage('name cannot contain commas'),
+  body('color').optional().isHexColor().withMessage('color must be a hex colour'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const updates = {};
+      const { name, color } = req.body;
+      if (name !== undefined) updates.name = name;
+      if (color !== undefined) updates.color = color;
+
+      const tag = await Tag.findOneAndUpdate(
+        { _id: req.params.id, owner: req.user._id },
+        { $set: updates },
+        { new: true, runValidators: true }
+      );
+
+      if (!tag) return res.status(404).json({ message: 'Tag not found' });
+      res.json({ tag });
+    } catch (err) {
+      if (isDuplicate(err)) return res.status(409).json({ message: 'Tag already exists' });
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// DELETE /api/tags/:id -> delete a tag and untag every task that had it
+router.delete('/:id', tagId, async (req, res) => {
+  const vErr = handleValidation(req, res);
+  if (vErr) return;
+
+  try {
+    const tag = await Tag.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+    if (!tag) return res.status(404).json({ message: 'Tag not found' });
+
+    await Task.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } });
+    res.json({ message: 'Tag deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const router = express.Router({ mergeParams: true });
+const Task = require('../models/Task');
+const { loadTask } = require('../services/permissions');
+const { publishTaskEvent } = require('../services/events');
+const { MAX_BLOCKERS, sameList, findCycle, openBlockers } = require('../services/dependencies');
+
+/**
+ * Helper - send validation errors (DRY)
+ */
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array().map(e => ({ param: e.param, msg: e.msg })) });
+  }
+  return null;
+};
+
+const taskId = param('id').isMongoId().withMessage('invalid task id');
+
+const CARD_FIELDS = 'title status completed dueDate priority';
+
+// the task as the card needs it after a change: with the blockers still open
+const withOpenBlockers = async (task) => ({ ...task.toJSON(), openBlockers: await openBlockers(task) });
+
+// GET /api/tasks/:id/blockers -> what the task is blocked by, and what it is blocking
+router.get('/', taskId, async (req, res) => {
+  const vErr = handleValidation(req, res);
+  if (vErr) return;
+
+  try {
+    const { task, status, message } = await loadTask(req.params.id, req.user._id);
+    if (!task) return res.status(status).json({ message });
+
+    const [blockedBy, blocking] = await Promise.all([
+      Task.find({ _id: { $in: task.blockedBy } }).select(CARD_FIELDS),
+      Task.find({ blockedBy: task._id }).select(CARD_FIELDS),
+    ]);
+    res.json({ blockedBy, blocking });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/tasks/:id/blockers -> mark the task as blocked by another one (editor or owner).
+// Body: { taskId }. Both tasks have to be in the same list; 409 with the loop
+// (code DEPENDENCY_CYCLE) when the other task already waits on this one.
+router.post(
+  '/',
+  taskId,
+  body('taskId').isMongoId().withMessage('taskId must be a task id'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const access = await loadTask(req.params.id, req.user._id, 'editor');
+      if (!access.task) return res.status(access.status).json({ message: access.message });
+      const task = access.task;
+
+      const other = await loadTask(req.body.taskId, req.user._id);
+      if (!other.task) return res.status(other.status).json({ message: 'Blocking task not found' });
+      const blocker = other.task;
+
+      if (!sameList(task, blocker)) {
+        return res.status(400).json({ message: 'Only tasks in the same project can block each other' });
+      }
+      if (task.blockedBy.some(id => String(id) === String(blocker._id))) {
+        return res.json({ task: await withOpenBlockers(task) });
+      }
+      if (task.blockedBy.length >= MAX_BLOCKERS) {
+        return res.status(400).json({ message: `A task can have at most ${MAX_BLOCKERS} blockers` });
+      }
+
+      const cycle = await findCycle(task, blocker);
+      if (cycle) {
+        const titles = await Task.find({ _id: { $in: cycle } }).select('title').lean();
+        const titleOf = new Map(titles.map(t => [String(t._id), t.title]));
+        return res.status(409).json({
+          message: 'That would make the tasks wait on each other in a loop',
+          code: 'DEPENDENCY_CYCLE',
+          cycle: cycle.map(id => ({ _id: id, title: titleOf.get(String(id)) || null })),
+        });
+      }
+
+      const updated = await Task.findOneAndUpdate(
+        { _id: task._id },
+        { $addToSet: { blockedBy: blocker._id } },
+        { new: true }
+      );
+      if (!updated) return res.status(404).json({ message: 'Task not found' });
+      publishTaskEvent('updated', { before: task, after: updated });
+
+      res.status(201).json({ task: await withOpenBlockers(updated) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// DELETE /api/tasks/:id/blockers/:blockerId -> the task no longer waits on that one (editor or owner)
+router.delete(
+  '/:blockerId',
+  taskId,
+  param('blockerId').isMongoId().withMessage('invalid task id'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const access = await loadTask(req.params.id, req.user._id, 'editor');
+      if (!access.task) return res.status(access.status).json({ message: access.message });
+      if (!access.task.blockedBy.some(id => String(id) === req.params.blockerId)) {
+        return res.status(404).json({ message: 'Dependency not found' });
+      }
+
+      const updated = await Task.findOneAndUpdate(
+        { _id: access.task._id },
+        { $pull: { blockedBy: req.params.blockerId } },
+        { new: true }
+      );
+      if (!updated) return res.status(404).json({ message: 'Task not found' });
+      publishTaskEvent('updated', { before: access.task, after: updated });
+
+      res.json({ task: await withOpenBlockers(updated) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
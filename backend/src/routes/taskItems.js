@@ -0,0 +1,168 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const router = express.Router({ mergeParams: true });
+const { loadTask } = require('../services/permissions');
+const { spawnNextOccurrence } = require('../services/recurrence');
+const { recordHistory } = require('../services/history');
+const { publishTaskEvent } = require('../services/events');
+const { dispatchTaskWebhooks } = require('../services/webhooks');
+const { workflowFor, statusUpdate } = require('../services/workflow');
+const { openBlockers } = require('../services/dependencies');
+
+/**
+ * Helper - send validation errors (DRY)
+ */
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array().map(e => ({ param: e.param, msg: e.msg })) });
+  }
+  return null;
+};
+
+/**
+ * Validate, then load the parent task into req.task (editor role needed:
+ * every checklist route changes the task).
+ */
+const loadEditableTask = async (req, res, next) => {
+  const vErr = handleValidation(req, res);
+  if (vErr) return;
+
+  try {
+    const { task, status, message } = await loadTask(req.params.id, req.user._id, 'editor');
+    if (!task) return res.status(status).json({ message });
+    req.task = task;
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const taskId = param('id').isMongoId().withMessage('invalid task id');
+const itemId = param('itemId').isMongoId().withMessage('invalid item id');
+
+// POST /api/tasks/:id/items -> add a checklist item (at the end, or at `position`)
+router.post(
+  '/',
+  taskId,
+  body('text').isString().trim().notEmpty().withMessage('text is required'),
+  body('position').optional().isInt({ min: 0 }).withMessage('position must be >= 0'),
+  loadEditableTask,
+  async (req, res) => {
+    try {
+      const { text, position } = req.body;
+      const at = position === undefined ? req.task.items.length : Math.min(position, req.task.items.length);
+      req.task.items.splice(at, 0, { text });
+      await req.task.save();
+      publishTaskEvent('updated', { after: req.task });
+
+      res.status(201).json({ task: req.task });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// PUT /api/tasks/:id/items/order -> reorder; body.order lists every item id in the new order
+router.put(
+  '/order',
+  taskId,
+  body('order').isArray().withMessage('order must be an array of item ids'),
+  body('order.*').isMongoId().withMessage('invalid item id'),
+  loadEditableTask,
+  async (req, res) => {
+    try {
+      const { order } = req.body;
+      const byId = new Map(req.task.items.map(i => [String(i._id), i]));
+
+      if (order.length !== byId.size || new Set(order).size !== order.length || !order.every(id => byId.has(id))) {
+        return res.status(400).json({ message: 'order must contain every item id exactly once' });
+      }
+
+      req.task.items = order.map(id => byId.get(id));
+      await req.task.save();
+      publishTaskEvent('updated', { after: req.task });
+
+      res.json({ task: req.task });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// PUT /api/tasks/:id/items/:itemId -> edit text and/or toggle done.
+// With completeTask: true, checking off the last open item also completes the task
+// (unless it is blocked by open tasks).
+router.put(
+  '/:itemId',
+  taskId,
+  itemId,
+  body('text').optional().isString().trim().notEmpty().withMessage('text must be a non-empty string'),
+  body('done').optional().isBoolean().withMessage('done must be true or false'),
+  body('completeTask').optional().isBoolean().withMessage('completeTask must be true or false'),
+  loadEditableTask,
+  async (req, res) => {
+    try {
+      const item = req.task.items.id(req.params.itemId);
+      if (!item) return res.status(404).json({ message: 'Item not found' });
+
+      const { text, done, completeTask } = req.body;
+      if (text !== undefined) item.text = text;
+      if (done !== undefined && done !== item.done) {
+        item.done = done;
+        item.doneAt = done ? new Date() : null;
+      }
+
+      // a task with open blockers stays open; it has to be completed explicitly (with force)
+      const completing = completeTask && item.done && !req.task.completed && req.task.items.every(i => i.done)
+        && !(await openBlockers(req.task)).length;
+      const before = completing ? req.task.toObject() : null;
+      if (completing) req.task.set(statusUpdate(await workflowFor(req.task), { completed: true }, req.task.status));
+
+      await req.task.save();
+      if (completing) await recordHistory({ action: 'complete', user: req.user, before, after: req.task });
+
+      const next = completing ? await spawnNextOccurrence(req.task) : null;
+      publishTaskEvent('updated', { after: req.task });
+      // webhooks hear about the completion, not about every tick in the checklist
+      if (completing) dispatchTaskWebhooks('updated', { before, after: req.task, user: req.user });
+      if (next) {
+        await recordHistory({ action: 'create', user: req.user, after: next });
+        publishTaskEvent('created', { after: next });
+        dispatchTaskWebhooks('created', { after: next, user: req.user });
+      }
+      res.json(next ? { task: req.task, next } : { task: req.task });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// DELETE /api/tasks/:id/items/:itemId -> remove a checklist item
+router.delete(
+  '/:itemId',
+  taskId,
+  itemId,
+  loadEditableTask,
+  async (req, res) => {
+    try {
+      const item = req.task.items.id(req.params.itemId);
+      if (!item) return res.status(404).json({ message: 'Item not found' });
+
+      item.deleteOne();
+      await req.task.save();
+      publishTaskEvent('updated', { after: req.task });
+
+      res.json({ task: req.task });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
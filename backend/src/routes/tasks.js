@@ -1,8 +1,39 @@
 const express = require('express');
+const multer = require('multer');
 const { body, param, query, validationResult } = require('express-validator');
 const router = express.Router();
 const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Tag = require('../models/Tag');
+const TaskHistory = require('../models/TaskHistory');
+const Comment = require('../models/Comment');
+const Attachment = require('../models/Attachment');
 const auth = require('../middleware/auth');
+const itemRoutes = require('./taskItems');
+const commentRoutes = require('./comments');
+const attachmentRoutes = require('./attachments');
+const dependencyRoutes = require('./taskDependencies');
+const { hasRole, loadTask, accessibleTasksFilter } = require('../services/permissions');
+const { highlightTask } = require('../services/search');
+const { normalizeRecurrence, followingDate, spawnNextOccurrence } = require('../services/recurrence');
+const { recordHistory } = require('../services/history');
+const { publishTaskEvent } = require('../services/events');
+const { dispatchTaskWebhooks } = require('../services/webhooks');
+const { workflowFor, findStatus, statusUpdate } = require('../services/workflow');
+const { TRASH_RETENTION_DAYS } = require('../services/cleanup');
+const { parseCsvRecords, toCsv } = require('../services/csv');
+const { toICalendar } = require('../services/ical');
+const { EXPORT_FIELDS, resolveMapping, prepareImport, commitImport, exportRecord } = require('../services/taskImport');
+const { cursorFor, offsetCursor, decodeCursor, keysetFilter } = require('../services/pagination');
+const { parseQuickAdd } = require('../services/quickAdd');
+const { openBlockers, openBlockersByTask, dependencyGraph, detachDependencies } = require('../services/dependencies');
+
+const EXPORT_MAX = 5000;
+// ?from=&to= (the calendar) returns the whole range: at most this many days, this many tasks
+const RANGE_MAX_DAYS = 100;
+const RANGE_MAX_TASKS = 1000;
+const IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const IMPORT_MAX_ROWS = 1000;
 
 /**
  * Helper - send validation errors (DRY)
@@ -15,54 +46,292 @@ const handleValidation = (req, res) => {
   return null;
 };
 
-// GET /api/tasks  -> list tasks for the logged-in user
-// Supports: ?completed=true|false  ?page=1&limit=10  ?sort=createdAt:desc
+// ETag of a task: its version, quoted as the header wants it
+const etagOf = (task) => `"${task.version || 0}"`;
+
+/**
+ * Does the request's If-Match header allow acting on this version of the task?
+ * No header means the client doesn't care; weak tags never match (RFC 9110).
+ */
+const ifMatchAllows = (req, task) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return true;
+  return header.split(',').map(tag => tag.trim()).includes(etagOf(task));
+};
+
+/**
+ * Helper - answer 412 with the server's current copy, so the client can merge
+ */
+const sendVersionConflict = (res, task) => {
+  res.set('ETag', etagOf(task));
+  return res.status(412).json({ message: 'This task was changed by someone else', code: 'VERSION_CONFLICT', task });
+};
+
+// express-validator custom check; normalizeRecurrence throws the user-facing message
+const validRecurrence = (value) => {
+  normalizeRecurrence(value);
+  return true;
+};
+
+/**
+ * Check that every tag id may be put on the task: the user's own tags,
+ * plus tags someone else in the project already put there.
+ * Returns the ids, or null if any of them isn't allowed.
+ */
+const allowedTagIds = async (ids, userId, task = null) => {
+  const unique = [...new Set(ids.map(String))];
+  const existing = new Set(task ? task.tags.map(t => String(t._id || t)) : []);
+  const foreign = unique.filter(id => !existing.has(id));
+
+  const owned = await Tag.countDocuments({ _id: { $in: foreign }, owner: userId });
+  return owned === foreign.length ? unique : null;
+};
+
+/**
+ * Build the mongo filter for listing tasks from the query string.
+ * Returns { filter } or { status, message } when the request can't be served.
+ */
+const buildListFilter = async (req) => {
+  const userId = req.user._id;
+  const { project, completed, status, dueBefore, dueAfter, overdue, scheduled, priority, tags, tagMode, q } = req.query;
+  const and = [];
+
+  if (project === 'all') {
+    and.push(await accessibleTasksFilter(userId));
+  } else if (project) {
+    const p = await Project.findById(project).select('members statuses');
+    if (!p || !p.roleOf(userId)) return { status: 404, message: 'Project not found' };
+    and.push({ project: p._id });
+  } else {
+    and.push({ owner: userId, project: null });
+  }
+
+  if (completed !== undefined) {
+    and.push({ completed: completed.toLowerCase() === 'true' });
+  }
+
+  if (status) {
+    // status keys belong to one workflow, so they only make sense within one list
+    if (project === 'all') return { status: 400, message: 'status can only be used with one project or personal tasks' };
+    and.push({ status: { $in: status.split(',') } });
+  }
+
+  if (dueBefore || dueAfter) {
+    const range = {};
+    if (dueBefore) range.$lte = new Date(dueBefore);
+    if (dueAfter) range.$gte = new Date(dueAfter);
+    and.push({ dueDate: range });
+  }
+
+  if (scheduled !== undefined) {
+    and.push({ dueDate: scheduled === 'true' ? { $ne: null } : null });
+  }
+
+  const now = new Date();
+  if (overdue === 'true') {
+    and.push({ completed: false, dueDate: { $lt: now } });
+  } else if (overdue === 'false') {
+    and.push({ $or: [{ completed: true }, { dueDate: null }, { dueDate: { $gte: now } }] });
+  }
+
+  if (priority) {
+    and.push({ priority: { $in: priority.split(',') } });
+  }
+
+  if (tags) {
+    // tags are given by name; names are matched against the user's own tags, ignoring case
+    const names = [...new Set(tags.split(',').map(t => t.trim().toLowerCase()).filter(Boolean))];
+    const found = await Tag.find({ owner: userId, name: { $in: names } }).collation(Tag.COLLATION).select('_id');
+    const ids = found.map(t => t._id);
+
+    if (tagMode === 'all') {
+      // an unknown tag can't be on any task, so nothing matches
+      and.push(ids.length === names.length ? { tags: { $all: ids } } : { _id: null });
+    } else {
+      and.push({ tags: { $in: ids } });
+    }
+  }
+
+  const filter = and.length === 1 ? and[0] : { $and: and };
+
+  // $text has to sit at the top level of the query
+  if (q) filter.$text = { $search: q };
+
+  return { filter };
+};
+
+// query checks shared by every endpoint that takes the list filters
+const listFilterChecks = [
+  query('project').optional().custom(v => v === 'all' || /^[a-f\d]{24}$/i.test(v)).withMessage('project must be a project id or "all"'),
+  query('completed').optional().isIn(['true', 'false']).withMessage('completed must be true or false'),
+  query('status').optional().isString().withMessage('status must be a comma separated list of status keys'),
+  query('dueBefore').optional().isISO8601().withMessage('dueBefore must be a date'),
+  query('dueAfter').optional().isISO8601().withMessage('dueAfter must be a date'),
+  query('overdue').optional().isIn(['true', 'false']).withMessage('overdue must be true or false'),
+  query('scheduled').optional().isIn(['true', 'false']).withMessage('scheduled must be true or false'),
+  query('priority').optional()
+    .custom(v => v.split(',').every(p => Task.PRIORITIES.includes(p)))
+    .withMessage(`priority must be one of ${Task.PRIORITIES.join(', ')}`),
+  query('tags').optional().isString().withMessage('tags must be a comma separated list'),
+  query('tagMode').optional().isIn(['any', 'all']).withMessage('tagMode must be any or all'),
+  query('q').optional().isString().trim().isLength({ max: 200 }).withMessage('q must be at most 200 characters'),
+];
+
+// sort=<field>:asc|desc with a whitelisted field, or relevance (with q)
+const isListSort = (v) => {
+  if (v === 'relevance') return true;
+  const [field, dir] = v.split(':');
+  return Object.hasOwn(Task.SORT_FIELDS, field) && ['asc', 'desc'].includes(dir);
+};
+
+/**
+ * One page of a task list. Field sorts are walked by key from the cursor;
+ * relevance order (text search) has no stable key, so its cursors are offsets.
+ * `cursor` is a decoded cursor (or null for the first page), `before` says which way to go.
+ * Returns { tasks, next, prev } with the cursors of the neighbouring pages.
+ */
+const loadListPage = async (filter, { sortKey, limit, cursor, before }) => {
+  const after = cursor && !before;
+
+  if (sortKey === 'relevance') {
+    const relevance = { score: { $meta: 'textScore' } };
+    const offset = cursor ? cursor.offset || 0 : 0;
+    const rows = await Task.find(filter, relevance).sort({ ...relevance, _id: -1 }).skip(offset).limit(limit + 1);
+    return {
+      tasks: rows.slice(0, limit),
+      next: rows.length > limit ? offsetCursor(sortKey, offset + limit) : null,
+      prev: offset > 0 ? offsetCursor(sortKey, Math.max(0, offset - limit)) : null,
+    };
+  }
+
+  const [name, order] = sortKey.split(':');
+  const field = Task.SORT_FIELDS[name];
+  const dir = order === 'asc' ? 1 : -1;
+  // `before` walks backwards from the cursor, then the page is put back in order
+  const walk = before ? -dir : dir;
+
+  const pageFilter = cursor
+    ? { ...filter, $and: [...(filter.$and || []), keysetFilter(field, walk, cursor)] }
+    : filter;
+  const rows = await Task.find(pageFilter).sort({ [field]: walk, _id: walk }).limit(limit + 1);
+  const more = rows.length > limit;
+  const tasks = rows.slice(0, limit);
+  if (before) tasks.reverse();
+
+  const first = tasks[0];
+  const last = tasks[tasks.length - 1];
+  return {
+    tasks,
+    next: last && (before || more) ? cursorFor(sortKey, last, field) : null,
+    prev: first && (after || (before && more)) ? cursorFor(sortKey, first, field) : null,
+  };
+};
+
+/**
+ * Tasks as the list sends them: with comment counts, attachments and open
+ * blockers (one query each for the whole batch), and search highlights for q.
+ */
+const listEntries = async (tasks, q) => {
+  const taskIds = tasks.map(t => t._id);
+  const [counts, files, blockers] = await Promise.all([
+    Comment.aggregate([
+      { $match: { task: { $in: taskIds } } },
+      { $group: { _id: '$task', count: { $sum: 1 } } },
+    ]),
+    Attachment.find({ task: { $in: taskIds } }).sort({ createdAt: 1 }),
+    openBlockersByTask(tasks),
+  ]);
+  const commentCount = new Map(counts.map(c => [String(c._id), c.count]));
+  const attachments = new Map();
+  files.forEach(f => {
+    const key = String(f.task);
+    attachments.set(key, [...(attachments.get(key) || []), f]);
+  });
+
+  return tasks.map(t => ({
+    ...t.toJSON(),
+    commentCount: commentCount.get(String(t._id)) || 0,
+    attachments: attachments.get(String(t._id)) || [],
+    openBlockers: blockers.get(String(t._id)) || [],
+    ...(q ? { search: highlightTask(t, q) } : {}),
+  }));
+};
+
+// GET /api/tasks  -> list tasks for the logged-in user, a page at a time
+// Supports: ?completed=true|false  ?status=todo,in_progress  ?limit=10
+//           ?project=<id> (a shared project) | all (everything visible) — default: personal tasks
+//           ?dueBefore=<date>  ?dueAfter=<date>  ?overdue=true|false  ?scheduled=true|false (has a due date)
+//           ?priority=high,urgent
+//           ?sort=<createdAt|updatedAt|dueDate|priority|title>:<asc|desc> (default createdAt:desc)
+//           ?tags=bug,backend&tagMode=any|all (tag names, default any)
+//           ?q=text (ranked by relevance unless another sort is given, or with sort=relevance)
+//           ?after=<meta.next> | ?before=<meta.prev> (cursors from the previous response)
+//           ?total=true (also count every match; costs a count query)
+//           ?from=<date>&to=<date> -> every task due in [from, to), by due date, not paged
+//             (up to RANGE_MAX_TASKS; meta.truncated says if there were more)
 router.get(
   '/',
   auth,
   // optional query validations
-  query('completed').optional().isIn(['true', 'false']).withMessage('completed must be true or false'),
-  query('page').optional().isInt({ min: 1 }).withMessage('page must be >= 1'),
+  listFilterChecks,
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  query('sort').optional().custom(isListSort)
+    .withMessage(`sort must be relevance or one of ${Object.keys(Task.SORT_FIELDS).join(', ')} followed by :asc or :desc`),
+  query('after').optional().isString().withMessage('after must be a cursor'),
+  query('before').optional().isString().withMessage('before must be a cursor')
+    .custom((v, { req }) => !req.query.after).withMessage('use either after or before, not both'),
+  query('total').optional().isIn(['true', 'false']).withMessage('total must be true or false'),
+  query('from').optional().isISO8601().withMessage('from must be a date')
+    .custom((v, { req }) => !!req.query.to).withMessage('from and to go together'),
+  query('to').optional().isISO8601().withMessage('to must be a date')
+    .custom((v, { req }) => !!req.query.from && new Date(v) > new Date(req.query.from)).withMessage('to must be after from')
+    .custom((v, { req }) => new Date(v) - new Date(req.query.from) <= RANGE_MAX_DAYS * 24 * 60 * 60 * 1000)
+    .withMessage(`from and to can be at most ${RANGE_MAX_DAYS} days apart`),
   async (req, res) => {
     // validation check
     const vErr = handleValidation(req, res);
     if (vErr) return;
 
     try {
-      const owner = req.user._id;
+      const { filter, status, message } = await buildListFilter(req);
+      if (!filter) return res.status(status).json({ message });
+
+      const q = req.query.q;
 
-      // filters
-      const filter = { owner };
-      if (req.query.completed !== undefined) {
-        filter.completed = req.query.completed.toLowerCase() === 'true';
+      if (req.query.from) {
+        const from = new Date(req.query.from);
+        const to = new Date(req.query.to);
+        const rangeFilter = { ...filter, $and: [...(filter.$and || []), { dueDate: { $gte: from, $lt: to } }] };
+        const rows = await Task.find(rangeFilter).sort({ dueDate: 1, _id: 1 }).limit(RANGE_MAX_TASKS + 1);
+        return res.json({
+          tasks: await listEntries(rows.slice(0, RANGE_MAX_TASKS), q),
+          meta: { from, to, truncated: rows.length > RANGE_MAX_TASKS },
+        });
       }
 
-      // pagination
-      const page = Math.max(1, parseInt(req.query.page || '1', 10));
       const limit = Math.max(1, Math.min(100, parseInt(req.query.limit || '10', 10)));
-      const skip = (page - 1) * limit;
 
-      // sorting: e.g. sort=createdAt:desc or sort=title:asc
-      let sort = { createdAt: -1 }; // default: newest first
-      if (req.query.sort) {
-        const [field, dir] = req.query.sort.split(':');
-        sort = {};
-        sort[field] = dir === 'asc' ? 1 : -1;
-      }
+      // default: newest first, or best match first while searching
+      let sortKey = req.query.sort || (q ? 'relevance' : 'createdAt:desc');
+      if (sortKey === 'relevance' && !q) sortKey = 'createdAt:desc';
 
-      const [tasks, total] = await Promise.all([
-        Task.find(filter).sort(sort).skip(skip).limit(limit),
-        Task.countDocuments(filter),
-      ]);
+      // a cursor only works with the sort it was made for
+      const rawCursor = req.query.after || req.query.before;
+      const cursor = rawCursor ? decodeCursor(rawCursor, sortKey) : null;
+      if (rawCursor && !cursor) return res.status(400).json({ message: 'Invalid cursor; start again from the first page' });
+
+      const page = await loadListPage(filter, { sortKey, limit, cursor, before: !!req.query.before });
+      const { tasks } = page;
+      const total = req.query.total === 'true' ? await Task.countDocuments(filter) : undefined;
 
       res.json({
-        tasks,
+        tasks: await listEntries(tasks, q),
         meta: {
-          total,
-          page,
           limit,
-          pages: Math.ceil(total / limit),
+          sort: sortKey,
+          next: page.next,
+          prev: page.prev,
+          ...(total !== undefined ? { total } : {}),
         },
       });
     } catch (err) {
@@ -72,25 +341,102 @@ router.get(
   }
 );
 
+// GET /api/tasks/export?format=csv|json|ics -> download every task matching the list filters
+// Takes the same filters as GET /api/tasks (no paging); ics only has tasks with a due date
+// and uses ?tzOffset=<minutes, as from getTimezoneOffset()> to pick the local day.
+router.get(
+  '/export',
+  auth,
+  listFilterChecks,
+  query('format').optional().isIn(['csv', 'json', 'ics']).withMessage('format must be csv, json or ics'),
+  query('tzOffset').optional().isInt({ min: -840, max: 840 }).withMessage('tzOffset must be in minutes'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const { filter, status, message } = await buildListFilter(req);
+      if (!filter) return res.status(status).json({ message });
+
+      const tasks = await Task.find(filter).sort({ createdAt: -1 }).limit(EXPORT_MAX);
+      const format = req.query.format || 'csv';
+      const name = `tasks-${new Date().toISOString().slice(0, 10)}`;
+
+      if (format === 'ics') {
+        res.type('text/calendar');
+        res.attachment(`${name}.ics`);
+        return res.send(toICalendar(tasks, { tzOffset: parseInt(req.query.tzOffset || '0', 10) }));
+      }
+
+      if (format === 'json') {
+        res.attachment(`${name}.json`);
+        return res.json({
+          exportedAt: new Date(),
+          tasks: tasks.map(t => ({ ...exportRecord(t), tags: t.tags.map(tag => tag.name) })),
+        });
+      }
+
+      res.type('text/csv');
+      res.attachment(`${name}.csv`);
+      res.send(toCsv(EXPORT_FIELDS, tasks.map(exportRecord)));
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 // POST /api/tasks -> create a task
 router.post(
   '/',
   auth,
   body('title').isString().trim().notEmpty().withMessage('title is required'),
   body('description').optional().isString().withMessage('description must be text'),
+  body('project').optional({ values: 'null' }).isMongoId().withMessage('invalid project id'),
+  body('status').optional().isString().withMessage('status must be a status key'),
+  body('dueDate').optional({ values: 'null' }).isISO8601().withMessage('dueDate must be a date'),
+  body('priority').optional().isIn(Task.PRIORITIES).withMessage(`priority must be one of ${Task.PRIORITIES.join(', ')}`),
+  body('tags').optional().isArray().withMessage('tags must be an array of tag ids'),
+  body('tags.*').isMongoId().withMessage('invalid tag id'),
+  body('recurrence').optional({ values: 'null' }).custom(validRecurrence),
   async (req, res) => {
     const vErr = handleValidation(req, res);
     if (vErr) return;
 
     try {
-      const { title, description } = req.body;
+      const { title, description, project, dueDate, priority, recurrence } = req.body;
+
+      const tags = await allowedTagIds(req.body.tags || [], req.user._id);
+      if (!tags) return res.status(400).json({ message: 'Unknown tag' });
+
+      if (project) {
+        const p = await Project.findById(project).select('members');
+        const role = p && p.roleOf(req.user._id);
+        if (!role) return res.status(404).json({ message: 'Project not found' });
+        if (!hasRole(role, 'editor')) return res.status(403).json({ message: 'Not allowed' });
+      }
+
+      const state = statusUpdate(await workflowFor({ project, owner: req.user._id }), { status: req.body.status, completed: false });
+      if (!state) return res.status(400).json({ message: 'Unknown status' });
 
       const task = await Task.create({
         title,
         description: description || '',
+        ...state,
         owner: req.user._id,
+        project: project || null,
+        dueDate: dueDate || null,
+        priority: priority || 'medium',
+        priorityRank: Task.PRIORITY_RANK[priority || 'medium'],
+        tags,
+        recurrence: recurrence ? normalizeRecurrence(recurrence, dueDate) : null,
       });
+      await task.populate('tags', 'name color');
+      await recordHistory({ action: 'create', user: req.user, after: task });
+      publishTaskEvent('created', { after: task });
+      dispatchTaskWebhooks('created', { after: task, user: req.user });
 
+      res.set('ETag', etagOf(task));
       res.status(201).json({ task });
     } catch (err) {
       console.error(err);
@@ -99,7 +445,345 @@ router.post(
   }
 );
 
-// GET /api/tasks/:id -> get single task (owned by user)
+// POST /api/tasks/parse -> preview of a quick-add line, e.g. "Pay rent tomorrow 9am #home !high every month".
+// Body: { text, tzOffset?: minutes as from getTimezoneOffset(), now?: date }. Nothing is saved:
+// the client shows the fields and creates the task with POST /api/tasks. API tokens need tasks:read.
+// Tags come back as the user's existing tags plus the names (newTags) that don't exist yet.
+router.post(
+  '/parse',
+  auth,
+  body('text').isString().withMessage('text is required')
+    .isLength({ max: 500 }).withMessage('text must be at most 500 characters'),
+  body('tzOffset').optional().isInt({ min: -840, max: 840 }).withMessage('tzOffset must be in minutes'),
+  body('now').optional().isISO8601().withMessage('now must be a date'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const { title, dueDate, priority, tags: names, recurrence, matches } = parseQuickAdd(req.body.text, {
+        now: req.body.now ? new Date(req.body.now) : new Date(),
+        tzOffset: parseInt(req.body.tzOffset || '0', 10),
+      });
+
+      const tags = names.length
+        ? await Tag.find({ owner: req.user._id, name: { $in: names } }).collation(Tag.COLLATION).select('name color')
+        : [];
+      const known = new Set(tags.map(t => t.name.toLowerCase()));
+
+      res.json({
+        parsed: {
+          title,
+          dueDate,
+          priority,
+          tags,
+          newTags: names.filter(n => !known.has(n.toLowerCase())),
+          recurrence,
+        },
+        matches,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+/**
+ * Move a task to the trash. It drops out of every list and lookup but keeps its
+ * checklist, comments and files until the purge job removes it for good.
+ * With `atVersion`, only the version that was read is trashed.
+ * Returns the trashed task, or null if it was already gone (or changed).
+ */
+const trashTask = async (task, user, { atVersion = false } = {}) => {
+  const trashed = await Task.findOneAndUpdate(
+    { ...(atVersion ? Task.atVersion(task) : { _id: task._id }), deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy: user._id } },
+    { new: true }
+  );
+  if (!trashed) return null;
+  await recordHistory({ action: 'delete', user, before: task });
+  publishTaskEvent('deleted', { before: task });
+  dispatchTaskWebhooks('deleted', { before: task, user });
+  return trashed;
+};
+
+const BULK_ACTIONS = ['complete', 'reopen', 'delete', 'retag', 'move'];
+const BULK_MAX = 100;
+
+/**
+ * Apply one bulk action to a task the user may edit.
+ * Returns { task, next } (task null once deleted) or { status, message } for this item.
+ */
+const applyBulkAction = async (req, task, target) => {
+  const { action } = req.body;
+  const user = req.user;
+
+  if (action === 'delete') {
+    if (!(await trashTask(task, user))) return { status: 404, message: 'Task not found' };
+    return { task: null };
+  }
+
+  const update = {};
+  if (action === 'complete' || action === 'reopen') {
+    const completed = action === 'complete';
+    if (task.completed === completed) return { task };
+    if (completed && req.body.force !== true && (await openBlockers(task)).length) {
+      return { status: 409, message: 'Blocked by tasks that are still open' };
+    }
+    update.$set = statusUpdate(await workflowFor(task), { completed }, task.status);
+  } else if (action === 'retag') {
+    const add = await allowedTagIds(req.body.addTags || [], user._id, task);
+    if (!add) return { status: 400, message: 'Unknown tag' };
+    const remove = new Set((req.body.removeTags || []).map(String));
+    const current = task.tags.map(t => String(t._id || t));
+    update.$set = { tags: [...new Set([...current, ...add])].filter(id => !remove.has(id)) };
+  } else if (action === 'move') {
+    const { project, statuses } = target;
+    if (String(task.project) === String(project)) return { task };
+    // a personal task belongs to its owner; nobody else can turn a project task into one
+    if (!project && String(task.owner) !== String(user._id)) return { status: 403, message: 'Not allowed' };
+    // keep the status if the new workflow has it, otherwise the first column of the same kind
+    const status = findStatus(statuses, task.status) ? task.status : undefined;
+    update.$set = { project, ...statusUpdate(statuses, { status, completed: task.completed }) };
+    // dependencies don't cross lists: the old blockers and dependents stay behind
+    await detachDependencies(task);
+  }
+
+  const updated = await Task.findByIdAndUpdate(task._id, update, { new: true });
+  if (!updated) return { status: 404, message: 'Task not found' };
+  await recordHistory({ action: 'update', user, before: task, after: updated });
+  // before publishing: the spawn bumps the task's version
+  const next = action === 'complete' ? await spawnNextOccurrence(updated) : null;
+  publishTaskEvent('updated', { before: task, after: updated });
+  dispatchTaskWebhooks('updated', { before: task, after: updated, user });
+  if (next) {
+    await recordHistory({ action: 'create', user, after: next });
+    publishTaskEvent('created', { after: next });
+    dispatchTaskWebhooks('created', { after: next, user });
+  }
+  return { task: updated, next };
+};
+
+// one csv or json file, kept in memory: it is parsed and dropped within the request
+const importUpload = (req, res, next) => {
+  multer({ limits: { fileSize: IMPORT_MAX_BYTES, files: 1 } }).single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `File is larger than ${IMPORT_MAX_BYTES / 1024 / 1024} MB` });
+    }
+    if (err instanceof multer.MulterError) return res.status(400).json({ message: err.message });
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  });
+};
+
+// csv text or a json array (or { tasks: [...] } as written by the export) -> { columns, records }
+const readImportFile = (file, format) => {
+  const text = file.buffer.toString('utf8');
+  if (format === 'csv') return parseCsvRecords(text);
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { message: 'File is not valid JSON' };
+  }
+  const records = Array.isArray(data) ? data : data && data.tasks;
+  if (!Array.isArray(records) || records.some(r => !r || typeof r !== 'object')) {
+    return { message: 'JSON must be an array of tasks' };
+  }
+  return { columns: [...new Set(records.flatMap(Object.keys))], records };
+};
+
+// POST /api/tasks/import -> create tasks from a csv or json file (multipart, field "file")
+// Fields: format=csv|json (default: from the file name), project=<id>,
+//         mapping={"title":"Name","dueDate":"Due",...} (JSON; default: columns named like the field),
+//         dryRun=true (validate and report, save nothing)
+// Rows that fail validation are skipped and listed in the report.
+router.post(
+  '/import',
+  auth,
+  importUpload,
+  body('format').optional().isIn(['csv', 'json']).withMessage('format must be csv or json'),
+  body('project').optional({ values: 'falsy' }).isMongoId().withMessage('invalid project id'),
+  body('mapping').optional()
+    .custom(v => {
+      const mapping = JSON.parse(v);
+      return mapping && typeof mapping === 'object' && !Array.isArray(mapping);
+    })
+    .withMessage('mapping must be a JSON object'),
+  body('dryRun').optional().isIn(['true', 'false']).withMessage('dryRun must be true or false'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+    if (!req.file) return res.status(400).json({ message: 'No file uploaded' });
+
+    try {
+      const { project } = req.body;
+      if (project) {
+        const p = await Project.findById(project).select('members');
+        const role = p && p.roleOf(req.user._id);
+        if (!role) return res.status(404).json({ message: 'Project not found' });
+        if (!hasRole(role, 'editor')) return res.status(403).json({ message: 'Not allowed' });
+      }
+
+      const format = req.body.format || (/\.json$/i.test(req.file.originalname) ? 'json' : 'csv');
+      const { columns, records, message } = readImportFile(req.file, format);
+      if (!records) return res.status(400).json({ message });
+      if (records.length > IMPORT_MAX_ROWS) {
+        return res.status(400).json({ message: `At most ${IMPORT_MAX_ROWS} tasks can be imported at once` });
+      }
+
+      const mapping = resolveMapping(columns, req.body.mapping ? JSON.parse(req.body.mapping) : {});
+      const missing = Object.values(mapping).find(col => !columns.includes(col));
+      if (missing) return res.status(400).json({ message: `Column "${missing}" not found`, columns, mapping });
+      if (!mapping.title) return res.status(400).json({ message: 'No column is mapped to title', columns, mapping });
+
+      const prepared = await prepareImport(records, { mapping, userId: req.user._id, project: project || null });
+      const dryRun = req.body.dryRun === 'true';
+      const saved = dryRun ? [] : await commitImport(prepared, req.user);
+
+      res.status(dryRun ? 200 : 201).json({
+        dryRun,
+        columns,
+        mapping,
+        total: records.length,
+        valid: prepared.docs.length,
+        imported: saved.length,
+        skipped: records.length - prepared.docs.length,
+        errors: prepared.errors,
+        newTags: prepared.newTags,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// POST /api/tasks/bulk -> apply one action to many tasks
+// Body: { ids: [...], action: complete|reopen|delete|retag|move,
+//         addTags/removeTags: [tag ids] (retag), project: <id>|null (move),
+//         force: true (complete tasks whose blockers are still open) }
+// Each task is checked on its own; the response lists the outcome per id.
+router.post(
+  '/bulk',
+  auth,
+  body('ids').isArray({ min: 1, max: BULK_MAX }).withMessage(`ids must be an array of 1 to ${BULK_MAX} task ids`),
+  body('ids.*').isMongoId().withMessage('invalid task id'),
+  body('action').isIn(BULK_ACTIONS).withMessage(`action must be one of ${BULK_ACTIONS.join(', ')}`),
+  body('addTags').optional().isArray().withMessage('addTags must be an array of tag ids'),
+  body('addTags.*').isMongoId().withMessage('invalid tag id'),
+  body('removeTags').optional().isArray().withMessage('removeTags must be an array of tag ids'),
+  body('removeTags.*').isMongoId().withMessage('invalid tag id'),
+  body('force').optional().isBoolean().withMessage('force must be true or false'),
+  body('project')
+    .if(body('action').equals('move'))
+    .custom(v => v === null || /^[a-f\d]{24}$/i.test(v))
+    .withMessage('project must be a project id or null'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const { action, project } = req.body;
+
+      // the move target is checked once, up front: without editor rights there nothing can move
+      let target = null;
+      if (action === 'move') {
+        if (project) {
+          const p = await Project.findById(project).select('members');
+          const role = p && p.roleOf(req.user._id);
+          if (!role) return res.status(404).json({ message: 'Project not found' });
+          if (!hasRole(role, 'editor')) return res.status(403).json({ message: 'Not allowed' });
+        }
+        target = { project: project || null, statuses: await workflowFor({ project, owner: req.user._id }) };
+      }
+
+      const results = [];
+      // one at a time, so history and recurrence behave exactly like the single-task routes
+      for (const id of [...new Set(req.body.ids.map(String))]) {
+        const access = await loadTask(id, req.user._id, 'editor');
+        const outcome = access.task ? await applyBulkAction(req, access.task, target) : access;
+
+        if (outcome.status) {
+          results.push({ id, ok: false, status: outcome.status, message: outcome.message });
+        } else {
+          results.push({ id, ok: true, ...(outcome.task ? { task: outcome.task } : {}), ...(outcome.next ? { next: outcome.next } : {}) });
+        }
+      }
+
+      const succeeded = results.filter(r => r.ok).length;
+      res.json({ results, meta: { succeeded, failed: results.length - succeeded } });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// GET /api/tasks/trash -> trashed tasks the user can see, most recently deleted first
+// Supports: ?project=<id> | all (default: personal tasks, like the list)  ?page=1&limit=20
+router.get(
+  '/trash',
+  auth,
+  query('project').optional().custom(v => v === 'all' || /^[a-f\d]{24}$/i.test(v)).withMessage('project must be a project id or "all"'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be >= 1'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const userId = req.user._id;
+      const { project } = req.query;
+      let scope;
+      if (project === 'all') {
+        scope = await accessibleTasksFilter(userId);
+      } else if (project) {
+        const p = await Project.findById(project).select('members');
+        if (!p || !p.roleOf(userId)) return res.status(404).json({ message: 'Project not found' });
+        scope = { project: p._id };
+      } else {
+        scope = { owner: userId, project: null };
+      }
+
+      const page = Math.max(1, parseInt(req.query.page || '1', 10));
+      const limit = Math.max(1, Math.min(100, parseInt(req.query.limit || '20', 10)));
+      const filter = { $and: [scope], deletedAt: { $ne: null } };
+
+      const [tasks, total] = await Promise.all([
+        Task.find(filter)
+          .sort({ deletedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('deletedBy', 'name'),
+        Task.countDocuments(filter),
+      ]);
+
+      const day = 24 * 60 * 60 * 1000;
+      res.json({
+        tasks: tasks.map(t => ({
+          ...t.toJSON(),
+          purgeAt: new Date(t.deletedAt.getTime() + TRASH_RETENTION_DAYS * day),
+        })),
+        meta: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+          retentionDays: TRASH_RETENTION_DAYS,
+        },
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// GET /api/tasks/:id -> get single task (any role on it)
 router.get(
   '/:id',
   auth,
@@ -109,8 +793,9 @@ router.get(
     if (vErr) return;
 
     try {
-      const task = await Task.findOne({ _id: req.params.id, owner: req.user._id });
-      if (!task) return res.status(404).json({ message: 'Task not found' });
+      const { task, status, message } = await loadTask(req.params.id, req.user._id);
+      if (!task) return res.status(status).json({ message });
+      res.set('ETag', etagOf(task));
       res.json({ task });
     } catch (err) {
       console.error(err);
@@ -119,7 +804,10 @@ router.get(
   }
 );
 
-// PUT /api/tasks/:id -> update task (owned by user)
+// PUT /api/tasks/:id -> update task (editor or owner)
+// With If-Match: "<version>" (the ETag) the update only applies to that version,
+// otherwise 412 with the current task.
+// Completing a task whose blockers are still open gets 409 (code BLOCKED) unless force: true.
 router.put(
   '/:id',
   auth,
@@ -127,25 +815,84 @@ router.put(
   body('title').optional().isString().trim().notEmpty().withMessage('title must be a non-empty string'),
   body('description').optional().isString().withMessage('description must be text'),
   body('completed').optional().isBoolean().withMessage('completed must be true or false'),
+  body('status').optional().isString().withMessage('status must be a status key'),
+  body('dueDate').optional({ values: 'null' }).isISO8601().withMessage('dueDate must be a date'),
+  body('priority').optional().isIn(Task.PRIORITIES).withMessage(`priority must be one of ${Task.PRIORITIES.join(', ')}`),
+  body('tags').optional().isArray().withMessage('tags must be an array of tag ids'),
+  body('tags.*').isMongoId().withMessage('invalid tag id'),
+  body('recurrence').optional({ values: 'null' }).custom(validRecurrence),
+  body('force').optional().isBoolean().withMessage('force must be true or false'),
   async (req, res) => {
     const vErr = handleValidation(req, res);
     if (vErr) return;
 
     try {
       const updates = {};
-      const { title, description, completed } = req.body;
+      const { title, description, completed, status, dueDate, priority } = req.body;
       if (title !== undefined) updates.title = title;
       if (description !== undefined) updates.description = description;
-      if (completed !== undefined) updates.completed = completed;
+      if (dueDate !== undefined) updates.dueDate = dueDate; // null clears it
+      if (priority !== undefined) {
+        updates.priority = priority;
+        updates.priorityRank = Task.PRIORITY_RANK[priority];
+      }
+
+      const access = await loadTask(req.params.id, req.user._id, 'editor');
+      if (!access.task) return res.status(access.status).json({ message: access.message });
+      const conditional = !!req.get('If-Match');
+      if (!ifMatchAllows(req, access.task)) return sendVersionConflict(res, access.task);
+
+      // status wins over completed; completed alone (older clients) picks a status of that kind
+      if (status !== undefined || completed !== undefined) {
+        const state = statusUpdate(await workflowFor(access.task), { status, completed }, access.task.status);
+        if (!state) return res.status(400).json({ message: 'Unknown status' });
+        Object.assign(updates, state);
+      }
+
+      if (updates.completed === true && !access.task.completed && req.body.force !== true) {
+        const blockers = await openBlockers(access.task);
+        if (blockers.length) {
+          return res.status(409).json({ message: 'This task is blocked by tasks that are still open', code: 'BLOCKED', blockers });
+        }
+      }
+
+      if (req.body.tags !== undefined) {
+        updates.tags = await allowedTagIds(req.body.tags, req.user._id, access.task);
+        if (!updates.tags) return res.status(400).json({ message: 'Unknown tag' });
+      }
+
+      // null stops the series: this task stays, no further occurrences are created
+      if (req.body.recurrence !== undefined) {
+        const anchor = updates.dueDate !== undefined ? updates.dueDate : access.task.dueDate;
+        updates.recurrence = req.body.recurrence && normalizeRecurrence(req.body.recurrence, anchor);
+      }
 
+      // conditional updates also lose if someone else writes between our read and this write
       const task = await Task.findOneAndUpdate(
-        { _id: req.params.id, owner: req.user._id },
+        conditional ? Task.atVersion(access.task) : { _id: access.task._id },
         { $set: updates },
         { new: true }
       );
 
-      if (!task) return res.status(404).json({ message: 'Task not found' });
-      res.json({ task });
+      if (!task) {
+        const current = conditional && await Task.findById(access.task._id);
+        if (current) return sendVersionConflict(res, current);
+        return res.status(404).json({ message: 'Task not found' });
+      }
+      await recordHistory({ action: 'update', user: req.user, before: access.task, after: task });
+      // completing an occurrence of a recurring task schedules the next one
+      // (before publishing: the spawn bumps the task's version)
+      const next = updates.completed === true && !access.task.completed ? await spawnNextOccurrence(task) : null;
+      publishTaskEvent('updated', { before: access.task, after: task });
+      dispatchTaskWebhooks('updated', { before: access.task, after: task, user: req.user });
+      if (next) {
+        await recordHistory({ action: 'create', user: req.user, after: next });
+        publishTaskEvent('created', { after: next });
+        dispatchTaskWebhooks('created', { after: next, user: req.user });
+      }
+
+      res.set('ETag', etagOf(task));
+      res.json(next ? { task, next } : { task });
     } catch (err) {
       console.error(err);
       res.status(500).json({ message: 'Server error' });
@@ -153,7 +900,8 @@ router.put(
   }
 );
 
-// DELETE /api/tasks/:id -> delete task (owned by user)
+// DELETE /api/tasks/:id -> move the task to the trash (editor or owner)
+// Honours If-Match like PUT.
 router.delete(
   '/:id',
   auth,
@@ -163,9 +911,151 @@ router.delete(
     if (vErr) return;
 
     try {
-      const task = await Task.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+      const access = await loadTask(req.params.id, req.user._id, 'editor');
+      if (!access.task) return res.status(access.status).json({ message: access.message });
+
+      const conditional = !!req.get('If-Match');
+      if (!ifMatchAllows(req, access.task)) return sendVersionConflict(res, access.task);
+
+      const task = await trashTask(access.task, req.user, { atVersion: conditional });
+      if (!task) {
+        const current = conditional && await Task.findById(access.task._id);
+        if (current) return sendVersionConflict(res, current);
+        return res.status(404).json({ message: 'Task not found' });
+      }
+      res.json({ message: 'Task moved to trash', task });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// POST /api/tasks/:id/restore -> take a task out of the trash (editor or owner)
+router.post(
+  '/:id/restore',
+  auth,
+  param('id').isMongoId().withMessage('invalid task id'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const access = await loadTask(req.params.id, req.user._id, 'editor', { trashed: true });
+      if (!access.task) return res.status(access.status).json({ message: access.message });
+
+      const task = await Task.findOneAndUpdate(
+        { _id: access.task._id, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null, deletedBy: null } },
+        { new: true }
+      );
       if (!task) return res.status(404).json({ message: 'Task not found' });
-      res.json({ message: 'Task deleted' });
+      await recordHistory({ action: 'restore', user: req.user, after: task });
+      // for everyone else it is as if the task had just been created
+      publishTaskEvent('created', { after: task });
+      dispatchTaskWebhooks('created', { after: task, user: req.user });
+
+      res.set('ETag', etagOf(task));
+      res.json({ task });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// POST /api/tasks/:id/skip -> move a recurring task to its next occurrence without completing it
+router.post(
+  '/:id/skip',
+  auth,
+  param('id').isMongoId().withMessage('invalid task id'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const { task, status, message } = await loadTask(req.params.id, req.user._id, 'editor');
+      if (!task) return res.status(status).json({ message });
+      if (!task.recurrence) return res.status(400).json({ message: 'Task does not repeat' });
+
+      const dueDate = followingDate(task, task.dueDate || new Date());
+      if (!dueDate) return res.status(400).json({ message: 'No more occurrences in this series' });
+
+      const before = task.toObject();
+      task.dueDate = dueDate;
+      task.occurrence = (task.occurrence || 1) + 1;
+      await task.save();
+      await recordHistory({ action: 'update', user: req.user, before, after: task });
+      publishTaskEvent('updated', { before, after: task });
+      dispatchTaskWebhooks('updated', { before, after: task, user: req.user });
+
+      res.set('ETag', etagOf(task));
+      res.json({ task });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// GET /api/tasks/:id/history -> who changed what, newest first
+// Supports: ?page=1&limit=20
+router.get(
+  '/:id/history',
+  auth,
+  param('id').isMongoId().withMessage('invalid task id'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be >= 1'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const { task, status, message } = await loadTask(req.params.id, req.user._id);
+      if (!task) return res.status(status).json({ message });
+
+      const page = Math.max(1, parseInt(req.query.page || '1', 10));
+      const limit = Math.max(1, Math.min(100, parseInt(req.query.limit || '20', 10)));
+      const filter = { task: task._id };
+
+      const [history, total] = await Promise.all([
+        TaskHistory.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('user', 'name email'),
+        TaskHistory.countDocuments(filter),
+      ]);
+
+      res.json({
+        history,
+        meta: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// GET /api/tasks/:id/graph -> dependency tree: { ...task, blockers: [{ ...task, blockers }], blocking: [{ ...task, blocking }] }
+router.get(
+  '/:id/graph',
+  auth,
+  param('id').isMongoId().withMessage('invalid task id'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const { task, status, message } = await loadTask(req.params.id, req.user._id);
+      if (!task) return res.status(status).json({ message });
+      res.json({ graph: await dependencyGraph(task) });
     } catch (err) {
       console.error(err);
       res.status(500).json({ message: 'Server error' });
@@ -173,4 +1063,16 @@ router.delete(
   }
 );
 
+// checklist items: /api/tasks/:id/items
+router.use('/:id/items', itemRoutes);
+
+// dependencies: /api/tasks/:id/blockers
+router.use('/:id/blockers', dependencyRoutes);
+
+// comments: /api/tasks/:id/comments
+router.use('/:id/comments', commentRoutes);
+
+// files: /api/tasks/:id/attachments
+router.use('/:id/attachments', attachmentRoutes);
+
 module.exports = router;
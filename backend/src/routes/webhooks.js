@@ -0,0 +1,231 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Project = require('../models/Project');
+const { newSecret, targetProblem, redeliver, ping } = require('../services/webhooks');
+
+const MAX_WEBHOOKS = 20;
+
+/**
+ * Helper - send validation errors (DRY)
+ */
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array().map(e => ({ param: e.param, msg: e.msg })) });
+  }
+  return null;
+};
+
+const webhookId = param('id').isMongoId().withMessage('invalid webhook id');
+
+// hosts without a TLD pass the format check; targetProblem then refuses anything
+// that isn't public (unless WEBHOOKS_ALLOW_PRIVATE is set, for a receiver on localhost)
+const urlCheck = (field) => body(field).isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+  .withMessage('url must be an http(s) URL')
+  .bail()
+  .custom(async (v) => {
+    const problem = await targetProblem(v);
+    if (problem) throw new Error(problem);
+  });
+
+const eventsCheck = (field) => [
+  body(field).isArray({ min: 1 }).withMessage('pick at least one event'),
+  body(`${field}.*`).isIn(Webhook.EVENTS).withMessage(`events must be among ${Webhook.EVENTS.join(', ')}`),
+];
+
+/**
+ * Load :id into req.webhook (with its secret). Only the user who registered
+ * a webhook can see or change it; anyone else gets a 404.
+ */
+const loadWebhook = async (req, res, next) => {
+  const vErr = handleValidation(req, res);
+  if (vErr) return;
+
+  try {
+    const webhook = await Webhook.findOne({ _id: req.params.id, owner: req.user._id }).select('+secret');
+    if (!webhook) return res.status(404).json({ message: 'Webhook not found' });
+    req.webhook = webhook;
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// the webhook as the API shows it: the secret only ever leaves at creation / rotation
+const serialize = (webhook) => {
+  const { secret, ...rest } = webhook.toJSON();
+  return rest;
+};
+
+// GET /api/webhooks -> the user's webhooks, newest first
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ owner: req.user._id }).sort({ createdAt: -1 }).populate('project', 'name');
+    res.json({ webhooks: webhooks.map(serialize), events: Webhook.EVENTS });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/webhooks -> register a webhook. Body: { url, events: [...], project?: id | null, description? }
+// Without a project it covers the user's personal tasks; a project's webhooks
+// can only be added by the project owner. The response is the only time the secret is shown.
+router.post(
+  '/',
+  urlCheck('url'),
+  ...eventsCheck('events'),
+  body('project').optional({ values: 'null' }).isMongoId().withMessage('project must be a project id'),
+  body('description').optional().isString().trim().isLength({ max: 200 }).withMessage('description must be at most 200 characters'),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const { url, events, project, description } = req.body;
+
+      if (project) {
+        const p = await Project.findById(project).select('members');
+        const role = p && p.roleOf(req.user._id);
+        if (!role) return res.status(404).json({ message: 'Project not found' });
+        if (role !== 'owner') return res.status(403).json({ message: 'Only the project owner can add webhooks' });
+      }
+
+      const count = await Webhook.countDocuments({ owner: req.user._id });
+      if (count >= MAX_WEBHOOKS) {
+        return res.status(400).json({ message: `At most ${MAX_WEBHOOKS} webhooks are allowed; remove one first` });
+      }
+
+      const secret = newSecret();
+      const webhook = await Webhook.create({
+        owner: req.user._id,
+        project: project || null,
+        url,
+        description: description || '',
+        events: [...new Set(events)],
+        secret,
+      });
+      res.status(201).json({ webhook: serialize(webhook), secret });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// PUT /api/webhooks/:id -> change url, events, description, or pause / resume it (active)
+router.put(
+  '/:id',
+  webhookId,
+  urlCheck('url').optional(),
+  body('events').optional().isArray({ min: 1 }).withMessage('pick at least one event'),
+  body('events.*').isIn(Webhook.EVENTS).withMessage(`events must be among ${Webhook.EVENTS.join(', ')}`),
+  body('description').optional().isString().trim().isLength({ max: 200 }).withMessage('description must be at most 200 characters'),
+  body('active').optional().isBoolean().withMessage('active must be true or false'),
+  loadWebhook,
+  async (req, res) => {
+    try {
+      const { url, events, description, active } = req.body;
+      if (url !== undefined) req.webhook.url = url;
+      if (events !== undefined) req.webhook.events = [...new Set(events)];
+      if (description !== undefined) req.webhook.description = description;
+      if (active !== undefined) req.webhook.active = active;
+
+      await req.webhook.save();
+      res.json({ webhook: serialize(req.webhook) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// DELETE /api/webhooks/:id -> remove a webhook and its delivery log
+router.delete('/:id', webhookId, loadWebhook, async (req, res) => {
+  try {
+    await WebhookDelivery.deleteMany({ webhook: req.webhook._id });
+    await req.webhook.deleteOne();
+    res.json({ message: 'Webhook deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/webhooks/:id/rotate-secret -> new signing secret, shown once; the old one stops working at once
+router.post('/:id/rotate-secret', webhookId, loadWebhook, async (req, res) => {
+  try {
+    const secret = newSecret();
+    req.webhook.secret = secret;
+    await req.webhook.save();
+    res.json({ webhook: serialize(req.webhook), secret });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/webhooks/:id/ping -> send a "ping" event and report how the receiver answered
+router.post('/:id/ping', webhookId, loadWebhook, async (req, res) => {
+  try {
+    const delivery = await ping(req.webhook);
+    res.json({ delivery });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/webhooks/:id/deliveries -> delivery log, newest first. Query: status, page, limit
+router.get(
+  '/:id/deliveries',
+  webhookId,
+  query('status').optional().isIn(WebhookDelivery.STATUSES).withMessage(`status must be one of ${WebhookDelivery.STATUSES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be >= 1'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+  loadWebhook,
+  async (req, res) => {
+    try {
+      const page = Math.max(1, parseInt(req.query.page || '1', 10));
+      const limit = Math.max(1, Math.min(100, parseInt(req.query.limit || '20', 10)));
+      const filter = { webhook: req.webhook._id };
+      if (req.query.status) filter.status = req.query.status;
+
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        WebhookDelivery.countDocuments(filter),
+      ]);
+
+      res.json({ deliveries, meta: { total, page, limit, pages: Math.ceil(total / limit) } });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/redeliver -> send a logged payload again (as a new log entry)
+router.post(
+  '/:id/deliveries/:deliveryId/redeliver',
+  webhookId,
+  param('deliveryId').isMongoId().withMessage('invalid delivery id'),
+  loadWebhook,
+  async (req, res) => {
+    try {
+      const original = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: req.webhook._id });
+      if (!original) return res.status(404).json({ message: 'Delivery not found' });
+
+      const delivery = await redeliver(original, req.webhook);
+      res.status(201).json({ delivery });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
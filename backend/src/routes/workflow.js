@@ -0,0 +1,89 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const router = express.Router();
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { hasRole } = require('../services/permissions');
+const { statusesOf, normalizeStatuses, syncTaskStatuses, workflowScope } = require('../services/workflow');
+
+/**
+ * Helper - send validation errors (DRY)
+ */
+const handleValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array().map(e => ({ param: e.param, msg: e.msg })) });
+  }
+  return null;
+};
+
+// express-validator custom check; normalizeStatuses throws the user-facing message
+const validStatuses = (value) => {
+  normalizeStatuses(value);
+  return true;
+};
+
+/**
+ * Load whoever holds the workflow asked for: the project in ?project=, or the
+ * user for personal tasks. Returns { holder, role, scope } or { status, message }.
+ */
+const loadHolder = async (req) => {
+  if (!req.query.project) {
+    const user = await User.findById(req.user._id).select('statuses');
+    return { holder: user, role: 'owner', scope: workflowScope({ owner: req.user._id }) };
+  }
+
+  const project = await Project.findById(req.query.project).select('members statuses');
+  const role = project && project.roleOf(req.user._id);
+  if (!role) return { status: 404, message: 'Project not found' };
+  return { holder: project, role, scope: workflowScope({ project }) };
+};
+
+const projectQuery = query('project').optional().isMongoId().withMessage('invalid project id');
+
+// GET /api/workflow?project=<id> -> ordered statuses of a project, or of your personal tasks
+router.get('/', projectQuery, async (req, res) => {
+  const vErr = handleValidation(req, res);
+  if (vErr) return;
+
+  try {
+    const { holder, role, status, message } = await loadHolder(req);
+    if (!holder) return res.status(status).json({ message });
+
+    res.json({ statuses: statusesOf(holder), canEdit: hasRole(role, 'owner') });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PUT /api/workflow?project=<id> -> replace the statuses (project owner, or yourself for personal tasks)
+// Body: { statuses: [{ key?, name, done }] } in column order. Tasks in a removed
+// status move to the first column of the same kind (done / not done).
+router.put(
+  '/',
+  projectQuery,
+  body('statuses').custom(validStatuses),
+  async (req, res) => {
+    const vErr = handleValidation(req, res);
+    if (vErr) return;
+
+    try {
+      const { holder, role, scope, status, message } = await loadHolder(req);
+      if (!holder) return res.status(status).json({ message });
+      if (!hasRole(role, 'owner')) return res.status(403).json({ message: 'Only the project owner can change its statuses' });
+
+      const statuses = normalizeStatuses(req.body.statuses);
+      holder.statuses = statuses;
+      await holder.save();
+      await syncTaskStatuses(scope, statuses);
+
+      res.json({ statuses, canEdit: true });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
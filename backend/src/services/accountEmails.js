@@ -0,0 +1,46 @@
+const { getMailer } = require('./mailer');
+const { issueAccountToken } = require('./accountTokens');
+
+// the frontend, where the links in the emails point to
+const APP_URL = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+/**
+ * Email a link that confirms the user owns their address.
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await issueAccountToken(user._id, 'verify-email');
+  await getMailer().send({
+    to: user.email,
+    subject: 'Confirm your TaskPilot email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm your email address by opening this link:',
+      `${APP_URL}/verify-email?token=${token}`,
+      '',
+      'The link is valid for 48 hours. If you did not sign up for TaskPilot, ignore this email.',
+    ].join('\n'),
+  });
+};
+
+/**
+ * Email a link to choose a new password.
+ */
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueAccountToken(user._id, 'reset-password');
+  await getMailer().send({
+    to: user.email,
+    subject: 'Reset your TaskPilot password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Someone (hopefully you) asked to reset your password. Choose a new one here:',
+      `${APP_URL}/reset-password?token=${token}`,
+      '',
+      'The link is valid for 1 hour and works once. If you did not ask for this, ignore this email;',
+      'your password stays the same.',
+    ].join('\n'),
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+
+// how long a link in an email stays valid
+const TTL_MS = {
+  'verify-email': 48 * 60 * 60 * 1000,
+  'reset-password': 60 * 60 * 1000,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * New token for `purpose`; earlier unused tokens of the same purpose stop
+ * working, so only the latest email's link is valid.
+ * Returns the raw token, which only ever appears in the email.
+ */
+const issueAccountToken = async (userId, purpose) => {
+  await AccountToken.updateMany({ user: userId, purpose, usedAt: null }, { $set: { usedAt: new Date() } });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await AccountToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TTL_MS[purpose]),
+  });
+  return token;
+};
+
+/**
+ * Spend a token: atomically marks it used. Returns the user id, or null when
+ * the token is unknown, expired, already used or meant for something else.
+ */
+const consumeAccountToken = async (token, purpose) => {
+  const spent = await AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(String(token)), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } }
+  );
+  return spent ? spent.user : null;
+};
+
+module.exports = { issueAccountToken, consumeAccountToken };
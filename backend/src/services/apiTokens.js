@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const ApiToken = require('../models/ApiToken');
+
+// every personal token starts with this, so the auth middleware can tell it from a JWT
+const TOKEN_PREFIX = 'tp_';
+
+// lastUsedAt is only written when it is this stale, not on every request
+const TOUCH_EVERY_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isApiToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Create a token for a user. Returns { token, apiToken }: the raw token is
+ * not stored anywhere and can't be shown again.
+ */
+const createApiToken = async (userId, { name, scopes, expiresInDays = null }) => {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const apiToken = await ApiToken.create({
+    user: userId,
+    name,
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    tokenHash: hashToken(token),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+  });
+  return { token, apiToken };
+};
+
+// still usable: not revoked and not expired
+const activeFilter = () => ({ revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] });
+
+/**
+ * The active token record behind a raw token, or null.
+ */
+const findApiToken = async (token) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashToken(token), ...activeFilter() });
+  if (!apiToken) return null;
+
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > TOUCH_EVERY_MS) {
+    // best effort, the request doesn't wait for it
+    ApiToken.updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(err => console.error('Failed to update token lastUsedAt:', err));
+  }
+  return apiToken;
+};
+
+// every token the user still has stops working, e.g. after a password reset
+const revokeAllApiTokens = (userId) =>
+  ApiToken.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+const isApiTokenActive = async (tokenId) => !!(await ApiToken.exists({ _id: tokenId, ...activeFilter() }));
+
+/**
+ * Does the token grant `scope`? A write scope covers reading the same resource.
+ */
+const hasScope = (apiToken, scope) => {
+  const [resource] = scope.split(':');
+  return apiToken.scopes.includes(scope) || apiToken.scopes.includes(`${resource}:write`);
+};
+
+module.exports = { isApiToken, createApiToken, findApiToken, revokeAllApiTokens, isApiTokenActive, hasScope };
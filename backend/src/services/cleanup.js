@@ -0,0 +1,62 @@
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('./storage');
+
+/**
+ * Remove everything that hangs off tasks which are being deleted for good.
+ * History entries are kept on purpose: they are the audit trail.
+ */
+const purgeTaskData = async (taskIds) => {
+  const ids = [].concat(taskIds);
+  if (!ids.length) return;
+
+  await Comment.deleteMany({ task: { $in: ids } });
+  // nothing can wait on a task that is gone
+  await Task.updateMany({ blockedBy: { $in: ids } }, { $pull: { blockedBy: { $in: ids } } });
+
+  const attachments = await Attachment.find({ task: { $in: ids } }).select('+storageKey');
+  const storage = getStorage();
+  // a file that fails to delete is logged and left behind rather than failing the whole delete
+  await Promise.all(attachments.map(a => storage.remove(a.storageKey).catch(err => {
+    console.error(`Failed to remove attachment ${a._id}:`, err);
+  })));
+  await Attachment.deleteMany({ task: { $in: ids } });
+};
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+const PURGE_EVERY_MS = 60 * 60 * 1000;
+const PURGE_BATCH = 500;
+
+/**
+ * Delete for good the tasks that have been in the trash for more than `days`.
+ * Returns how many were removed.
+ */
+const purgeTrash = async (days = TRASH_RETENTION_DAYS) => {
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  let removed = 0;
+
+  // in batches, so a big backlog doesn't load every id at once
+  for (;;) {
+    const batch = await Task.find({ deletedAt: { $lt: cutoff } }).select('_id').limit(PURGE_BATCH).lean();
+    if (!batch.length) return removed;
+
+    const ids = batch.map(t => t._id);
+    await purgeTaskData(ids);
+    await Task.deleteMany({ _id: { $in: ids } });
+    removed += ids.length;
+  }
+};
+
+/**
+ * Run purgeTrash now and then every hour for as long as the process lives.
+ */
+const startTrashPurge = () => {
+  const run = () => purgeTrash()
+    .then(n => { if (n) console.log(`Purged ${n} tasks from the trash`); })
+    .catch(err => console.error('Trash purge failed:', err));
+  run();
+  setInterval(run, PURGE_EVERY_MS).unref();
+};
+
+module.exports = { TRASH_RETENTION_DAYS, purgeTaskData, purgeTrash, startTrashPurge };
@@ -0,0 +1,81 @@
+// Minimal RFC 4180 CSV: comma separated, fields quoted with "" when they
+// contain a comma, quote or line break. Enough for spreadsheet round trips.
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Accepts \n or \r\n line endings and a leading byte order mark.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // blank lines carry no data
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+};
+
+/**
+ * Parse CSV with a header line into objects keyed by column name.
+ * Returns { columns, records }.
+ */
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(h => h.trim());
+  // undo the ' that toCsv puts before formula-like cells, so exports import as they were
+  const cell = v => (v === undefined ? '' : v.replace(/^'(?=[=+\-@\t\r])/, ''));
+  const records = rows.map(r => Object.fromEntries(columns.map((col, i) => [col, cell(r[i])])));
+  return { columns, records };
+};
+
+// a cell starting with one of these is run as a formula by spreadsheets
+// ("=HYPERLINK(...)" in a shared task's title); a leading ' makes it plain text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const quote = (value) => {
+  let s = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * CSV text for `records` (objects), one column per entry of `columns`.
+ */
+const toCsv = (columns, records) =>
+  [columns, ...records.map(r => columns.map(col => r[col]))]
+    .map(row => row.map(quote).join(','))
+    .join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, parseCsvRecords, toCsv };
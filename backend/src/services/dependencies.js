@@ -0,0 +1,146 @@
+const Task = require('../models/Task');
+
+// "B is blocked by A" is stored on B: A's id is in B.blockedBy. What a task is
+// blocking is found the other way round, by looking for it in blockedBy.
+// Both tasks always live in the same list (project, or the owner's personal tasks).
+
+const MAX_BLOCKERS = 50;
+// how far GET /api/tasks/:id/graph follows the chain in either direction
+const GRAPH_DEPTH = 10;
+
+const sameList = (a, b) => (a.project || b.project
+  ? String(a.project && (a.project._id || a.project)) === String(b.project && (b.project._id || b.project))
+  : String(a.owner) === String(b.owner));
+
+/**
+ * Would "task is blocked by blocker" close a loop? Walks everything the blocker
+ * waits on (trashed tasks too: they can be restored). Returns the loop as a
+ * list of task ids, starting and ending at `task`, or null when there is none.
+ */
+const findCycle = async (task, blocker) => {
+  if (String(task._id) === String(blocker._id)) return [task._id, task._id];
+
+  // aggregation skips the model's query hooks, so trashed tasks are walked as well
+  const [result] = await Task.aggregate([
+    { $match: { _id: blocker._id } },
+    {
+      $graphLookup: {
+        from: Task.collection.name,
+        startWith: '$blockedBy',
+        connectFromField: 'blockedBy',
+        connectToField: '_id',
+        as: 'upstream',
+      },
+    },
+    { $project: { blockedBy: 1, 'upstream._id': 1, 'upstream.blockedBy': 1 } },
+  ]);
+  if (!result) return null;
+
+  const target = String(task._id);
+  const waitsOn = new Map([[String(result._id), result.blockedBy || []], ...result.upstream.map(n => [String(n._id), n.blockedBy || []])]);
+  if (!result.upstream.some(n => String(n._id) === target)) return null;
+
+  // shortest way from the blocker back to the task, for the error message
+  const cameFrom = new Map([[String(blocker._id), null]]);
+  const queue = [String(blocker._id)];
+  while (queue.length) {
+    const id = queue.shift();
+    if (id === target) break;
+    for (const next of (waitsOn.get(id) || []).map(String)) {
+      if (cameFrom.has(next)) continue;
+      cameFrom.set(next, id);
+      queue.push(next);
+    }
+  }
+  const path = [];
+  for (let id = target; id; id = cameFrom.get(id)) path.unshift(id);
+  return [target, ...path];
+};
+
+/**
+ * Blockers of a task that aren't done yet (trashed ones don't count), as { _id, title }.
+ */
+const openBlockers = async (task) => {
+  if (!task.blockedBy || !task.blockedBy.length) return [];
+  return Task.find({ _id: { $in: task.blockedBy }, completed: false }).select('title').lean();
+};
+
+/**
+ * openBlockers for a whole page of tasks at once: Map of task id -> [{ _id, title }].
+ */
+const openBlockersByTask = async (tasks) => {
+  const ids = [...new Set(tasks.flatMap(t => (t.blockedBy || []).map(String)))];
+  if (!ids.length) return new Map();
+
+  const open = await Task.find({ _id: { $in: ids }, completed: false }).select('title').lean();
+  const byId = new Map(open.map(b => [String(b._id), { _id: b._id, title: b.title }]));
+  return new Map(tasks.map(t => [
+    String(t._id),
+    (t.blockedBy || []).map(id => byId.get(String(id))).filter(Boolean),
+  ]));
+};
+
+/**
+ * Dependency tree around a task: `blockers` are what it waits on (and what
+ * those wait on, ...), `blocking` what waits on it. Trashed tasks are left out.
+ * A task reached twice is listed twice; each branch stops at GRAPH_DEPTH.
+ */
+const dependencyGraph = async (task) => {
+  const lookup = (as, startWith, connectFromField, connectToField) => ({
+    $graphLookup: {
+      from: Task.collection.name,
+      startWith,
+      connectFromField,
+      connectToField,
+      as,
+      maxDepth: GRAPH_DEPTH - 1,
+      restrictSearchWithMatch: { deletedAt: null },
+    },
+  });
+  const [result] = await Task.aggregate([
+    { $match: { _id: task._id } },
+    lookup('upstream', '$blockedBy', 'blockedBy', '_id'),
+    lookup('downstream', '$_id', '_id', 'blockedBy'),
+  ]);
+
+  // enough of each task for a card, not the whole task
+  const node = (t) => ({
+    _id: t._id,
+    title: t.title,
+    status: t.status || null,
+    completed: !!t.completed,
+    dueDate: t.dueDate || null,
+    priority: t.priority || 'medium',
+  });
+  const nodes = new Map([...result.upstream, ...result.downstream, result].map(t => [String(t._id), t]));
+
+  // walk the edges; `seen` is the current branch only, so a cycle in old data can't loop forever
+  const up = (t, depth, seen) => (depth >= GRAPH_DEPTH ? [] : (t.blockedBy || [])
+    .map(id => nodes.get(String(id)))
+    .filter(b => b && !seen.has(String(b._id)))
+    .map(b => ({ ...node(b), blockers: up(b, depth + 1, new Set([...seen, String(b._id)])) })));
+
+  const waiting = new Map();
+  result.downstream.forEach(t => (t.blockedBy || []).forEach(id => {
+    waiting.set(String(id), [...(waiting.get(String(id)) || []), t]);
+  }));
+  const down = (t, depth, seen) => (depth >= GRAPH_DEPTH ? [] : (waiting.get(String(t._id)) || [])
+    .filter(d => !seen.has(String(d._id)))
+    .map(d => ({ ...node(d), blocking: down(d, depth + 1, new Set([...seen, String(d._id)])) })));
+
+  const root = new Set([String(task._id)]);
+  return { ...node(result), blockers: up(result, 0, root), blocking: down(result, 0, root) };
+};
+
+/**
+ * Cut a task loose from every dependency, both ways: used when it moves to
+ * another list, where its old blockers and dependents can't follow.
+ */
+const detachDependencies = async (task) => {
+  await Task.updateMany({ blockedBy: task._id }, { $pull: { blockedBy: task._id } });
+  if (task.blockedBy && task.blockedBy.length) {
+    await Task.updateOne({ _id: task._id }, { $set: { blockedBy: [] } });
+  }
+};
+
+module.exports = { MAX_BLOCKERS, sameList, findCycle, openBlockers, openBlockersByTask, dependencyGraph, detachDependencies };
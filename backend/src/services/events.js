@@ -0,0 +1,47 @@
+const { EventEmitter } = require('events');
+const Project = require('../models/Project');
+
+// In-process pub/sub for live updates. Every open stream subscribes to its
+// user's channel; with several API instances behind a load balancer this would
+// need a shared broker (e.g. Redis pub/sub) behind the same two functions.
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open browser tab
+
+const channel = (userId) => `user:${userId}`;
+
+/**
+ * Listen to the events of one user. Returns the function that stops listening.
+ */
+const subscribe = (userId, listener) => {
+  bus.on(channel(userId), listener);
+  return () => bus.off(channel(userId), listener);
+};
+
+// ids of the users who can see the task: its owner, or everyone in its project
+const audience = async (task) => {
+  if (!task.project) return [String(task.owner)];
+  const project = await Project.findById(task.project._id || task.project).select('members');
+  return project ? project.members.map(m => String(m.user)) : [];
+};
+
+/**
+ * Tell everyone who can see a task that it changed.
+ * type is 'created', 'updated' or 'deleted'; before/after as for recordHistory.
+ * Users who could see the task before but not after (it moved to another
+ * project) get a 'deleted' event instead.
+ * Runs in the background and never fails the request; errors are logged.
+ */
+const publishTaskEvent = (type, { before = null, after = null }) => {
+  (async () => {
+    const task = after || before;
+    const now = after && type !== 'deleted' ? await audience(after) : [];
+    const earlier = before ? await audience(before) : [];
+    const lost = earlier.filter(id => !now.includes(id));
+
+    const data = type === 'deleted' ? { _id: String(task._id) } : task.toJSON();
+    now.forEach(id => bus.emit(channel(id), { type: `task.${type}`, task: data }));
+    lost.forEach(id => bus.emit(channel(id), { type: 'task.deleted', task: { _id: String(task._id) } }));
+  })().catch(err => console.error(err));
+};
+
+module.exports = { subscribe, publishTaskEvent };
@@ -0,0 +1,56 @@
+const TaskHistory = require('../models/TaskHistory');
+
+// fields worth showing in the timeline; bookkeeping fields (priorityRank, spawnedNext, ...) are left out
+const TRACKED_FIELDS = ['title', 'description', 'status', 'completed', 'dueDate', 'priority', 'tags', 'recurrence', 'project'];
+
+// plain, comparable value of a task field as it should appear in the history
+const snapshotValue = (task, field) => {
+  const value = task[field];
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  // tags are populated on every task query; keep the names, they read better than ids
+  if (field === 'tags') return value.map(t => (t && t.name) || String(t));
+  if (field === 'project') return String(value._id || value);
+  if (typeof value.toObject === 'function') return value.toObject();
+  return value;
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Field-level differences between two versions of a task.
+ */
+const diffTask = (before, after) =>
+  TRACKED_FIELDS
+    .map(field => ({ field, from: snapshotValue(before, field), to: snapshotValue(after, field) }))
+    .filter(c => !same(c.from, c.to));
+
+/**
+ * Record what a user did to a task. For updates, before/after are the two
+ * versions of the task; nothing is written when no tracked field changed.
+ * History is best effort: a failure is logged, never surfaced to the request.
+ */
+const recordHistory = async ({ action, user, before = null, after = null }) => {
+  try {
+    const task = after || before;
+    let changes = [];
+
+    if (action === 'create') {
+      // only the fields that were actually filled in
+      changes = diffTask({}, after).filter(c => c.to !== '' && c.to !== false && !(Array.isArray(c.to) && !c.to.length));
+    } else if (action !== 'delete' && action !== 'restore') {
+      changes = diffTask(before, after);
+      if (!changes.length) return null;
+
+      const completion = changes.find(c => c.field === 'completed');
+      if (completion) action = completion.to ? 'complete' : 'reopen';
+    }
+
+    return await TaskHistory.create({ task: task._id, user: user._id || user, action, changes });
+  } catch (err) {
+    console.error('Failed to record task history:', err);
+    return null;
+  }
+};
+
+module.exports = { TRACKED_FIELDS, diffTask, recordHistory };
@@ -0,0 +1,63 @@
+// iCalendar (RFC 5545) export of tasks with a due date, one all-day event
+// per task so they show up in any calendar app.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const escapeText = (s) => String(s || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// lines longer than 75 octets are continued on the next line after a space
+const fold = (line) => {
+  const out = [];
+  let rest = Buffer.from(line, 'utf8');
+  while (rest.length > 75) {
+    let cut = out.length ? 74 : 75;
+    // don't split a multi-byte character
+    while ((rest[cut] & 0xc0) === 0x80) cut--;
+    out.push(rest.subarray(0, cut).toString('utf8'));
+    rest = rest.subarray(cut);
+  }
+  out.push(rest.toString('utf8'));
+  return out.join('\r\n ');
+};
+
+const stamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// YYYYMMDD of the date in the user's local time (tzOffset as from getTimezoneOffset())
+const localDay = (date, tzOffset) => new Date(date.getTime() - tzOffset * 60 * 1000).toISOString().slice(0, 10).replace(/-/g, '');
+
+/**
+ * VCALENDAR text for the tasks; tasks without a due date are left out.
+ */
+const toICalendar = (tasks, { tzOffset = 0, now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TaskPilot//Tasks//EN',
+    'CALSCALE:GREGORIAN',
+  ];
+
+  tasks.filter(t => t.dueDate).forEach(t => {
+    const due = new Date(t.dueDate);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${t._id}@taskpilot`,
+      `DTSTAMP:${stamp(now)}`,
+      `LAST-MODIFIED:${stamp(t.updatedAt || now)}`,
+      `DTSTART;VALUE=DATE:${localDay(due, tzOffset)}`,
+      `DTEND;VALUE=DATE:${localDay(new Date(due.getTime() + DAY), tzOffset)}`,
+      `SUMMARY:${escapeText(t.completed ? `✓ ${t.title}` : t.title)}`,
+    );
+    if (t.description) lines.push(`DESCRIPTION:${escapeText(t.description)}`);
+    if (t.tags && t.tags.length) lines.push(`CATEGORIES:${t.tags.map(tag => escapeText(tag.name)).join(',')}`);
+    lines.push(`PRIORITY:${{ urgent: 1, high: 3, medium: 5, low: 9 }[t.priority] || 5}`, 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+};
+
+module.exports = { toICalendar };
@@ -0,0 +1,64 @@
+const createMemoryStore = require('./memory');
+const createMongoStore = require('./mongo');
+
+// Every limiter store exposes:
+//   get(key)             -> { hits, windowEndsAt, blockedUntil } | null
+//   hit(key, windowMs)   -> the record after counting one more hit
+//   block(key, until)    -> key refused until `until` (ms timestamp)
+//   reset(key)
+// Pick one with LIMITER_STORE: "memory" (default, single process) or "mongo"
+// (shared by every replica).
+const drivers = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+let store = null;
+
+const getLimiterStore = () => {
+  if (!store) {
+    const driver = process.env.LIMITER_STORE || 'memory';
+    if (!drivers[driver]) throw new Error(`Unknown LIMITER_STORE: ${driver}`);
+    store = drivers[driver]();
+  }
+  return store;
+};
+
+/**
+ * A named limit on one kind of attempt. The first `free` hits within
+ * `windowMs` pass untouched; every hit after that blocks the key for
+ * `baseDelayMs`, doubling each time up to `maxDelayMs` (progressive backoff).
+ * With `lockAfter`, reaching that many hits blocks for `lockMs` outright.
+ */
+const createLimiter = ({ name, windowMs, free, baseDelayMs = 1000, maxDelayMs, lockAfter, lockMs }) => {
+  const keyOf = (id) => `${name}:${id}`;
+
+  const delayFor = (hits) => {
+    if (lockAfter && hits >= lockAfter) return lockMs;
+    if (hits <= free) return 0;
+    return Math.min(baseDelayMs * 2 ** (hits - free - 1), maxDelayMs);
+  };
+
+  return {
+    // ms until `id` may try again, 0 when it isn't blocked
+    async retryAfter(id) {
+      const record = await getLimiterStore().get(keyOf(id));
+      if (!record || !record.blockedUntil) return 0;
+      return Math.max(record.blockedUntil - Date.now(), 0);
+    },
+
+    // count one attempt; returns the delay it earned (0 = none)
+    async hit(id) {
+      const record = await getLimiterStore().hit(keyOf(id), windowMs);
+      const delay = delayFor(record.hits);
+      if (delay) await getLimiterStore().block(keyOf(id), Date.now() + delay);
+      return delay;
+    },
+
+    reset(id) {
+      return getLimiterStore().reset(keyOf(id));
+    },
+  };
+};
+
+module.exports = { getLimiterStore, createLimiter };
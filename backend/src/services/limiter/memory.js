@@ -0,0 +1,54 @@
+const SWEEP_MS = 60 * 1000;
+
+/**
+ * Limiter store kept in this process. Counters are lost on restart and not
+ * shared between replicas; use the mongo store when running more than one.
+ */
+const createMemoryStore = () => {
+  const records = new Map(); // key -> { hits, windowEndsAt, blockedUntil }
+
+  const live = (key, now) => {
+    const record = records.get(key);
+    if (!record) return null;
+    if (record.windowEndsAt <= now && (!record.blockedUntil || record.blockedUntil <= now)) {
+      records.delete(key);
+      return null;
+    }
+    return record;
+  };
+
+  // drop dead counters now and then so the map doesn't grow without bound
+  setInterval(() => {
+    const now = Date.now();
+    for (const key of records.keys()) live(key, now);
+  }, SWEEP_MS).unref();
+
+  return {
+    async get(key) {
+      const record = live(key, Date.now());
+      return record ? { ...record } : null;
+    },
+
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let record = live(key, now);
+      if (!record || record.windowEndsAt <= now) {
+        record = { hits: 0, windowEndsAt: now + windowMs, blockedUntil: record ? record.blockedUntil : null };
+        records.set(key, record);
+      }
+      record.hits += 1;
+      return { ...record };
+    },
+
+    async block(key, until) {
+      const record = records.get(key);
+      if (record) record.blockedUntil = until;
+    },
+
+    async reset(key) {
+      records.delete(key);
+    },
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,59 @@
+const RateLimit = require('../../models/RateLimit');
+
+const toRecord = (doc) => doc && {
+  hits: doc.hits,
+  windowEndsAt: doc.windowEndsAt.getTime(),
+  blockedUntil: doc.blockedUntil ? doc.blockedUntil.getTime() : null,
+};
+
+/**
+ * Limiter store backed by the RateLimit collection, so every replica sees the
+ * same counters. Each hit is a single atomic upsert.
+ */
+const createMongoStore = () => ({
+  async get(key) {
+    const doc = await RateLimit.findOne({ key, expiresAt: { $gt: new Date() } });
+    return toRecord(doc);
+  },
+
+  async hit(key, windowMs) {
+    const now = new Date();
+    const inWindow = { $gt: ['$windowEndsAt', now] };
+    const windowEndsAt = { $cond: [inWindow, '$windowEndsAt', new Date(now.getTime() + windowMs)] };
+
+    // start a new window when the old one is over (or there is none yet)
+    const doc = await RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            hits: { $cond: [inWindow, { $add: ['$hits', 1] }, 1] },
+            windowEndsAt,
+            // $toDate: a counter written before blocks were stored as dates still compares right
+            blockedUntil: { $toDate: '$blockedUntil' },
+          },
+        },
+        { $set: { expiresAt: { $max: ['$windowEndsAt', '$blockedUntil'] } } },
+      ],
+      { upsert: true, new: true, updatePipeline: true }
+    );
+    return toRecord(doc);
+  },
+
+  async block(key, until) {
+    // pipelines aren't cast by Mongoose: a plain number would be stored as one,
+    // and would rank below any date in $max, so the lockout would expire with the window
+    const blockedUntil = new Date(until);
+    await RateLimit.updateOne(
+      { key },
+      [{ $set: { blockedUntil, expiresAt: { $max: ['$windowEndsAt', blockedUntil] } } }],
+      { updatePipeline: true }
+    );
+  },
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  },
+});
+
+module.exports = createMongoStore;
@@ -0,0 +1,26 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Mailer that writes each message as an .eml file (openable in any mail
+ * client) instead of sending it. For development only.
+ */
+const createFileMailer = ({ dir, from }) => ({
+  async send({ to, subject, text }) {
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}.eml`;
+    const message = [
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text,
+    ].join('\r\n');
+    await fs.writeFile(path.join(dir, name), message);
+  },
+});
+
+module.exports = createFileMailer;
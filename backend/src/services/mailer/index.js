@@ -0,0 +1,31 @@
+const path = require('path');
+const createFileMailer = require('./file');
+const createSmtpMailer = require('./smtp');
+
+// Every mailer exposes one async method:
+//   send({ to, subject, text }) -> resolves once the message is handed off
+// Pick one with MAIL_DRIVER: "file" (default) writes .eml files to MAIL_DIR for
+// development, "smtp" talks to SMTP_URL (a local catcher like MailHog, or a real server).
+const drivers = {
+  file: () => createFileMailer({
+    dir: process.env.MAIL_DIR || path.resolve(__dirname, '../../../mail'),
+    from: process.env.MAIL_FROM || 'TaskPilot <no-reply@taskpilot.local>',
+  }),
+  smtp: () => createSmtpMailer({
+    url: process.env.SMTP_URL || 'smtp://localhost:1025',
+    from: process.env.MAIL_FROM || 'TaskPilot <no-reply@taskpilot.local>',
+  }),
+};
+
+let mailer = null;
+
+const getMailer = () => {
+  if (!mailer) {
+    const driver = process.env.MAIL_DRIVER || 'file';
+    if (!drivers[driver]) throw new Error(`Unknown MAIL_DRIVER: ${driver}`);
+    mailer = drivers[driver]();
+  }
+  return mailer;
+};
+
+module.exports = { getMailer };
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Keyset ("cursor") pagination over one sort field, with _id breaking ties.
+// A cursor points at a row: the page after it (or before it) starts right
+// next to that row, so rows inserted or deleted elsewhere don't shift pages
+// the way skip/limit does. Cursors are opaque to clients: base64url JSON of
+// the sort they belong to and the position of the row.
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+/**
+ * Cursor for the row `doc` in a list sorted by `sortKey` on `field`.
+ */
+const cursorFor = (sortKey, doc, field) => {
+  const value = doc[field];
+  return encodeCursor({
+    s: sortKey,
+    v: value instanceof Date ? { d: value.toISOString() } : (value === undefined ? null : value),
+    id: String(doc._id),
+  });
+};
+
+// relevance order can't be walked by key, so its cursors hold an offset
+const offsetCursor = (sortKey, offset) => encodeCursor({ s: sortKey, o: offset });
+
+/**
+ * Decode a cursor made for `sortKey`. Returns { value, id } or { offset },
+ * or null when the cursor is malformed or belongs to another sort.
+ */
+const decodeCursor = (cursor, sortKey) => {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!data || data.s !== sortKey) return null;
+  if (sortKey === 'relevance') return Number.isInteger(data.o) && data.o >= 0 ? { offset: data.o } : null;
+  if (!mongoose.isValidObjectId(data.id)) return null;
+
+  const value = data.v && typeof data.v === 'object' ? new Date(data.v.d) : data.v;
+  if (value instanceof Date && Number.isNaN(value.getTime())) return null;
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) return null;
+  return { value, id: new mongoose.Types.ObjectId(data.id) };
+};
+
+/**
+ * Filter for the rows that come after the cursor row when walking `field`
+ * in direction `dir` (1 up, -1 down). Mongo sorts null before any value, so
+ * going up nulls come first and going down they come last.
+ */
+const keysetFilter = (field, dir, { value, id }) => {
+  const op = dir === 1 ? '$gt' : '$lt';
+  const tie = { [field]: value, _id: { [op]: id } };
+
+  if (value === null) return dir === 1 ? { $or: [tie, { [field]: { $ne: null } }] } : tie;
+
+  const past = { [field]: { [op]: value } };
+  return { $or: dir === 1 ? [past, tie] : [past, tie, { [field]: null }] };
+};
+
+module.exports = { cursorFor, offsetCursor, decodeCursor, keysetFilter };
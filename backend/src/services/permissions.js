@@ -0,0 +1,52 @@
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+
+// higher rank can do everything a lower rank can
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+const hasRole = (role, minRole) => !!role && ROLE_RANK[role] >= ROLE_RANK[minRole];
+
+/**
+ * Role of a user on a task: personal tasks (no project) belong to their
+ * owner only, project tasks inherit the user's role in that project.
+ */
+const taskRole = async (task, userId) => {
+  if (!task.project) return String(task.owner) === String(userId) ? 'owner' : null;
+  const project = await Project.findById(task.project).select('members');
+  return project ? project.roleOf(userId) : null;
+};
+
+/**
+ * Load a task the user may act on with at least `minRole`.
+ * Trashed tasks are only found with { trashed: true }, and then only those.
+ * Returns { task, role } or { status, message } ready to be sent back.
+ */
+const loadTask = async (taskId, userId, minRole = 'viewer', { trashed = false } = {}) => {
+  const task = await Task.findOne({ _id: taskId, deletedAt: trashed ? { $ne: null } : null });
+  if (!task) return { status: 404, message: 'Task not found' };
+
+  const role = await taskRole(task, userId);
+  // don't reveal that the task exists to people outside the project
+  if (!role) return { status: 404, message: 'Task not found' };
+  if (!hasRole(role, minRole)) return { status: 403, message: 'Not allowed' };
+
+  return { task, role };
+};
+
+/**
+ * Mongo filter matching every task the user can at least view:
+ * their personal tasks plus the tasks of all projects they are a member of.
+ */
+const accessibleTasksFilter = async (userId, minRole = 'viewer') => {
+  const projects = await Project.find({ 'members.user': userId }).select('members');
+  const projectIds = projects.filter(p => hasRole(p.roleOf(userId), minRole)).map(p => p._id);
+
+  return {
+    $or: [
+      { project: null, owner: userId },
+      { project: { $in: projectIds } },
+    ],
+  };
+};
+
+module.exports = { ROLE_RANK, hasRole, taskRole, loadTask, accessibleTasksFilter };
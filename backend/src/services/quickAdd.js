@@ -0,0 +1,227 @@
+const { normalizeRecurrence } = require('./recurrence');
+
+// Quick-add: one line of text such as "Pay rent tomorrow 9am #home !high every month"
+// split into task fields. Understood, anywhere in the line:
+//   #tag                       tags (any number)
+//   !low !medium !high !urgent priority (also !l !m !h !u)
+//   every day / week / month / year, every 2 weeks, every other day,
+//   every monday and thursday, every weekday, daily / weekly / monthly / yearly
+//   today, tonight, tomorrow, monday / next monday, next week / month / year,
+//   in 3 days / 2 weeks / a month, 2026-11-03, nov 3, 3rd of november
+//   9am, 9:30pm, at 14:00, noon, midnight
+// Whatever is left becomes the title; "quoted text" is never parsed.
+// Dates are worked out in the user's local time (tzOffset, as from getTimezoneOffset()).
+
+// no "sun", "wed" or "sat": those are words, and "fix the sun roof" isn't due on Sunday
+const WEEKDAYS = {
+  sunday: 0, mon: 1, monday: 1, tue: 2, tues: 2, tuesday: 2, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4, fri: 5, friday: 5, saturday: 6,
+};
+const MONTHS = {
+  jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3, may: 4, jun: 5, june: 5,
+  jul: 6, july: 6, aug: 7, august: 7, sep: 8, sept: 8, september: 8, oct: 9, october: 9,
+  nov: 10, november: 10, dec: 11, december: 11,
+};
+const PRIORITY_WORDS = { l: 'low', low: 'low', m: 'medium', med: 'medium', medium: 'medium', h: 'high', high: 'high', u: 'urgent', urgent: 'urgent' };
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const FREQ_WORDS = { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' };
+const MAX_INTERVAL = 365; // as normalizeRecurrence allows
+
+// longest first, so "thursday" wins over "thu"
+const alternation = (words) => Object.keys(words).sort((a, b) => b.length - a.length).join('|');
+const WD = `(?:${alternation(WEEKDAYS)})`;
+const MON = `(?:${alternation(MONTHS)})`;
+const AMOUNT = `(?:\\d{1,3}|${alternation(NUMBER_WORDS)})`;
+// filler words that belong to the date ("due on friday", "by tomorrow")
+const LEAD = '(?:(?:due|by|on)\\s+)*';
+
+const amount = (s) => NUMBER_WORDS[s.toLowerCase()] || parseInt(s, 10);
+const weekdayOf = (s) => WEEKDAYS[s.toLowerCase()];
+
+// each rule: a pattern, and what a match means. The first match of each kind
+// wins; later ones stay in the title.
+const RECURRENCE_RULES = [
+  [/\b(?:every|each)\s+(?:weekday|workday|work day)s?\b/i, () => ({ freq: 'weekly', byWeekday: [1, 2, 3, 4, 5] })],
+  [new RegExp(`\\b(?:every|each)\\s+(${WD}s?(?:\\s*(?:,|and|&)\\s*${WD}s?)*)\\b`, 'i'), (m) => ({
+    freq: 'weekly',
+    byWeekday: [...new Set(m[1].split(/\s*(?:,|and|&)\s*/i).map(w => weekdayOf(w.replace(/s$/i, ''))))].sort((a, b) => a - b),
+  })],
+  [new RegExp(`\\b(?:every|each)\\s+(?:(other)\\s+|(${AMOUNT})\\s+)?(day|week|month|year)s?\\b`, 'i'), (m) => {
+    const interval = m[1] ? 2 : (m[2] ? amount(m[2]) : 1);
+    // "every 0 days" or "every 500 days" isn't a series recurrence accepts: leave it in the title
+    if (interval < 1 || interval > MAX_INTERVAL) return null;
+    return { freq: FREQ_WORDS[m[3].toLowerCase()], interval };
+  }],
+  [/\b(daily|weekly|fortnightly|monthly|yearly|annually)\b/i, (m) => {
+    const word = m[1].toLowerCase();
+    if (word === 'fortnightly') return { freq: 'weekly', interval: 2 };
+    return { freq: word === 'annually' ? 'yearly' : word };
+  }],
+];
+
+const TIME_RULES = [
+  [/\b(?:(?:at|by)\s+)?(noon|midday|midnight)\b/i, (m) => (m[1].toLowerCase() === 'midnight' ? { h: 0, min: 0 } : { h: 12, min: 0 })],
+  [/\b(?:(?:at|by)\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/i, (m) => {
+    const h = parseInt(m[1], 10);
+    const min = parseInt(m[2] || '0', 10);
+    if (h < 1 || h > 12 || min > 59) return null;
+    return { h: (h % 12) + (m[3].toLowerCase() === 'pm' ? 12 : 0), min };
+  }],
+  [/\b(?:(?:at|by)\s+)?([01]?\d|2[0-3]):([0-5]\d)\b/i, (m) => ({ h: parseInt(m[1], 10), min: parseInt(m[2], 10) })],
+];
+
+// date rules get `today` as { y, m, d } in local time and return a day the same way
+const DATE_RULES = [
+  [new RegExp(`\\b${LEAD}(\\d{4})-(\\d{2})-(\\d{2})\\b`, 'i'), (m) => ({ y: +m[1], m: +m[2] - 1, d: +m[3] })],
+  [new RegExp(`\\b${LEAD}(today|tonight|tomorrow|tmrw|tmr)\\b`, 'i'), (m, today) => {
+    const word = m[1].toLowerCase();
+    if (word === 'today') return today;
+    if (word === 'tonight') return { ...today, evening: true };
+    return addDays(today, 1);
+  }],
+  [new RegExp(`\\b${LEAD}in\\s+(${AMOUNT})\\s+(day|week|month|year)s?\\b`, 'i'), (m, today) => {
+    const n = amount(m[1]);
+    const unit = m[2].toLowerCase();
+    if (unit === 'day') return addDays(today, n);
+    if (unit === 'week') return addDays(today, 7 * n);
+    return unit === 'month' ? addMonths(today, n) : addMonths(today, 12 * n);
+  }],
+  [new RegExp(`\\b${LEAD}next\\s+(week|month|year)\\b`, 'i'), (m, today) => {
+    const unit = m[1].toLowerCase();
+    // the start of it: Monday, the 1st, January 1st
+    if (unit === 'week') return addDays(today, ((8 - dayOfWeek(today)) % 7) || 7);
+    if (unit === 'month') return addMonths({ ...today, d: 1 }, 1);
+    return { y: today.y + 1, m: 0, d: 1 };
+  }],
+  [new RegExp(`\\b${LEAD}(?:next\\s+|this\\s+)?(${WD})\\b`, 'i'), (m, today) => {
+    // the coming one, never today
+    const ahead = (weekdayOf(m[1]) - dayOfWeek(today) + 7) % 7 || 7;
+    return addDays(today, ahead);
+  }],
+  [new RegExp(`\\b${LEAD}(${MON})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'i'), (m, today) => upcoming(today, MONTHS[m[1].toLowerCase()], +m[2])],
+  [new RegExp(`\\b${LEAD}(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MON})\\b`, 'i'), (m, today) => upcoming(today, MONTHS[m[2].toLowerCase()], +m[1])],
+];
+
+const fromUTC = (date) => ({ y: date.getUTCFullYear(), m: date.getUTCMonth(), d: date.getUTCDate() });
+const addDays = ({ y, m, d }, n) => fromUTC(new Date(Date.UTC(y, m, d + n)));
+const dayOfWeek = ({ y, m, d }) => new Date(Date.UTC(y, m, d)).getUTCDay();
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+// same day n months on, or the month's last day ("jan 31" + 1 month = feb 28)
+const addMonths = ({ y, m, d }, n) => {
+  const first = fromUTC(new Date(Date.UTC(y, m + n, 1)));
+  return { ...first, d: Math.min(d, daysInMonth(first.y, first.m)) };
+};
+const sameOrAfter = (a, b) => Date.UTC(a.y, a.m, a.d) >= Date.UTC(b.y, b.m, b.d);
+// "nov 3": this year's, unless that's already past
+const upcoming = (today, month, day) => {
+  const thisYear = { y: today.y, m: month, d: day };
+  return sameOrAfter(thisYear, today) ? thisYear : { ...thisYear, y: today.y + 1 };
+};
+const isRealDay = ({ y, m, d }) => m >= 0 && m <= 11 && d >= 1 && d <= daysInMonth(y, m);
+
+/**
+ * Take the first match of any rule out of `text`. Returns { value, text, match }
+ * with the match replaced by a space, or null when nothing matched.
+ */
+const extract = (text, rules, ...args) => {
+  for (const [pattern, read] of rules) {
+    const m = text.match(pattern);
+    if (!m) continue;
+    const value = read(m, ...args);
+    if (value === null) continue;
+    return { value, match: m[0].trim(), text: `${text.slice(0, m.index)} ${text.slice(m.index + m[0].length)}` };
+  }
+  return null;
+};
+
+/**
+ * Parse a quick-add line. `now` and `tzOffset` (minutes, as from
+ * getTimezoneOffset()) fix what "today" means for the user.
+ * Returns { title, dueDate, priority, tags, recurrence, matches } where tags
+ * are names, missing fields are null and matches lists the recognised bits
+ * ({ type, text }) in the order they were found.
+ */
+const parseQuickAdd = (input, { now = new Date(), tzOffset = 0 } = {}) => {
+  const matches = [];
+
+  // hide quoted text from the rules; it goes back into the title as typed
+  const quoted = [];
+  let text = String(input).replace(/"([^"]*)"/g, (_, inner) => {
+    quoted.push(inner);
+    return ` \u0000${quoted.length - 1}\u0000 `;
+  });
+
+  const tags = [];
+  text = text.replace(/(^|\s)#([^\s#,]{1,40})/gu, (_, lead, name) => {
+    if (!tags.some(t => t.toLowerCase() === name.toLowerCase())) tags.push(name);
+    matches.push({ type: 'tag', text: `#${name}` });
+    return lead;
+  });
+
+  let priority = null;
+  const prio = text.match(/(^|\s)!([a-z]+)(?=\s|$)/i);
+  if (prio && PRIORITY_WORDS[prio[2].toLowerCase()]) {
+    priority = PRIORITY_WORDS[prio[2].toLowerCase()];
+    matches.push({ type: 'priority', text: prio[0].trim() });
+    text = `${text.slice(0, prio.index)} ${text.slice(prio.index + prio[0].length)}`;
+  }
+
+  let rule = null;
+  const rec = extract(text, RECURRENCE_RULES);
+  if (rec) {
+    rule = rec.value;
+    matches.push({ type: 'recurrence', text: rec.match });
+    text = rec.text;
+  }
+
+  const today = fromUTC(new Date(now.getTime() - tzOffset * 60 * 1000));
+  let day = null;
+  const date = extract(text, DATE_RULES, today);
+  if (date && isRealDay(date.value)) {
+    day = date.value;
+    matches.push({ type: 'date', text: date.match });
+    text = date.text;
+  }
+
+  let time = null;
+  const clock = extract(text, TIME_RULES);
+  if (clock) {
+    time = clock.value;
+    matches.push({ type: 'time', text: clock.match });
+    text = clock.text;
+  }
+
+  if (!time && day && day.evening) time = { h: 20, min: 0 };
+
+  // without a time a due date means "by the end of that day", like the date picker
+  const dueOn = (d) => new Date(
+    (time ? Date.UTC(d.y, d.m, d.d, time.h, time.min) : Date.UTC(d.y, d.m, d.d, 23, 59, 59)) + tzOffset * 60 * 1000
+  );
+  // a series starts on its first day from `from` on ("every monday and thursday")
+  const firstDay = (from) => (rule && rule.byWeekday
+    ? addDays(from, Math.min(...rule.byWeekday.map(wd => (wd - dayOfWeek(from) + 7) % 7)))
+    : from);
+
+  if (!day && (time || rule)) {
+    day = firstDay(today);
+    // a time that has already passed today means the next day that fits
+    if (dueOn(day) <= now) day = firstDay(addDays(today, 1));
+  }
+  const dueDate = day ? dueOn(day) : null;
+
+  const title = text
+    .replace(/\u0000(\d+)\u0000/g, (_, i) => quoted[i])
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,;:-]+|[\s,;:-]+$/g, '');
+
+  return {
+    title,
+    dueDate,
+    priority,
+    tags,
+    recurrence: rule ? normalizeRecurrence({ ...rule, tzOffset }, dueDate) : null,
+    matches,
+  };
+};
+
+module.exports = { parseQuickAdd };
@@ -0,0 +1,202 @@
+const Task = require('../models/Task');
+const { workflowFor, defaultStatus } = require('./workflow');
+
+// RRULE-style schedules, kept deliberately small:
+//   { freq: 'daily' | 'weekly' | 'monthly' | 'yearly', interval: 1,
+//     byWeekday: [0-6],   weekly: which days (0 = Sunday); monthly: the weekday for weekOfMonth
+//     byMonthDay: 1-31,   monthly: day of the month
+//     weekOfMonth: 1-5|-1 monthly: "2nd Tuesday", -1 = last
+//     until: Date, count: n (occurrences in the whole series), tzOffset: minutes }
+// Dates are computed in the user's local time (tzOffset, as from getTimezoneOffset())
+// so "every Monday" doesn't drift to Sunday for users west of UTC.
+
+const FREQS = ['daily', 'weekly', 'monthly', 'yearly'];
+const DAY = 24 * 60 * 60 * 1000;
+
+const toLocal = (date, tz) => new Date(date.getTime() - tz * 60 * 1000);
+const fromLocal = (date, tz) => new Date(date.getTime() + tz * 60 * 1000);
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+
+// date (keeping time of day) of the nth weekday in a month, or null if the month has no such day
+const nthWeekdayOfMonth = (y, m, weekday, nth, time) => {
+  if (nth === -1) {
+    const last = daysInMonth(y, m);
+    const lastDow = new Date(Date.UTC(y, m, last)).getUTCDay();
+    return new Date(Date.UTC(y, m, last - ((lastDow - weekday + 7) % 7)) + time);
+  }
+  const firstDow = new Date(Date.UTC(y, m, 1)).getUTCDay();
+  const day = 1 + ((weekday - firstDow + 7) % 7) + (nth - 1) * 7;
+  return day > daysInMonth(y, m) ? null : new Date(Date.UTC(y, m, day) + time);
+};
+
+/**
+ * The first occurrence strictly after `from` (a Date), or null if the rule
+ * can't produce one.
+ */
+const nextOccurrence = (rule, from) => {
+  const tz = rule.tzOffset || 0;
+  const interval = Math.max(1, rule.interval || 1);
+  const local = toLocal(from, tz);
+  const time = local.getTime() % DAY;
+  const y = local.getUTCFullYear();
+  const m = local.getUTCMonth();
+  const d = local.getUTCDate();
+  let next = null;
+
+  switch (rule.freq) {
+    case 'daily':
+      next = new Date(local.getTime() + interval * DAY);
+      break;
+
+    case 'weekly': {
+      const days = [...new Set(rule.byWeekday || [])].sort((a, b) => a - b);
+      if (!days.length) {
+        next = new Date(local.getTime() + interval * 7 * DAY);
+        break;
+      }
+      const dow = local.getUTCDay();
+      const later = days.find(wd => wd > dow);
+      next = later !== undefined
+        ? new Date(local.getTime() + (later - dow) * DAY)
+        // jump to the start of the week `interval` weeks on, then its first chosen day
+        : new Date(local.getTime() + ((interval * 7) - dow + days[0]) * DAY);
+      break;
+    }
+
+    case 'monthly': {
+      const weekday = (rule.byWeekday || [])[0];
+      // a month without a 5th Tuesday is skipped rather than shifted
+      for (let step = interval; step <= interval * 60 && !next; step += interval) {
+        const ny = y + Math.floor((m + step) / 12);
+        const nm = (m + step) % 12;
+        if (rule.weekOfMonth && weekday !== undefined) {
+          next = nthWeekdayOfMonth(ny, nm, weekday, rule.weekOfMonth, time);
+        } else {
+          const day = Math.min(rule.byMonthDay || d, daysInMonth(ny, nm));
+          next = new Date(Date.UTC(ny, nm, day) + time);
+        }
+      }
+      break;
+    }
+
+    case 'yearly': {
+      const ny = y + interval;
+      next = new Date(Date.UTC(ny, m, Math.min(d, daysInMonth(ny, m))) + time);
+      break;
+    }
+
+    default:
+      return null;
+  }
+
+  return next && fromLocal(next, tz);
+};
+
+/**
+ * Validate and normalise a recurrence from a request body. `anchor` is the
+ * task's due date: monthly rules remember its day so a series started on the
+ * 31st doesn't drift to the 28th after February.
+ * Throws an Error with a user-facing message when it's not usable.
+ */
+const normalizeRecurrence = (input, anchor = null) => {
+  if (input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('recurrence must be an object');
+
+  const { freq, interval = 1, byWeekday = [], byMonthDay, weekOfMonth, until, count, tzOffset = 0 } = input;
+  const isInt = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+
+  if (!FREQS.includes(freq)) throw new Error(`recurrence.freq must be one of ${FREQS.join(', ')}`);
+  if (!isInt(interval, 1, 365)) throw new Error('recurrence.interval must be between 1 and 365');
+  if (!Array.isArray(byWeekday) || !byWeekday.every(v => isInt(v, 0, 6))) {
+    throw new Error('recurrence.byWeekday must be a list of weekdays 0-6');
+  }
+  if (byMonthDay !== undefined && byMonthDay !== null && !isInt(byMonthDay, 1, 31)) {
+    throw new Error('recurrence.byMonthDay must be between 1 and 31');
+  }
+  if (weekOfMonth !== undefined && weekOfMonth !== null && !(isInt(weekOfMonth, 1, 5) || weekOfMonth === -1)) {
+    throw new Error('recurrence.weekOfMonth must be 1-5 or -1');
+  }
+  if (weekOfMonth && byWeekday.length !== 1) {
+    throw new Error('recurrence.weekOfMonth needs exactly one weekday');
+  }
+  if (until !== undefined && until !== null && isNaN(new Date(until).getTime())) {
+    throw new Error('recurrence.until must be a date');
+  }
+  if (count !== undefined && count !== null && !isInt(count, 1, 1000)) {
+    throw new Error('recurrence.count must be between 1 and 1000');
+  }
+  if (!isInt(tzOffset, -840, 840)) throw new Error('recurrence.tzOffset must be in minutes');
+
+  let monthDay = byMonthDay || null;
+  if (freq === 'monthly' && !weekOfMonth && !monthDay && anchor) {
+    monthDay = toLocal(new Date(anchor), tzOffset).getUTCDate();
+  }
+
+  return {
+    freq,
+    interval,
+    byWeekday,
+    byMonthDay: monthDay,
+    weekOfMonth: weekOfMonth || null,
+    until: until ? new Date(until) : null,
+    count: count || null,
+    tzOffset,
+  };
+};
+
+/**
+ * Date of the occurrence after `task`, or null once the series is over.
+ */
+const followingDate = (task, from) => {
+  const rule = task.recurrence;
+  if (!rule || !rule.freq) return null;
+  if (rule.count && task.occurrence >= rule.count) return null;
+
+  const next = nextOccurrence(rule, from);
+  if (!next || (rule.until && next > rule.until)) return null;
+  return next;
+};
+
+/**
+ * Called when a recurring task gets completed: create the next task of the
+ * series. Does nothing (returns null) when the series is over or the next
+ * occurrence already exists. Updates `task` in place (spawnedNext, version),
+ * so call it before sending the task anywhere.
+ */
+const spawnNextOccurrence = async (task) => {
+  if (task.spawnedNext) return null;
+
+  const dueDate = followingDate(task, task.dueDate || new Date());
+  if (!dueDate) return null;
+
+  // claim the spawn atomically so a double-submitted completion can't fork the series
+  const claimed = await Task.findOneAndUpdate(
+    { _id: task._id, spawnedNext: { $ne: true } },
+    { $set: { spawnedNext: true } },
+    { new: true }
+  );
+  if (!claimed) return null;
+  // the claim is a write and bumped the version: keep the caller's copy (and its ETag) current
+  task.spawnedNext = true;
+  task.version = claimed.version;
+
+  const next = await Task.create({
+    title: task.title,
+    description: task.description,
+    status: defaultStatus(await workflowFor(task), false).key,
+    owner: task.owner,
+    project: task.project,
+    priority: task.priority,
+    priorityRank: task.priorityRank,
+    tags: task.tags.map(t => t._id || t),
+    items: task.items.map(i => ({ text: i.text })),
+    dueDate,
+    recurrence: task.recurrence,
+    seriesId: task.seriesId || task._id,
+    occurrence: (task.occurrence || 1) + 1,
+  });
+  await next.populate('tags', 'name color');
+  return next;
+};
+
+module.exports = { FREQS, nextOccurrence, normalizeRecurrence, followingDate, spawnNextOccurrence };
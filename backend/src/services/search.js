@@ -0,0 +1,84 @@
+// Helpers for the `q` parameter of the task list.
+// Mongo's $text does the matching and ranking; here we only work out which
+// parts of the text to highlight so the client doesn't need its own parser.
+
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Terms of a $text search string: "quoted phrases" stay together,
+ * negated terms (-foo) are dropped since they never appear in a match.
+ */
+const searchTerms = (q) => {
+  const terms = [];
+  const re = /"([^"]+)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(q || '')) !== null) {
+    const term = (m[1] || m[2]).trim();
+    if (term && !term.startsWith('-')) terms.push(term.toLowerCase());
+  }
+  return terms;
+};
+
+/**
+ * [start, end) ranges where any of the terms occur in text, sorted and merged.
+ */
+const matchRanges = (text, terms) => {
+  const lower = (text || '').toLowerCase();
+  const ranges = [];
+  for (const term of terms) {
+    let from = 0;
+    let idx;
+    while ((idx = lower.indexOf(term, from)) !== -1) {
+      ranges.push([idx, idx + term.length]);
+      from = idx + term.length;
+    }
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push([...r]);
+  }
+  return merged;
+};
+
+/**
+ * A window of text around the first match, with ranges relative to the window.
+ */
+const snippet = (text, terms) => {
+  const value = text || '';
+  const ranges = matchRanges(value, terms);
+  if (!ranges.length) {
+    const cut = value.length > SNIPPET_RADIUS * 2;
+    return { text: cut ? `${value.slice(0, SNIPPET_RADIUS * 2)}…` : value, ranges: [] };
+  }
+
+  const start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(value.length, ranges[0][1] + SNIPPET_RADIUS);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < value.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: prefix + value.slice(start, end) + suffix,
+    ranges: ranges
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s + offset, e + offset]),
+  };
+};
+
+/**
+ * Search metadata attached to each task in a `q` result.
+ */
+const highlightTask = (task, q) => {
+  const terms = searchTerms(q);
+  return {
+    score: task.get ? task.get('score') : task.score,
+    title: matchRanges(task.title, terms),
+    description: snippet(task.description, terms),
+  };
+};
+
+module.exports = { searchTerms, matchRanges, snippet, highlightTask };
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'change_this_to_a_long_secret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS || '30', 10);
+
+// a rotated token presented again within this window is treated as a race
+// between two tabs refreshing at once, not as a stolen token
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// refresh tokens look like "<sessionId>.<secret>" so the session can be
+// looked up directly instead of comparing against every stored hash
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+const findByRefreshToken = async (refreshToken) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+  return Session.findById(sessionId);
+};
+
+/**
+ * Start a new session for a user who just proved their identity.
+ * Returns the access token and the (only ever shown once) refresh token.
+ */
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: (req.get('user-agent') || '').slice(0, 300),
+    ip: req.ip || '',
+    expiresAt: refreshExpiry(),
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { token: signAccessToken(user._id, session._id), refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Returns null when the token is unknown, expired, revoked or was reused.
+ */
+const rotateSession = async (refreshToken) => {
+  const session = await findByRefreshToken(refreshToken);
+  if (!session || !session.isActive()) return null;
+
+  const presented = hashToken(refreshToken);
+  if (session.tokenHash !== presented) {
+    const racing = session.previousHash === presented
+      && session.rotatedAt
+      && Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_MS;
+
+    // an old token came back after it was rotated away: assume it leaked
+    if (!racing) {
+      session.revokedAt = new Date();
+      await session.save();
+    }
+    return null;
+  }
+
+  const next = newRefreshToken(session._id);
+  const now = new Date();
+
+  // only rotate if nobody else rotated in the meantime
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presented },
+    {
+      $set: {
+        tokenHash: hashToken(next),
+        previousHash: presented,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(),
+      },
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  return { token: signAccessToken(updated.user, updated._id), refreshToken: next };
+};
+
+// Revoke the session a refresh token belongs to (used by logout).
+const revokeByRefreshToken = async (refreshToken) => {
+  const session = await findByRefreshToken(refreshToken);
+  if (!session || session.tokenHash !== hashToken(refreshToken)) return false;
+  if (!session.revokedAt) {
+    session.revokedAt = new Date();
+    await session.save();
+  }
+  return true;
+};
+
+const revokeSession = (userId, sessionId) =>
+  Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+
+const revokeAllSessions = (userId) =>
+  Session.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+const isSessionActive = (userId, sessionId) =>
+  Session.exists({ _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  verifyAccessToken,
+};
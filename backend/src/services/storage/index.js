@@ -0,0 +1,26 @@
+const path = require('path');
+const createLocalStorage = require('./local');
+
+// Every storage backend exposes the same three async methods:
+//   write(key, readableStream) -> bytes written
+//   read(key)                  -> readable stream (rejects if missing)
+//   remove(key)
+// Pick one with STORAGE_DRIVER; add new drivers (S3, GCS, ...) to this map.
+const drivers = {
+  local: () => createLocalStorage({
+    root: process.env.UPLOAD_DIR || path.resolve(__dirname, '../../../uploads'),
+  }),
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+module.exports = { getStorage };
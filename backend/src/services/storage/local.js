@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Storage backend that keeps files on the local disk under `root`.
+ * Keys are generated by the server ("<taskId>/<random>"), never taken from the client.
+ */
+const createLocalStorage = ({ root }) => {
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    // belt and braces: a key must never point outside the upload directory
+    if (!file.startsWith(path.resolve(root) + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    // write a readable stream, resolves to the number of bytes written
+    async write(key, stream) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await pipeline(stream, fs.createWriteStream(file));
+      const { size } = await fs.promises.stat(file);
+      return size;
+    },
+
+    async read(key) {
+      const file = resolve(key);
+      await fs.promises.access(file);
+      return fs.createReadStream(file);
+    },
+
+    // removing a file that is already gone is not an error
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,176 @@
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const { recordHistory } = require('./history');
+const { publishTaskEvent } = require('./events');
+const { dispatchTaskWebhooks } = require('./webhooks');
+const { workflowFor, statusUpdate } = require('./workflow');
+
+// task fields an import can fill, and the ones an export writes out
+const IMPORT_FIELDS = ['title', 'description', 'status', 'completed', 'dueDate', 'priority', 'tags'];
+const EXPORT_FIELDS = [...IMPORT_FIELDS, 'createdAt', 'updatedAt'];
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', 'done', 'completed'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', '', 'open', 'todo'];
+
+// "Due Date", "due_date" and "dueDate" all name the same column
+const looseName = (s) => String(s).toLowerCase().replace(/[\s_-]/g, '');
+
+/**
+ * Which column feeds each task field: the explicit mapping first, otherwise a
+ * column with the field's name. Fields without a column are left out.
+ */
+const resolveMapping = (columns, mapping = {}) => {
+  const resolved = {};
+  IMPORT_FIELDS.forEach(field => {
+    if (mapping[field] !== undefined) {
+      if (mapping[field]) resolved[field] = mapping[field];
+      return;
+    }
+    const match = columns.find(col => looseName(col) === looseName(field));
+    if (match) resolved[field] = match;
+  });
+  return resolved;
+};
+
+// row value -> task value; returns { value } or { error }
+const PARSERS = {
+  title: v => ({ value: String(v).trim() }),
+  description: v => ({ value: String(v).trim() }),
+  status: v => ({ value: String(v).trim() }),
+  completed: (v) => {
+    if (typeof v === 'boolean') return { value: v };
+    const s = String(v).trim().toLowerCase();
+    if (TRUE_VALUES.includes(s)) return { value: true };
+    if (FALSE_VALUES.includes(s)) return { value: false };
+    return { error: `"${v}" is not true or false` };
+  },
+  dueDate: (v) => {
+    if (v === '' || v === null) return { value: null };
+    const date = new Date(v);
+    return Number.isNaN(date.getTime()) ? { error: `"${v}" is not a date` } : { value: date };
+  },
+  priority: (v) => {
+    const s = String(v).trim().toLowerCase();
+    return { value: s || 'medium' };
+  },
+  tags: (v) => {
+    const names = Array.isArray(v) ? v.map(String) : String(v).split(',');
+    return { value: [...new Set(names.map(n => n.trim()).filter(Boolean))] };
+  },
+};
+
+/**
+ * Turn imported records (objects keyed by column) into unsaved Task documents,
+ * validated by the Task schema. Tags are given by name and matched against the
+ * user's own tags, ignoring case; names that don't exist yet are reported in
+ * `newTags` and created on import.
+ * Returns { docs: [{ row, doc, tagNames }], errors: [{ row, field, message }], newTags }.
+ */
+const prepareImport = async (records, { mapping, userId, project = null }) => {
+  const docs = [];
+  const errors = [];
+  const allNames = new Map(); // lower case -> name as first written
+  const statuses = await workflowFor({ project, owner: userId });
+
+  records.forEach((record, i) => {
+    const row = i + 1;
+    const values = {};
+    const rowErrors = [];
+
+    Object.entries(mapping).forEach(([field, column]) => {
+      const raw = record[column];
+      if (raw === undefined || raw === null) return;
+      const { value, error } = PARSERS[field](raw);
+      if (error) rowErrors.push({ row, field, message: error });
+      else values[field] = value;
+    });
+
+    const { tags: tagNames = [], status: statusName, ...fields } = values;
+    // a status column may hold keys or column names; without one, completed decides
+    const match = statusName && statuses.find(st => [st.key, st.name.toLowerCase()].includes(statusName.toLowerCase()));
+    if (statusName && !match) rowErrors.push({ row, field: 'status', message: `"${statusName}" is not a status of this workflow` });
+    if (tagNames.some(n => n.length > 40)) rowErrors.push({ row, field: 'tags', message: 'tag names must be at most 40 characters' });
+
+    const doc = new Task({
+      ...fields,
+      ...statusUpdate(statuses, { status: match ? match.key : undefined, completed: fields.completed }),
+      priorityRank: Task.PRIORITY_RANK[fields.priority || 'medium'],
+      owner: userId,
+      project,
+    });
+    const invalid = doc.validateSync();
+    if (invalid) {
+      Object.values(invalid.errors).forEach(e => {
+        // cast errors already have a friendlier message from the parser
+        if (!rowErrors.some(x => x.field === e.path)) rowErrors.push({ row, field: e.path, message: e.message });
+      });
+    }
+
+    if (rowErrors.length) {
+      errors.push(...rowErrors);
+      return;
+    }
+    tagNames.forEach(n => {
+      if (!allNames.has(n.toLowerCase())) allNames.set(n.toLowerCase(), n);
+    });
+    docs.push({ row, doc, tagNames });
+  });
+
+  const existing = allNames.size
+    ? await Tag.find({ owner: userId, name: { $in: [...allNames.values()] } }).collation(Tag.COLLATION).select('name')
+    : [];
+  const known = new Set(existing.map(t => t.name.toLowerCase()));
+  const newTags = [...allNames.entries()].filter(([lower]) => !known.has(lower)).map(([, name]) => name);
+
+  return { docs, errors, newTags };
+};
+
+/**
+ * Save documents from prepareImport: create the missing tags, attach tag ids,
+ * insert the tasks and record their creation. Returns the saved tasks.
+ */
+const commitImport = async ({ docs, newTags }, user) => {
+  if (!docs.length) return [];
+
+  await Promise.all(newTags.map(name => Tag.updateOne(
+    { owner: user._id, name },
+    { $setOnInsert: { owner: user._id, name } },
+    { upsert: true, collation: Tag.COLLATION }
+  )));
+
+  const names = [...new Set(docs.flatMap(d => d.tagNames))];
+  const tags = names.length
+    ? await Tag.find({ owner: user._id, name: { $in: names } }).collation(Tag.COLLATION)
+    : [];
+  const idByName = new Map(tags.map(t => [t.name.toLowerCase(), t._id]));
+
+  docs.forEach(({ doc, tagNames }) => {
+    doc.tags = tagNames.map(n => idByName.get(n.toLowerCase())).filter(Boolean);
+  });
+
+  const saved = await Task.insertMany(docs.map(d => d.doc));
+  for (const task of saved) {
+    await recordHistory({ action: 'create', user, after: await task.populate('tags', 'name color') });
+    publishTaskEvent('created', { after: task });
+    dispatchTaskWebhooks('created', { after: task, user });
+  }
+  return saved;
+};
+
+/**
+ * Plain record of a task for export, one key per EXPORT_FIELDS entry
+ * (tags as a comma separated list of names).
+ */
+const exportRecord = (task) => ({
+  title: task.title,
+  description: task.description,
+  status: task.status || '',
+  completed: task.completed,
+  dueDate: task.dueDate ? task.dueDate.toISOString() : '',
+  priority: task.priority,
+  tags: (task.tags || []).map(t => t.name).join(', '),
+  createdAt: task.createdAt.toISOString(),
+  updatedAt: task.updatedAt.toISOString(),
+});
+
+module.exports = { IMPORT_FIELDS, EXPORT_FIELDS, resolveMapping, prepareImport, commitImport, exportRecord };
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { diffTask } = require('./history');
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 30 * 1000; // waits of 30s, 1m, 2m, 4m, 8m between attempts
+const TIMEOUT_MS = 10 * 1000;
+const POLL_MS = 15 * 1000;
+// a delivery being attempted isn't picked up by the retry loop for this long
+const LEASE_MS = 60 * 1000;
+const RESPONSE_KEEP = 2000; // characters of the receiver's answer kept in the log
+
+// Receivers must be public hosts: otherwise any user could make the server call
+// its own network (cloud metadata, the database, ...) and read the answers in
+// the delivery log. WEBHOOKS_ALLOW_PRIVATE=true lifts this, for local development
+// with scripts/webhook-receiver.js only.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([net4, prefix]) => PRIVATE_RANGES.addSubnet(net4, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([net6, prefix]) => PRIVATE_RANGES.addSubnet(net6, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  // ::ffff:10.0.0.1 is 10.0.0.1
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+  return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+const allowPrivate = () => process.env.WEBHOOKS_ALLOW_PRIVATE === 'true';
+const privateHostMessage = host => `${host} is a private or local address; webhooks can only call public hosts`;
+const hostOf = url => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+// every address of a host, as [{ address, family }]
+const resolveHost = host => new Promise((resolve, reject) => {
+  dns.lookup(host, { all: true, verbatim: true }, (err, addresses) => (err ? reject(err) : resolve(addresses)));
+});
+
+/**
+ * Why a webhook may not call `url`, or null when it may: the host has to
+ * resolve, and only to public addresses. Only a first check when a webhook is
+ * saved: DNS can answer differently later, so deliveries check the address
+ * they actually connect to (see guardedLookup).
+ */
+const targetProblem = async (url) => {
+  if (allowPrivate()) return null;
+  const host = hostOf(url);
+  let addresses;
+  try {
+    addresses = await resolveHost(host);
+  } catch {
+    return `Could not resolve ${host}`;
+  }
+  return addresses.some(a => isPrivateAddress(a.address)) ? privateHostMessage(host) : null;
+};
+
+/**
+ * DNS lookup for the delivery sockets: the same resolution the connection
+ * uses is the one checked, so a host can't pass targetProblem with a public
+ * address and then answer with a private one for the request (DNS rebinding).
+ */
+const guardedLookup = (hostname, options, callback) => {
+  resolveHost(hostname).then((addresses) => {
+    if (!allowPrivate() && addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(new Error(privateHostMessage(hostname)));
+    }
+    if (options.all) return callback(null, addresses);
+    const [first] = addresses.filter(a => !options.family || a.family === options.family);
+    if (!first) return callback(new Error(`Could not resolve ${hostname}`));
+    callback(null, first.address, first.family);
+  }, callback);
+};
+
+const deliveryAgent = new Agent({ connect: { lookup: guardedLookup } });
+
+/**
+ * fetch for webhook receivers. Sockets don't look up an IP written in the url,
+ * so that one is checked here; host names go through guardedLookup.
+ */
+const fetchReceiver = (url, init) => {
+  const host = hostOf(url);
+  if (!allowPrivate() && net.isIP(host) && isPrivateAddress(host)) {
+    return Promise.reject(new Error(privateHostMessage(host)));
+  }
+  return fetch(url, { ...init, dispatcher: deliveryAgent });
+};
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret, hex encoded.
+ * Sent as X-TaskPilot-Signature: sha256=<hex>; receivers recompute it and
+ * should also refuse old timestamps so a captured request can't be replayed.
+ */
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * POST one delivery to its webhook and log the outcome. Failures are
+ * scheduled for another attempt with exponential backoff until MAX_ATTEMPTS.
+ */
+const attemptDelivery = async (delivery, webhook) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  let outcome;
+  try {
+    const res = await fetchReceiver(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TaskPilot-Webhooks/1.0',
+        'X-TaskPilot-Event': delivery.event,
+        'X-TaskPilot-Delivery': String(delivery._id),
+        'X-TaskPilot-Timestamp': String(timestamp),
+        'X-TaskPilot-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    const text = await res.text().catch(() => '');
+    outcome = { ok: res.ok, responseStatus: res.status, responseBody: text.slice(0, RESPONSE_KEEP), error: res.ok ? null : `HTTP ${res.status}` };
+  } catch (err) {
+    const error = err.name === 'TimeoutError' ? `No answer within ${TIMEOUT_MS / 1000}s` : (err.cause && err.cause.message) || err.message;
+    outcome = { ok: false, responseStatus: null, responseBody: '', error };
+  }
+
+  const attempts = delivery.attempts + 1;
+  const retry = !outcome.ok && attempts < MAX_ATTEMPTS;
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+    $set: {
+      attempts,
+      status: outcome.ok ? 'success' : (retry ? 'pending' : 'failed'),
+      nextAttemptAt: retry ? new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)) : null,
+      responseStatus: outcome.responseStatus,
+      responseBody: outcome.responseBody,
+      error: outcome.error,
+      durationMs: Date.now() - started,
+      deliveredAt: outcome.ok ? new Date() : null,
+    },
+  }, { new: true });
+};
+
+/**
+ * Log a payload for a webhook and make the first attempt straight away.
+ * Resolves with the delivery once that attempt is over.
+ */
+const deliver = async (webhook, event, payload, { redeliveryOf = null } = {}) => {
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event,
+    payload,
+    redeliveryOf,
+    // if this process dies mid-attempt, the retry loop takes over after the lease
+    nextAttemptAt: new Date(Date.now() + LEASE_MS),
+  });
+  return attemptDelivery(delivery, webhook);
+};
+
+// webhook events for one task change; completing a task is also an update
+const eventsFor = (type, before, after) => {
+  if (type === 'created') return ['task.created'];
+  if (type === 'deleted') return ['task.deleted'];
+  const events = ['task.updated'];
+  if (before && after.completed && !before.completed) events.push('task.completed');
+  return events;
+};
+
+/**
+ * Notify the webhooks watching a task's project (or its owner's personal
+ * tasks) of a change. type and before/after are as for publishTaskEvent.
+ * Runs in the background and never fails the request; errors are logged.
+ */
+const dispatchTaskWebhooks = (type, { before = null, after = null, user = null }) => {
+  (async () => {
+    const task = after || before;
+    const events = eventsFor(type, before, after);
+    const webhooks = await Webhook.find({
+      active: true,
+      events: { $in: events },
+      ...(task.project ? { project: task.project._id || task.project } : { project: null, owner: task.owner }),
+    }).select('+secret');
+    if (!webhooks.length) return;
+
+    const base = {
+      createdAt: new Date(),
+      actor: user ? { id: String(user._id), name: user.name } : null,
+      task: type === 'deleted' ? { _id: String(task._id), title: task.title } : task.toJSON(),
+      ...(type === 'updated' && before ? { changes: diffTask(before, after) } : {}),
+    };
+
+    await Promise.all(webhooks.flatMap(webhook => events
+      .filter(event => webhook.events.includes(event))
+      .map(event => deliver(webhook, event, { id: String(new mongoose.Types.ObjectId()), event, ...base }))));
+  })().catch(err => console.error('Webhook dispatch failed:', err));
+};
+
+/**
+ * Send a logged delivery's payload again, as a new entry in the log.
+ */
+const redeliver = async (delivery, webhook) => deliver(webhook, delivery.event, delivery.payload, { redeliveryOf: delivery._id });
+
+// test event, to check a receiver is reachable and verifies signatures
+const ping = (webhook) => deliver(webhook, 'ping', {
+  id: String(new mongoose.Types.ObjectId()),
+  event: 'ping',
+  createdAt: new Date(),
+  webhook: { id: String(webhook._id), url: webhook.url, events: webhook.events },
+});
+
+// attempt every delivery whose retry is due, claiming each one first so
+// several API instances don't send the same delivery twice
+const retryDueDeliveries = async () => {
+  for (;;) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { $set: { nextAttemptAt: new Date(Date.now() + LEASE_MS) } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!delivery) return;
+
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    if (!webhook || !webhook.active) {
+      await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: { status: 'failed', nextAttemptAt: null, error: 'Webhook removed or disabled' } });
+      continue;
+    }
+    await attemptDelivery(delivery, webhook);
+  }
+};
+
+/**
+ * Poll for due retries for as long as the process lives.
+ */
+const startWebhookRetries = () => {
+  let running = false;
+  setInterval(() => {
+    if (running) return;
+    running = true;
+    retryDueDeliveries()
+      .catch(err => console.error('Webhook retries failed:', err))
+      .finally(() => { running = false; });
+  }, POLL_MS).unref();
+};
+
+module.exports = { MAX_ATTEMPTS, newSecret, targetProblem, fetchReceiver, sign, dispatchTaskWebhooks, redeliver, ping, startWebhookRetries };
@@ -0,0 +1,144 @@
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Task = require('../models/Task');
+
+// Workflow statuses: ordered columns, some of them marked done. Personal tasks
+// follow their owner's workflow, project tasks the project's. A task stores
+// the status key; `completed` is kept in step with it for filters and for
+// clients that only know done / not done.
+
+const DEFAULT_STATUSES = [
+  { key: 'todo', name: 'To do', done: false },
+  { key: 'in_progress', name: 'In progress', done: false },
+  { key: 'done', name: 'Done', done: true },
+];
+
+const MAX_STATUSES = 12;
+
+const plain = s => ({ key: s.key, name: s.name, done: !!s.done });
+
+// the statuses saved on a user or project, or the defaults
+const statusesOf = holder =>
+  (holder && holder.statuses && holder.statuses.length ? holder.statuses.map(plain) : DEFAULT_STATUSES);
+
+/**
+ * Workflow of the place a task lives in: its project, or its owner for personal tasks.
+ */
+const workflowFor = async ({ project, owner }) => {
+  const holder = project
+    ? await Project.findById(project._id || project).select('statuses')
+    : await User.findById(owner._id || owner).select('statuses');
+  return statusesOf(holder);
+};
+
+const findStatus = (statuses, key) => statuses.find(s => s.key === key) || null;
+
+// where a task goes when all we know is done / not done: the first column of that kind
+const defaultStatus = (statuses, completed) =>
+  statuses.find(s => s.done === !!completed) || statuses[0];
+
+/**
+ * { status, completed } to set for a change given as a status key or, from
+ * older clients, as completed. A task already in a status of the right kind
+ * stays there. Returns null for an unknown status key.
+ */
+const statusUpdate = (statuses, { status, completed }, current = null) => {
+  if (status !== undefined && status !== null) {
+    const found = findStatus(statuses, status);
+    return found ? { status: found.key, completed: found.done } : null;
+  }
+  const now = current && findStatus(statuses, current);
+  const target = now && now.done === !!completed ? now : defaultStatus(statuses, completed);
+  return { status: target.key, completed: target.done };
+};
+
+const slug = name => name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'status';
+
+/**
+ * Validate a workflow sent by a client and fill in missing keys (from the name).
+ * Keys are what tasks store, so renaming a column keeps its key.
+ * Throws an Error with a user-facing message when the input is invalid.
+ */
+const normalizeStatuses = (input) => {
+  if (!Array.isArray(input) || !input.length || input.length > MAX_STATUSES) {
+    throw new Error(`statuses must be a list of 1 to ${MAX_STATUSES} columns`);
+  }
+
+  const used = new Set();
+  const statuses = input.map((s) => {
+    if (!s || typeof s.name !== 'string' || !s.name.trim() || s.name.trim().length > 30) {
+      throw new Error('every status needs a name of at most 30 characters');
+    }
+    if (s.key !== undefined && (typeof s.key !== 'string' || !/^[a-z0-9_]{1,30}$/.test(s.key))) {
+      throw new Error('status keys may only use a-z, 0-9 and _');
+    }
+
+    let key = s.key || slug(s.name.trim()).slice(0, 30);
+    if (s.key && used.has(key)) throw new Error(`status key "${key}" is used twice`);
+    for (let n = 2; used.has(key); n++) key = `${slug(s.name.trim()).slice(0, 27)}_${n}`;
+    used.add(key);
+
+    return { key, name: s.name.trim(), done: s.done === true };
+  });
+
+  if (!statuses.some(s => s.done)) throw new Error('at least one status must be marked done');
+  if (statuses.every(s => s.done)) throw new Error('at least one status must not be done');
+  return statuses;
+};
+
+/**
+ * Bring the tasks of one workflow (`scope`: a Task filter) in line with its
+ * statuses: tasks in a removed status, or from before statuses existed, move
+ * to the first column of their kind, and `completed` follows each status.
+ * It writes (and bumps versions), so it only runs when a workflow changes and
+ * at start-up; never on a read.
+ */
+const syncTaskStatuses = async (scope, statuses) => {
+  const keys = statuses.map(s => s.key);
+
+  await Promise.all([
+    ...[true, false].map(completed => Task.updateMany(
+      { ...scope, completed, status: { $nin: keys } },
+      { $set: { status: defaultStatus(statuses, completed).key } }
+    )),
+    ...statuses.map(s => Task.updateMany(
+      { ...scope, status: s.key, completed: !s.done },
+      { $set: { completed: s.done } }
+    )),
+  ]);
+};
+
+// Task filter for everything that follows a workflow: a project's tasks, or a user's personal tasks
+const workflowScope = ({ project, owner }) =>
+  (project ? { project: project._id || project } : { owner: owner._id || owner, project: null });
+
+/**
+ * One-off migration, run at start-up: give tasks from before statuses existed
+ * one, workflow by workflow. Once every task has a status this is a single
+ * query that finds nothing.
+ */
+const migrateTaskStatuses = async () => {
+  // aggregation skips the soft-delete hook, so leave the trash out by hand
+  const lists = await Task.aggregate([
+    { $match: { status: null, deletedAt: null } },
+    { $group: { _id: { project: '$project', owner: { $cond: [{ $ifNull: ['$project', false] }, null, '$owner'] } } } },
+  ]);
+  for (const { _id: list } of lists) {
+    const where = { project: list.project || null, owner: list.owner };
+    await syncTaskStatuses(workflowScope(where), await workflowFor(where));
+  }
+  return lists.length;
+};
+
+module.exports = {
+  DEFAULT_STATUSES,
+  statusesOf,
+  workflowFor,
+  findStatus,
+  defaultStatus,
+  statusUpdate,
+  normalizeStatuses,
+  syncTaskStatuses,
+  migrateTaskStatuses,
+  workflowScope,
+};
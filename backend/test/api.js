@@ -0,0 +1,33 @@
+// The API on a free port, with a user and a personal token to call it as.
+// Needs the database from ./db.
+const express = require('express');
+const routes = require('../src/routes');
+const User = require('../src/models/User');
+const { createApiToken } = require('../src/services/apiTokens');
+
+const startApi = async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', routes);
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  const user = await User.create({ name: 'Test', email: `test-${Date.now()}@example.com`, password: 'x', emailVerified: true });
+  const { token } = await createApiToken(user._id, { name: 'tests', scopes: ['tasks:read', 'tasks:write'] });
+
+  // -> { status, headers, body }
+  const call = async (path, { method = 'GET', body, headers = {} } = {}) => {
+    const res = await fetch(base + path, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, headers: res.headers, body: await res.json().catch(() => null) };
+  };
+
+  return { user, call, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+module.exports = { startApi };
@@ -0,0 +1,31 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const db = require('./db');
+const { startApi } = require('./api');
+const { issueAccountToken } = require('../src/services/accountTokens');
+
+describe('personal API tokens', { skip: db.skip }, () => {
+  let api;
+  before(async () => {
+    await db.connect();
+    api = await startApi();
+  });
+  after(async () => {
+    await api.close();
+    await db.disconnect();
+  });
+
+  it('cannot read the account profile', async () => {
+    assert.strictEqual((await api.call('/me')).status, 403);
+  });
+
+  it('stop working after a password reset', async () => {
+    assert.strictEqual((await api.call('/tasks')).status, 200);
+
+    const token = await issueAccountToken(api.user._id, 'reset-password');
+    const reset = await api.call('/auth/reset-password', { method: 'POST', body: { token, password: 'new-password' } });
+    assert.strictEqual(reset.status, 200);
+
+    assert.strictEqual((await api.call('/tasks')).status, 401);
+  });
+});
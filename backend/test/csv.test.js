@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { toCsv, parseCsvRecords } = require('../src/services/csv');
+
+describe('csv', () => {
+  it('quotes commas, quotes and line breaks', () => {
+    const text = toCsv(['title'], [{ title: 'a, "b"\nc' }]);
+    assert.strictEqual(text, 'title\r\n"a, ""b""\nc"\r\n');
+  });
+
+  it('neutralises cells a spreadsheet would run as formulas', () => {
+    const records = ['=HYPERLINK("http://evil.example","x")', '=cmd|\' /C calc\'!A0', '+1', '-1', '@SUM(A1)', '\tx', '\rx'];
+    const text = toCsv(['title'], records.map(title => ({ title })));
+    const cells = text.split('\r\n').slice(1, -1);
+    assert.strictEqual(cells[0], '"\'=HYPERLINK(""http://evil.example"",""x"")"');
+    assert.strictEqual(cells[1], '\'=cmd|\' /C calc\'!A0');
+    assert.strictEqual(cells[2], '\'+1');
+    assert.strictEqual(cells[3], '\'-1');
+    assert.strictEqual(cells[4], '\'@SUM(A1)');
+    assert.strictEqual(cells[5], '\'\tx');
+  });
+
+  it('reads its own export back unchanged', () => {
+    const records = [{ title: '=1+1' }, { title: 'plain' }, { title: "'quoted" }];
+    assert.deepStrictEqual(parseCsvRecords(toCsv(['title'], records)).records, records);
+  });
+});
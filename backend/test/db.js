@@ -0,0 +1,15 @@
+// Tests that need a real database run against TEST_MONGO_URI (a throwaway
+// database: it is dropped at the end) and are skipped without it.
+const mongoose = require('mongoose');
+
+const uri = process.env.TEST_MONGO_URI;
+const skip = uri ? false : 'TEST_MONGO_URI not set';
+
+const connect = () => mongoose.connect(uri);
+
+const disconnect = async () => {
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+};
+
+module.exports = { skip, connect, disconnect };
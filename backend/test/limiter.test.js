@@ -0,0 +1,35 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const db = require('./db');
+const RateLimit = require('../src/models/RateLimit');
+const createMongoStore = require('../src/services/limiter/mongo');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('mongo limiter store', { skip: db.skip }, () => {
+  before(db.connect);
+  after(db.disconnect);
+
+  it('keeps a lockout past the end of the rate window', async () => {
+    const store = createMongoStore();
+    const key = 'login:lockout@example.com';
+    const until = Date.now() + 60 * 1000;
+
+    await store.hit(key, 200);
+    await store.block(key, until);
+    await wait(300); // the window is over, the block is not
+
+    const doc = await RateLimit.findOne({ key }).lean();
+    assert.ok(doc.blockedUntil instanceof Date, 'blockedUntil is stored as a date');
+    assert.strictEqual(doc.blockedUntil.getTime(), until);
+    assert.ok(doc.expiresAt.getTime() >= until, 'the TTL index keeps the document while it is blocked');
+
+    const record = await store.get(key);
+    assert.ok(record.blockedUntil > Date.now());
+
+    // another hit starts a new window but leaves the block alone
+    const next = await store.hit(key, 200);
+    assert.strictEqual(next.hits, 1);
+    assert.strictEqual(next.blockedUntil, until);
+  });
+});
@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseQuickAdd } = require('../src/services/quickAdd');
+
+// Wednesday 2026-10-14, 10:00 UTC
+const now = new Date('2026-10-14T10:00:00Z');
+const parse = text => parseQuickAdd(text, { now, tzOffset: 0 });
+
+describe('parseQuickAdd', () => {
+  it('reads a repeat with an amount', () => {
+    const parsed = parse('Water plants every 3 days');
+    assert.strictEqual(parsed.title, 'Water plants');
+    assert.strictEqual(parsed.recurrence.freq, 'daily');
+    assert.strictEqual(parsed.recurrence.interval, 3);
+  });
+
+  it('leaves "every 0 days" in the title instead of failing', () => {
+    const parsed = parse('Water plants every 0 days');
+    assert.strictEqual(parsed.title, 'Water plants every 0 days');
+    assert.strictEqual(parsed.recurrence, null);
+    assert.ok(!parsed.matches.some(m => m.type === 'recurrence'));
+  });
+
+  it('leaves an interval above 365 in the title instead of failing', () => {
+    const parsed = parse('Backup every 500 days');
+    assert.strictEqual(parsed.title, 'Backup every 500 days');
+    assert.strictEqual(parsed.recurrence, null);
+  });
+});
@@ -0,0 +1,42 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const db = require('./db');
+const { startApi } = require('./api');
+
+describe('completing a recurring task', { skip: db.skip }, () => {
+  let api;
+  before(async () => {
+    await db.connect();
+    api = await startApi();
+  });
+  after(async () => {
+    await api.close();
+    await db.disconnect();
+  });
+
+  it('returns an ETag that the next conditional edit accepts', async () => {
+    const created = await api.call('/tasks', {
+      method: 'POST',
+      body: { title: 'Water plants', dueDate: new Date(Date.now() + 60 * 60 * 1000).toISOString(), recurrence: { freq: 'daily' } },
+    });
+    assert.strictEqual(created.status, 201);
+    const id = created.body.task._id;
+
+    const done = await api.call(`/tasks/${id}`, {
+      method: 'PUT',
+      headers: { 'If-Match': created.headers.get('etag') },
+      body: { completed: true },
+    });
+    assert.strictEqual(done.status, 200);
+    assert.ok(done.body.next, 'the next occurrence was created');
+    assert.strictEqual(done.headers.get('etag'), `"${done.body.task.version}"`);
+
+    const edited = await api.call(`/tasks/${id}`, {
+      method: 'PUT',
+      headers: { 'If-Match': done.headers.get('etag') },
+      body: { title: 'Water the plants' },
+    });
+    assert.strictEqual(edited.status, 200);
+    assert.strictEqual(edited.body.task.title, 'Water the plants');
+  });
+});
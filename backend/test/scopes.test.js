@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { requireScope } = require('../src/middleware/scopes');
+
+// runs the middleware; -> the status it answered with, or 'next'
+const run = (middleware, { method, path, scopes }) => {
+  let outcome = null;
+  const res = {
+    status(code) {
+      outcome = code;
+      return this;
+    },
+    json() {
+      return this;
+    },
+  };
+  middleware({ method, path, apiToken: { scopes } }, res, () => { outcome = 'next'; });
+  return outcome;
+};
+
+describe('requireScope', () => {
+  const tasks = requireScope('tasks', { readOnly: ['POST /parse'] });
+
+  it('lets a read-only token preview a quick-add line', () => {
+    assert.strictEqual(run(tasks, { method: 'POST', path: '/parse', scopes: ['tasks:read'] }), 'next');
+  });
+
+  it('still needs tasks:write to create a task', () => {
+    assert.strictEqual(run(tasks, { method: 'POST', path: '/', scopes: ['tasks:read'] }), 403);
+    assert.strictEqual(run(tasks, { method: 'POST', path: '/', scopes: ['tasks:write'] }), 'next');
+  });
+});
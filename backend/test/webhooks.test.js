@@ -0,0 +1,80 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const http = require('http');
+const { targetProblem, fetchReceiver } = require('../src/services/webhooks');
+
+describe('webhook targets', () => {
+  afterEach(() => {
+    delete process.env.WEBHOOKS_ALLOW_PRIVATE;
+    mock.restoreAll();
+  });
+
+  it('refuses loopback, private, link-local and unique-local addresses', async () => {
+    for (const url of [
+      'http://127.0.0.1:27017/',
+      'http://2130706433/', // 127.0.0.1 written as a number
+      'http://169.254.169.254/latest/meta-data/',
+      'http://10.0.0.5/',
+      'http://172.16.3.4/',
+      'http://192.168.1.1/',
+      'http://[::1]/',
+      'http://[fd00::1]/',
+      'http://[fe80::1]/',
+      'http://[::ffff:10.0.0.1]/',
+    ]) {
+      assert.ok(await targetProblem(url), url);
+    }
+  });
+
+  it('allows public addresses', async () => {
+    assert.strictEqual(await targetProblem('https://93.184.216.34/hook'), null);
+    assert.strictEqual(await targetProblem('https://[2606:4700:4700::1111]/hook'), null);
+  });
+
+  it('allows private addresses with WEBHOOKS_ALLOW_PRIVATE', async () => {
+    process.env.WEBHOOKS_ALLOW_PRIVATE = 'true';
+    assert.strictEqual(await targetProblem('http://127.0.0.1:4000/'), null);
+  });
+
+  it('refuses a host that resolves to a private address by the time it is called (DNS rebinding)', async () => {
+    // a receiver on this machine, which must never be reached
+    let reached = false;
+    const server = http.createServer((req, res) => {
+      reached = true;
+      res.end('ok');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://rebind.example:${server.address().port}/hook`;
+
+    // public for the check, loopback for the connection
+    const answers = [[{ address: '93.184.216.34', family: 4 }], [{ address: '127.0.0.1', family: 4 }]];
+    mock.method(dns, 'lookup', (host, options, callback) => callback(null, answers.shift() || [{ address: '127.0.0.1', family: 4 }]));
+
+    try {
+      assert.strictEqual(await targetProblem(url), null);
+      await assert.rejects(fetchReceiver(url, { method: 'POST', body: '{}' }), err => /private or local/.test(err.cause ? err.cause.message : err.message));
+      assert.strictEqual(reached, false);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('refuses a private IP written in the url at delivery time', async () => {
+    await assert.rejects(fetchReceiver('http://127.0.0.1:9/', { method: 'POST' }), /private or local/);
+  });
+
+  it('delivers to a host name through the guarded lookup', async () => {
+    process.env.WEBHOOKS_ALLOW_PRIVATE = 'true';
+    const server = http.createServer((req, res) => res.end('received'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    mock.method(dns, 'lookup', (host, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+    try {
+      const res = await fetchReceiver(`http://receiver.example:${server.address().port}/`, { method: 'POST', body: '{}' });
+      assert.strictEqual(await res.text(), 'received');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
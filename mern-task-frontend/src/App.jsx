@@ -25,37 +25,216 @@
 
 // */
 
-import React, { useEffect, useState } from 'react';
-import { Routes, Route, Navigate, useNavigate, Link } from 'react-router-dom';
-import { Pencil, Check, X, Trash2 } from 'lucide-react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Routes, Route, Navigate, useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { Pencil, Check, X, Trash2, Monitor, Folder, Users, CalendarDays, Search, ChevronDown, ChevronLeft, ChevronRight, ArrowUp, ArrowDown, Tag as TagIcon, Repeat, History, MessageSquare, Paperclip, FileText, Upload, Columns3, RotateCcw, KeyRound, Copy, Lock, Link2 } from 'lucide-react';
 
 
 
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
 
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const PRIORITY_STYLES = {
+  low: 'bg-gray-100 text-gray-600',
+  medium: 'bg-blue-50 text-blue-700',
+  high: 'bg-orange-100 text-orange-700',
+  urgent: 'bg-red-100 text-red-700',
+};
+
+// <input type="date"> works with local YYYY-MM-DD strings; a due date means
+// "by the end of that day", so we store the last second of the local day
+function toDateInput(date) {
+  if (!date) return '';
+  const d = new Date(date);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function fromDateInput(value) {
+  return value ? new Date(`${value}T23:59:59`).toISOString() : null;
+}
+
+const TAG_COLORS = ['#ef4444', '#f97316', '#eab308', '#22c55e', '#06b6d4', '#3b82f6', '#8b5cf6', '#ec4899'];
+
+function isOverdue(task) {
+  return !task.completed && !!task.dueDate && new Date(task.dueDate) < new Date();
+}
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function ordinal(n) {
+  if (n === -1) return 'last';
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+function listText(words) {
+  return words.length > 1 ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}` : words.join('');
+}
+
+// "every 2nd Tuesday", "on the last Friday of every month, 6 times", ...
+function describeRecurrence(rule) {
+  if (!rule || !rule.freq) return 'Does not repeat';
+
+  const n = rule.interval || 1;
+  const every = (unit) => (n === 1 ? `every ${unit}` : `every ${ordinal(n)} ${unit}`);
+  const days = (rule.byWeekday || []).slice().sort((a, b) => a - b).map(d => WEEKDAYS[d]);
+  let text;
+
+  if (rule.freq === 'daily') {
+    text = n === 1 ? 'every day' : `every ${n} days`;
+  } else if (rule.freq === 'weekly') {
+    if (!days.length) text = every('week');
+    else if (n === 1) text = `every ${listText(days)}`;
+    else if (days.length === 1) text = `every ${ordinal(n)} ${days[0]}`;
+    else text = `${every('week')} on ${listText(days)}`;
+  } else if (rule.freq === 'monthly') {
+    text = rule.weekOfMonth && days.length
+      ? `on the ${ordinal(rule.weekOfMonth)} ${days[0]} of ${every('month')}`
+      : rule.byMonthDay ? `${every('month')} on the ${ordinal(rule.byMonthDay)}` : every('month');
+  } else {
+    text = every('year');
+  }
+
+  if (rule.until) text += `, until ${new Date(rule.until).toLocaleDateString()}`;
+  if (rule.count) text += `, ${rule.count} times`;
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// the user's own tags plus any tags other project members put on a task
+function mergeTags(own, extra) {
+  const known = new Set(own.map(t => t._id));
+  return [...own, ...(extra || []).filter(t => !known.has(t._id))];
+}
+
+// Only task lists carry openBlockers; saves and live updates don't. Keep what
+// the card knew, minus blockers the task no longer has.
+function keepOpenBlockers(updated, old) {
+  if (updated.openBlockers) return updated;
+  const ids = updated.blockedBy || [];
+  return { ...updated, openBlockers: ((old && old.openBlockers) || []).filter(b => ids.includes(b._id)) };
+}
+
+// a task that got done no longer blocks the tasks on screen
+function dropDoneBlocker(task, done) {
+  if (!done.completed || !(task.openBlockers || []).some(b => b._id === done._id)) return task;
+  return { ...task, openBlockers: task.openBlockers.filter(b => b._id !== done._id) };
+}
+
+// Tokens live in localStorage so every tab shares them. Whenever they change
+// we fire an event so useAuth (and the other tabs, via 'storage') can follow.
+const TOKEN_KEY = 'token';
+const REFRESH_KEY = 'refreshToken';
+const TOKENS_EVENT = 'auth:tokens';
+
+function storeTokens(token, refreshToken) {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+  if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken);
+  else if (!token) localStorage.removeItem(REFRESH_KEY);
+  if (!token) clearOfflineData();
+  window.dispatchEvent(new CustomEvent(TOKENS_EVENT, { detail: { token } }));
+}
+
 function useAuth() {
-  const [token, setToken] = useState(() => localStorage.getItem('token'));
+  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY));
   const [user, setUser] = useState(null);
 
   useEffect(() => {
-    if (token) localStorage.setItem('token', token);
-    else localStorage.removeItem('token');
-  }, [token]);
+    const onTokens = (e) => setToken(e.detail.token);
+    const onStorage = (e) => {
+      if (e.key === TOKEN_KEY || e.key === null) setToken(localStorage.getItem(TOKEN_KEY));
+    };
+    window.addEventListener(TOKENS_EVENT, onTokens);
+    window.addEventListener('storage', onStorage);
+    return () => {
+      window.removeEventListener(TOKENS_EVENT, onTokens);
+      window.removeEventListener('storage', onStorage);
+    };
+  }, []);
 
-  const logout = () => {
-    setToken(null);
+  const setTokens = (t, refreshToken) => storeTokens(t, refreshToken);
+
+  const clear = () => {
+    storeTokens(null, null);
     setUser(null);
   };
 
-  return { token, setToken, user, setUser, logout };
+  // revoke this session server-side; we clear locally even if the call fails
+  const logout = () => {
+    const refreshToken = localStorage.getItem(REFRESH_KEY);
+    if (refreshToken) {
+      apiFetch('/auth/logout', null, { method: 'POST', body: JSON.stringify({ refreshToken }) }).catch(() => {});
+    }
+    clear();
+  };
+
+  const logoutEverywhere = async () => {
+    await apiFetch('/auth/logout-all', token, { method: 'POST' }).catch(() => {});
+    clear();
+  };
+
+  return { token, setTokens, user, setUser, logout, logoutEverywhere };
 }
 
-async function apiFetch(path, token, opts = {}) {
-  const headers = opts.headers || {};
-  headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+// Only one refresh in flight: parallel 401s all wait for the same request,
+// otherwise the second one would present an already-rotated refresh token.
+let refreshing = null;
+
+function refreshAccessToken() {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const sent = localStorage.getItem(REFRESH_KEY);
+      if (!sent) return null;
+
+      const res = await fetch(API_BASE + '/auth/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: sent }),
+      });
+
+      if (res.ok) {
+        const body = await res.json();
+        storeTokens(body.token, body.refreshToken);
+        return body.token;
+      }
+
+      // another tab may have rotated the token while we were waiting
+      const current = localStorage.getItem(REFRESH_KEY);
+      if (current && current !== sent) return localStorage.getItem(TOKEN_KEY);
+
+      storeTokens(null, null);
+      return null;
+    })()
+      .catch(() => null) // offline: keep the tokens, just fail this request
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+// fetch with the auth header and transparent token refresh; returns the raw Response
+async function authFetch(path, token, opts = {}, retried = false) {
+  const headers = { ...(opts.headers || {}) };
+  // the browser sets the multipart boundary itself for FormData bodies
+  if (!(opts.body instanceof FormData)) {
+    headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+  }
   if (token) headers['Authorization'] = `Bearer ${token}`;
   const res = await fetch(API_BASE + path, { ...opts, headers });
+
+  // access token expired or revoked: refresh once and replay the request
+  if (res.status === 401 && token && !retried) {
+    const fresh = await refreshAccessToken();
+    if (fresh) return authFetch(path, fresh, opts, true);
+  }
+
+  return res;
+}
+
+async function apiFetch(path, token, opts = {}) {
+  const res = await authFetch(path, token, opts);
   const text = await res.text();
   try {
     return { ok: res.ok, status: res.status, body: text ? JSON.parse(text) : null };
@@ -64,10 +243,343 @@ async function apiFetch(path, token, opts = {}) {
   }
 }
 
+// one "event: ...\ndata: ..." block of a Server-Sent Events stream
+function parseEventBlock(block) {
+  let type = 'message';
+  let data = '';
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) type = line.slice(6).trim();
+    else if (line.startsWith('data:')) data += line.slice(5).trim();
+  });
+  if (!data) return null; // heartbeat comments and retry hints
+  try {
+    return { type, task: JSON.parse(data) };
+  } catch {
+    return null;
+  }
+}
+
+// Live task changes from /events. EventSource can't send the Authorization
+// header, so the stream is read with fetch. The server ends it when the access
+// token expires; reconnecting through authFetch refreshes the token first.
+function useTaskEvents(token, onEvent) {
+  const handler = useRef(onEvent);
+  useEffect(() => {
+    handler.current = onEvent;
+  });
+
+  useEffect(() => {
+    if (!token) return;
+    const controller = new AbortController();
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    (async () => {
+      let delay = 1000;
+      while (!controller.signal.aborted) {
+        try {
+          const res = await authFetch('/events', token, { signal: controller.signal });
+          if (res.status === 401) return; // logged out; a new token restarts this effect
+          if (res.ok) {
+            delay = 1000;
+            const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            for (;;) {
+              const { value, done } = await reader.read();
+              if (done) break;
+              const blocks = (buffer + value).split('\n\n');
+              buffer = blocks.pop();
+              blocks.map(parseEventBlock).filter(Boolean).forEach(e => handler.current(e));
+            }
+          }
+        } catch {
+          // network error or aborted; the loop condition tells which
+        }
+        await wait(delay);
+        delay = Math.min(delay * 2, 30000);
+      }
+    })();
+
+    return () => controller.abort();
+  }, [token]);
+}
+
+// ---- Offline support ----
+// Task pages are cached in IndexedDB so the list still shows without a
+// connection. Task changes (create, update, delete) go through an outbox:
+// sent straight away when possible, otherwise stored and replayed in order
+// once the connection is back. An update remembers the values it was made
+// against; if the server copy changed the same fields meanwhile, the change
+// is held as a conflict until the user keeps theirs or the server's.
+const DB_NAME = 'taskpilot';
+const SYNC_EVENT = 'sync:state';
+const SYNCED_EVENT = 'sync:flushed';
+const USER_KEY = 'user'; // last /me answer, so the header works offline
+const LOCAL_PREFIX = 'tmp-'; // id of a task created offline, until the server assigns one
+
+const isLocalId = id => String(id).startsWith(LOCAL_PREFIX);
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore('pages', { keyPath: 'key' });
+        req.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+// one request against a store, resolved once its transaction has committed
+async function idb(store, mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = makeRequest(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+const savePage = (key, tasks, meta) => idb('pages', 'readwrite', s => s.put({ key, tasks, meta, savedAt: Date.now() }));
+const loadPage = key => idb('pages', 'readonly', s => s.get(key));
+const outboxAll = () => idb('outbox', 'readonly', s => s.getAll()); // oldest first
+const outboxAdd = op => idb('outbox', 'readwrite', s => s.add(op));
+const outboxPut = op => idb('outbox', 'readwrite', s => s.put(op));
+const outboxDelete = id => idb('outbox', 'readwrite', s => s.delete(id));
+
+// signing out forgets the cache and anything still queued
+function clearOfflineData() {
+  localStorage.removeItem(USER_KEY);
+  ['pages', 'outbox'].forEach(store => idb(store, 'readwrite', s => s.clear()).catch(() => {}));
+}
+
+// comparable form of a task field, for spotting concurrent edits
+function fieldValue(task, field) {
+  const value = task[field];
+  if (field === 'tags') return (value || []).map(t => t._id || t).sort();
+  if (field === 'dueDate') return value ? new Date(value).toISOString() : null;
+  return value === undefined ? null : value;
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+let syncState = { status: 'synced', pending: 0, conflicts: [], failures: [] };
+let flushing = null; // the replay in progress, if any
+
+function setSyncState(changes) {
+  syncState = { ...syncState, ...changes };
+  window.dispatchEvent(new CustomEvent(SYNC_EVENT, { detail: syncState }));
+}
+
+function useSyncState() {
+  const [state, setState] = useState(syncState);
+  useEffect(() => {
+    const onChange = e => setState(e.detail);
+    window.addEventListener(SYNC_EVENT, onChange);
+    return () => window.removeEventListener(SYNC_EVENT, onChange);
+  }, []);
+  return state;
+}
+
+async function refreshSyncState() {
+  const ops = await outboxAll();
+  const conflicts = ops.filter(op => op.conflict);
+  const pending = ops.length - conflicts.length;
+  let status = 'synced';
+  if (conflicts.length) status = 'conflict';
+  else if (!navigator.onLine) status = 'offline';
+  else if (flushing) status = 'syncing';
+  else if (pending) status = 'pending';
+  setSyncState({ status, pending, conflicts });
+}
+
+// If-Match value for a task version (the API's ETag)
+const etagOf = version => `"${version || 0}"`;
+
+// the request behind an outbox entry; with checkVersion, an op that knows the
+// version it was made against only applies to that version (412 otherwise)
+function sendOp(op, token, checkVersion = false) {
+  if (op.kind === 'create') {
+    return apiFetch('/tasks', token, { method: 'POST', body: JSON.stringify(op.body) });
+  }
+  const headers = checkVersion && op.version !== undefined ? { 'If-Match': etagOf(op.version) } : {};
+  if (op.kind === 'delete') {
+    return apiFetch(`/tasks/${op.taskId}`, token, { method: 'DELETE', headers });
+  }
+  return apiFetch(`/tasks/${op.taskId}`, token, { method: 'PUT', headers, body: JSON.stringify(op.changes) });
+}
+
+/**
+ * Send a task change now, or queue it when offline (or behind earlier queued
+ * changes, so the order is kept). Resolves with apiFetch's result, or
+ * { queued: true } when the change went into the outbox.
+ */
+async function submitTaskChange(op, token) {
+  const waiting = await outboxAll();
+  if (navigator.onLine && !waiting.length && (op.kind === 'create' || !isLocalId(op.taskId))) {
+    try {
+      return await sendOp(op, token, true);
+    } catch {
+      // the request never reached the server: keep it for later
+    }
+  }
+  await outboxAdd({ ...op, queuedAt: Date.now() });
+  refreshSyncState();
+  return { queued: true };
+}
+
+// take back a delete that hasn't been sent yet; false if it already went out
+async function cancelQueuedDelete(taskId) {
+  const op = (await outboxAll()).find(o => o.kind === 'delete' && o.taskId === taskId && !o.conflict);
+  if (!op) return false;
+  await outboxDelete(op.id);
+  refreshSyncState();
+  return true;
+}
+
+// Fields of an update the server changed too, to something else than we did.
+// Returns { gone: true } when the task no longer exists.
+async function findConflict(op, token) {
+  const r = await apiFetch(`/tasks/${op.taskId}`, token);
+  if (r.status === 404) return { gone: true };
+  if (!r.ok) return {};
+
+  const server = r.body.task;
+  if (server.updatedAt === op.baseUpdatedAt) return {};
+  const fields = Object.keys(op.changes).filter(field =>
+    !sameValue(fieldValue(server, field), fieldValue(op.base, field))
+    && !sameValue(fieldValue(server, field), fieldValue(op.changes, field)));
+  return fields.length ? { fields, server } : {};
+}
+
+// answers that say "not now" rather than "no": the op stays queued for the next replay
+const isTransient = r => r.status === 401 || r.status === 408 || r.status === 429 || r.status >= 500;
+
+// replay the outbox in order; stops at the first network failure or transient answer
+async function replayOutbox(token) {
+  let changed = false;
+  const held = new Set(); // tasks with an open conflict: their later changes wait
+  const failures = [];
+
+  for (const op of await outboxAll()) {
+    if (op.conflict || held.has(op.taskId)) {
+      held.add(op.taskId);
+      continue;
+    }
+
+    let r;
+    try {
+      if (op.kind === 'update' && !op.force) {
+        const { gone, fields, server } = await findConflict(op, token);
+        if (gone) {
+          await outboxDelete(op.id);
+          failures.push(`"${op.local.title}" was deleted elsewhere; your change was dropped`);
+          continue;
+        }
+        if (fields) {
+          await outboxPut({ ...op, conflict: { fields, server } });
+          held.add(op.taskId);
+          continue;
+        }
+      }
+      r = await sendOp(op, token);
+    } catch {
+      break; // still offline, try again later
+    }
+    // server restarting, rate limited or logged out: keep it and everything after it
+    if (isTransient(r)) break;
+
+    await outboxDelete(op.id);
+    changed = true;
+
+    // refused for good (validation, permissions, ...): drop it and tell the user
+    if (!r.ok && !(op.kind === 'delete' && r.status === 404)) {
+      const reason = (r.body && (r.body.message || (r.body.errors && r.body.errors.map(x => x.msg).join(', ')))) || 'rejected';
+      failures.push(`"${op.local.title}" could not be saved: ${reason}`);
+      // without the task, changes queued for it can't go anywhere
+      if (op.kind === 'create') {
+        const orphans = (await outboxAll()).filter(x => x.taskId === op.taskId);
+        await Promise.all(orphans.map(x => outboxDelete(x.id)));
+      }
+      continue;
+    }
+
+    // later changes to a task created offline now know its real id
+    if (op.kind === 'create') {
+      const later = (await outboxAll()).filter(x => x.taskId === op.taskId);
+      await Promise.all(later.map(x => outboxPut({ ...x, taskId: r.body.task._id })));
+    }
+  }
+
+  if (failures.length) setSyncState({ failures: [...syncState.failures, ...failures] });
+  if (changed) window.dispatchEvent(new CustomEvent(SYNCED_EVENT));
+}
+
+function flushOutbox(token) {
+  if (!flushing) {
+    flushing = replayOutbox(token)
+      .catch(err => console.error(err))
+      .finally(() => {
+        flushing = null;
+        refreshSyncState();
+      });
+    refreshSyncState();
+  }
+  return flushing;
+}
+
+// conflict resolution: 'mine' sends the change as is, 'theirs' drops it
+async function resolveConflict(op, choice, token) {
+  if (choice === 'mine') await outboxPut({ ...op, conflict: null, force: true });
+  else await outboxDelete(op.id);
+  await flushOutbox(token);
+}
+
+// replay whenever the connection comes back, at start-up, and every 30s while something waits
+function useOutboxSync(token) {
+  useEffect(() => {
+    if (!token) return;
+    const flush = () => flushOutbox(token);
+    const retry = setInterval(() => {
+      if (syncState.pending && navigator.onLine) flush();
+    }, 30000);
+
+    window.addEventListener('online', flush);
+    window.addEventListener('offline', refreshSyncState);
+    flush();
+    return () => {
+      clearInterval(retry);
+      window.removeEventListener('online', flush);
+      window.removeEventListener('offline', refreshSyncState);
+    };
+  }, [token]);
+}
+
+// queued changes drawn over a task list, so it looks the way it will once synced
+function applyOutbox(tasks, ops, fits) {
+  let list = tasks;
+  ops.forEach(op => {
+    if (op.kind === 'create') {
+      if (fits(op.local) && !list.some(t => t._id === op.taskId)) list = [op.local, ...list];
+    } else if (op.kind === 'delete') {
+      list = list.filter(t => t._id !== op.taskId);
+    } else {
+      list = list.map(t => (t._id === op.taskId ? { ...t, ...op.local, _pending: true } : t));
+    }
+  });
+  return list;
+}
+
 export default function App() {
   const auth = useAuth();
   const navigate = useNavigate();
-  const { token, setToken, user, setUser, logout } = auth;
+  const { token, setTokens, user, setUser, logout, logoutEverywhere } = auth;
 
 
   const [loadingUser, setLoadingUser] = useState(false);
@@ -77,15 +589,25 @@ export default function App() {
       setLoadingUser(true);
       apiFetch('/me', token).then(r => {
         setLoadingUser(false);
-        if (r.ok && r.body && r.body.me) setUser(r.body.me);
-        else {
+        if (r.ok && r.body && r.body.me) {
+          setUser(r.body.me);
+          localStorage.setItem(USER_KEY, JSON.stringify(r.body.me));
+        } else {
           // token invalid
           logout();
         }
-      }).catch(() => { setLoadingUser(false); logout(); });
+      }).catch(() => {
+        // offline: carry on as the last known user rather than signing out
+        setLoadingUser(false);
+        const cached = localStorage.getItem(USER_KEY);
+        if (cached) setUser(JSON.parse(cached));
+        else logout();
+      });
     }
   }, [token]);
 
+  useOutboxSync(token);
+
   return (
     <div className="min-h-screen bg-[#fafafa] p-6 flex items-start justify-center">
       <div className="max-w-4xl mx-auto">
@@ -106,8 +628,8 @@ export default function App() {
                 ) : (
                   <AuthForm
                     mode="login"
-                    onSuccess={({ token: t }) => {
-                      setToken(t);
+                    onSuccess={({ token: t, refreshToken }) => {
+                      setTokens(t, refreshToken);
                       navigate('/tasks');
                     }}
                     switchToRegister={() => navigate('/register')}
@@ -124,8 +646,8 @@ export default function App() {
                 ) : (
                   <AuthForm
                     mode="register"
-                    onSuccess={({ token: t }) => {
-                      setToken(t);
+                    onSuccess={({ token: t, refreshToken }) => {
+                      setTokens(t, refreshToken);
                       navigate('/tasks');
                     }}
                     switchToLogin={() => navigate('/login')}
@@ -134,6 +656,21 @@ export default function App() {
               }
             />
 
+            <Route
+              path="/forgot-password"
+              element={<AuthForm mode="forgot" switchToLogin={() => navigate('/login')} />}
+            />
+
+            <Route
+              path="/reset-password"
+              element={<AuthForm mode="reset" switchToLogin={() => navigate('/login')} />}
+            />
+
+            <Route
+              path="/verify-email"
+              element={<AuthForm mode="verify" switchToLogin={() => navigate(token ? '/tasks' : '/login')} />}
+            />
+
             <Route
               path="/tasks"
               element={
@@ -144,6 +681,61 @@ export default function App() {
                 )
               }
             />
+
+            <Route
+              path="/board"
+              element={
+                token ? (
+                  <Board token={token} />
+                ) : (
+                  <Navigate to="/login" />
+                )
+              }
+            />
+
+            <Route
+              path="/calendar"
+              element={
+                token ? (
+                  <Calendar token={token} />
+                ) : (
+                  <Navigate to="/login" />
+                )
+              }
+            />
+
+            <Route
+              path="/trash"
+              element={
+                token ? (
+                  <Trash token={token} />
+                ) : (
+                  <Navigate to="/login" />
+                )
+              }
+            />
+
+            <Route
+              path="/settings"
+              element={
+                token ? (
+                  <ApiTokens token={token} />
+                ) : (
+                  <Navigate to="/login" />
+                )
+              }
+            />
+
+            <Route
+              path="/sessions"
+              element={
+                token ? (
+                  <Sessions token={token} onLogoutEverywhere={logoutEverywhere} />
+                ) : (
+                  <Navigate to="/login" />
+                )
+              }
+            />
           </Routes>
         </div>
       </div>
@@ -153,6 +745,27 @@ export default function App() {
 
 import { CheckSquare, LogOut } from 'lucide-react';
 
+const SYNC_LABELS = {
+  synced: ['bg-green-500', 'Synced'],
+  syncing: ['bg-blue-500 animate-pulse', 'Syncing…'],
+  pending: ['bg-amber-500', 'Waiting to sync'],
+  offline: ['bg-gray-400', 'Offline'],
+  conflict: ['bg-red-500', 'Sync conflict'],
+};
+
+function SyncBadge() {
+  const { status, pending } = useSyncState();
+  const [dot, label] = SYNC_LABELS[status];
+
+  return (
+    <span className="flex items-center gap-1.5 text-xs text-gray-500" title={pending ? `${pending} change(s) not sent yet` : label}>
+      <span className={`w-2 h-2 rounded-full ${dot}`} />
+      {label}
+      {pending > 0 && status !== 'syncing' && ` · ${pending}`}
+    </span>
+  );
+}
+
 function Header({ user, onLogout }) {
   const navigate = useNavigate();
 
@@ -177,7 +790,44 @@ function Header({ user, onLogout }) {
               Tasks
             </Link>
 
+            <Link
+              to="/board"
+              className="px-4 py-1.5 rounded-full text-sm hover:bg-gray-100 transition"
+            >
+              Board
+            </Link>
+
+            <Link
+              to="/calendar"
+              className="px-4 py-1.5 rounded-full text-sm hover:bg-gray-100 transition"
+            >
+              Calendar
+            </Link>
+
+            <Link
+              to="/trash"
+              className="px-4 py-1.5 rounded-full text-sm hover:bg-gray-100 transition"
+            >
+              Trash
+            </Link>
+
+            <Link
+              to="/sessions"
+              className="px-4 py-1.5 rounded-full text-sm hover:bg-gray-100 transition"
+            >
+              Sessions
+            </Link>
+
+            <Link
+              to="/settings"
+              className="px-4 py-1.5 rounded-full text-sm hover:bg-gray-100 transition"
+            >
+              Settings
+            </Link>
+
             <div className="flex items-center gap-3 ml-2">
+              <SyncBadge />
+
               <span className="text-sm text-gray-500">
                 {user.name}
               </span>
@@ -216,13 +866,72 @@ function Header({ user, onLogout }) {
 }
 
 
+// title, subtitle and submit label of each AuthForm screen
+const AUTH_SCREENS = {
+  login: ['Welcome back 👋', 'Login to manage your tasks', 'Login'],
+  register: ['Create your account ✨', 'Start organizing your work with TaskPilot', 'Create account'],
+  forgot: ['Forgot your password? 🔑', 'We will email you a link to choose a new one', 'Send reset link'],
+  reset: ['Choose a new password 🔒', 'The link from your email works once', 'Set new password'],
+  verify: ['Confirming your email ✉️', 'One moment…', null],
+};
+
 function AuthForm({ mode, onSuccess, switchToRegister, switchToLogin }) {
   const [name, setName] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [unverified, setUnverified] = useState(false); // login refused until the email is confirmed
+  const [retryAt, setRetryAt] = useState(null); // rate limited until this time (ms)
+  const [clock, setClock] = useState(() => Date.now());
   const [fieldErrors, setFieldErrors] = useState({});
+  const [searchParams] = useSearchParams();
+  const linkToken = searchParams.get('token'); // from the emailed reset / verify link
+
+  const [title, subtitle, submitLabel] = AUTH_SCREENS[mode];
+  const needsEmail = mode !== 'reset' && mode !== 'verify';
+  const needsPassword = mode !== 'forgot' && mode !== 'verify';
+
+  // the verify link does its work as soon as it is opened. The token is single-use
+  // and StrictMode runs effects twice, so the request is sent once per token
+  // and only the effect still mounted shows its answer.
+  const verifying = useRef(null); // { token, request }
+  useEffect(() => {
+    if (mode !== 'verify') return;
+    if (!verifying.current || verifying.current.token !== linkToken) {
+      verifying.current = {
+        token: linkToken,
+        request: apiFetch('/auth/verify-email', null, { method: 'POST', body: JSON.stringify({ token: linkToken || '' }) }),
+      };
+    }
+    let active = true;
+    verifying.current.request
+      .then(r => {
+        if (!active) return;
+        if (r.ok) setNotice('Your email address is confirmed. You can log in now.');
+        else setError((r.body && r.body.message) || 'This link is invalid or has expired');
+      })
+      .catch(() => {
+        if (active) setError('Could not reach the server');
+      });
+    return () => {
+      active = false;
+    };
+  }, [mode, linkToken]);
+
+  // tick the lockout countdown once a second until it runs out
+  useEffect(() => {
+    if (!retryAt) return;
+    const id = setInterval(() => {
+      const now = Date.now();
+      setClock(now);
+      if (now >= retryAt) setRetryAt(null);
+    }, 1000);
+    return () => clearInterval(id);
+  }, [retryAt]);
+
+  const waitLeft = retryAt ? Math.max(Math.ceil((retryAt - clock) / 1000), 0) : 0;
 
   const validate = () => {
     const errs = {};
@@ -231,14 +940,16 @@ function AuthForm({ mode, onSuccess, switchToRegister, switchToLogin }) {
       errs.name = 'Name is required';
     }
 
-    if (!email.trim()) {
+    if (needsEmail && !email.trim()) {
       errs.email = 'Email is required';
-    } else if (!/\S+@\S+\.\S+/.test(email)) {
+    } else if (needsEmail && !/\S+@\S+\.\S+/.test(email)) {
       errs.email = 'Invalid email format';
     }
 
-    if (!password.trim()) {
+    if (needsPassword && !password.trim()) {
       errs.password = 'Password is required';
+    } else if (mode === 'reset' && password.length < 6) {
+      errs.password = 'Password must be at least 6 characters';
     }
 
     setFieldErrors(errs);
@@ -249,16 +960,20 @@ function AuthForm({ mode, onSuccess, switchToRegister, switchToLogin }) {
   const submit = async (e) => {
     e.preventDefault();
     setError(null);
+    setNotice(null);
+    setUnverified(false);
 
     // 👉 FRONTEND VALIDATION
     if (!validate()) return;
 
     setLoading(true);
 
-    const path = mode === 'login' ? '/auth/login' : '/auth/register';
-    const body = mode === 'login'
-      ? { email, password }
-      : { name, email, password };
+    const [path, body] = {
+      login: ['/auth/login', { email, password }],
+      register: ['/auth/register', { name, email, password }],
+      forgot: ['/auth/forgot-password', { email }],
+      reset: ['/auth/reset-password', { token: linkToken || '', password }],
+    }[mode];
 
     const res = await apiFetch(path, null, {
       method: 'POST',
@@ -269,8 +984,17 @@ function AuthForm({ mode, onSuccess, switchToRegister, switchToLogin }) {
 
     if (res.ok) {
       setFieldErrors({});   // clear inline errors
-      onSuccess(res.body);
+      // logged in straight away, or told to check the inbox first
+      if (res.body.token) onSuccess(res.body);
+      else setNotice(res.body.message);
+      if (mode === 'reset') setPassword('');
     } else {
+      if (res.body && res.body.code === 'EMAIL_NOT_VERIFIED') setUnverified(true);
+      if (res.status === 429 && res.body && res.body.retryAfter) {
+        const now = Date.now();
+        setClock(now);
+        setRetryAt(now + res.body.retryAfter * 1000);
+      }
       if (res.body && res.body.errors) {
         setError(res.body.errors.map(e => e.msg).join('; '));
       } else if (res.body && res.body.message) {
@@ -282,24 +1006,42 @@ function AuthForm({ mode, onSuccess, switchToRegister, switchToLogin }) {
   };
 
 
+  const resendVerification = async () => {
+    const res = await apiFetch('/auth/resend-verification', null, { method: 'POST', body: JSON.stringify({ email }) });
+    setUnverified(false);
+    setError(null);
+    if (res.ok) setNotice(res.body.message);
+    else setError((res.status === 429 && res.body && res.body.message) || 'Could not send the email, try again later');
+  };
+
   return (
     <div className="w-full max-w-md mt-20 bg-white rounded-2xl shadow-sm border p-8 animate-fadeIn">
       <h2 className="text-2xl font-semibold mb-1">
-        {mode === 'login' ? 'Welcome back 👋' : 'Create your account ✨'}
+        {title}
       </h2>
 
       <p className="text-sm text-gray-500 mb-6">
-        {mode === 'login'
-          ? 'Login to manage your tasks'
-          : 'Start organizing your work with TaskPilot'}
+        {subtitle}
       </p>
 
       {error && (
         <div className="mb-4 text-sm text-red-600 bg-red-50 px-3 py-2 rounded">
           {error}
+          {unverified && (
+            <button type="button" onClick={resendVerification} className="block mt-1 underline">
+              Send the confirmation email again
+            </button>
+          )}
         </div>
       )}
 
+      {notice && (
+        <div className="mb-4 text-sm text-green-700 bg-green-50 px-3 py-2 rounded">
+          {notice}
+        </div>
+      )}
+
+      {submitLabel && (
       <form onSubmit={submit} className="space-y-4">
         {mode === 'register' && (
           <div className="relative">
@@ -328,6 +1070,7 @@ function AuthForm({ mode, onSuccess, switchToRegister, switchToLogin }) {
         )}
 
 
+        {needsEmail && (
         <div className="relative">
           <label className="block text-sm mb-1 text-gray-700">Email</label>
 
@@ -351,10 +1094,14 @@ function AuthForm({ mode, onSuccess, switchToRegister, switchToLogin }) {
             </p>
           )}
         </div>
+        )}
 
 
+        {needsPassword && (
         <div className="relative">
-          <label className="block text-sm mb-1 text-gray-700">Password</label>
+          <label className="block text-sm mb-1 text-gray-700">
+            {mode === 'reset' ? 'New password' : 'Password'}
+          </label>
 
           <input
             type="password"
@@ -376,20 +1123,28 @@ function AuthForm({ mode, onSuccess, switchToRegister, switchToLogin }) {
               {fieldErrors.password}
             </p>
           )}
+
+          {mode === 'login' && (
+            <Link to="/forgot-password" className="block mt-1 text-xs text-gray-500 hover:underline text-right">
+              Forgot password?
+            </Link>
+          )}
         </div>
+        )}
 
         <button
           type="submit"
-          disabled={loading}
+          disabled={loading || waitLeft > 0}
           className="w-full mt-4 py-2.5 rounded-xl bg-gray-900 text-white font-medium hover:scale-[1.01] transition disabled:opacity-60"
         >
           {loading
             ? 'Please wait...'
-            : mode === 'login'
-              ? 'Login'
-              : 'Create account'}
+            : waitLeft > 0
+              ? `Try again in ${Math.floor(waitLeft / 60)}:${String(waitLeft % 60).padStart(2, '0')}`
+              : submitLabel}
         </button>
       </form>
+      )}
 
       <div className="mt-6 text-sm text-center">
         {mode === 'login' ? (
@@ -406,7 +1161,7 @@ function AuthForm({ mode, onSuccess, switchToRegister, switchToLogin }) {
             onClick={switchToLogin}
             className="text-gray-600 hover:underline"
           >
-            Already have an account? Login
+            {mode === 'register' ? 'Already have an account? Login' : 'Back to login'}
           </button>
         )}
       </div>
@@ -419,146 +1174,584 @@ function Tasks({ token, user }) {
   const [loading, setLoading] = useState(false);
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
+  const [dueDate, setDueDate] = useState('');
+  const [priority, setPriority] = useState('medium');
   const [error, setError] = useState(null);
   const [editingId, setEditingId] = useState(null);
   const [editTitle, setEditTitle] = useState('');
   const [editDescription, setEditDescription] = useState('');
+  const [editDueDate, setEditDueDate] = useState('');
+  const [editPriority, setEditPriority] = useState('medium');
   const [completedFilter, setCompletedFilter] = useState('all'); // all | true | false
-  const [sortOrder, setSortOrder] = useState('desc'); // desc | asc
-  const [page, setPage] = useState(1);
+  const [sort, setSort] = useState('createdAt:desc'); // field:dir
+  const [priorityFilter, setPriorityFilter] = useState('all');
+  const [overdueOnly, setOverdueOnly] = useState(false);
+  const [searchInput, setSearchInput] = useState('');
+  const [q, setQ] = useState(''); // debounced searchInput
+  const [cursor, setCursor] = useState(null); // { after | before, n } of the page shown; null = first page
+  const [pageCursors, setPageCursors] = useState({ next: null, prev: null }); // from the last response
   const [limit, setLimit] = useState(5);
+  const [projects, setProjects] = useState([]);
+  const [projectId, setProjectId] = useState(''); // '' = personal tasks
+  const [allTags, setAllTags] = useState([]);
+  const [selectedTags, setSelectedTags] = useState([]); // tag ids for the create form
+  const [editTags, setEditTags] = useState([]);
+  const [recurrence, setRecurrence] = useState(null);
+  const [editRecurrence, setEditRecurrence] = useState(null);
+  const [tagFilter, setTagFilter] = useState([]); // tag ids
+  const [tagMode, setTagMode] = useState('any'); // any | all
+  const [managingTags, setManagingTags] = useState(false);
+  const [historyTask, setHistoryTask] = useState(null);
+  const [dependencyTask, setDependencyTask] = useState(null);
+  const [selected, setSelected] = useState([]); // task ids picked for a bulk action
+  const [importing, setImporting] = useState(false);
+  const [syncTick, setSyncTick] = useState(0); // bumped when the outbox has been replayed
+  const [statuses, setStatuses] = useState([]); // workflow of the current list
+  const [undo, setUndo] = useState(null); // { ids, queued, message } of the last delete
+  const [editConflict, setEditConflict] = useState(null); // { base, changes, server } after a 412
 
+  // the API filters by tag name; a stable string also keeps the fetch effect quiet
+  const tagQuery = allTags.filter(t => tagFilter.includes(t._id)).map(t => t.name).join(',');
 
+  const currentProject = projects.find(p => p._id === projectId) || null;
+  const canEdit = !currentProject || currentProject.role !== 'viewer';
 
-  const fetchTasks = async () => {
-    setLoading(true);
+  // only tasks still on screen count; paging or filtering drops the rest
+  const selectedIds = selected.filter(id => tasks.some(t => t._id === id));
+  const allSelected = tasks.length > 0 && selectedIds.length === tasks.length;
 
-    let query = `?page=${page}&limit=${limit}&sort=createdAt:${sortOrder}`;
+  const loadProjects = useCallback(() =>
+    apiFetch('/projects', token).then(r => {
+      if (r.ok) setProjects(r.body.projects || []);
+    }), [token]);
 
-    if (completedFilter !== 'all') {
-      query += `&completed=${completedFilter}`;
-    }
+  useEffect(() => {
+    if (token) loadProjects();
+  }, [token, loadProjects]);
 
-    const r = await apiFetch(`/tasks${query}`, token);
+  const loadTags = useCallback(() =>
+    apiFetch('/tags', token).then(r => {
+      if (r.ok) setAllTags(r.body.tags || []);
+    }), [token]);
+
+  useEffect(() => {
+    if (token) loadTags();
+  }, [token, loadTags]);
+
+  useEffect(() => {
+    if (token) {
+      apiFetch(`/workflow${projectId ? `?project=${projectId}` : ''}`, token).then(r => {
+        if (r.ok) setStatuses(r.body.statuses);
+      }).catch(() => {});
+    }
+  }, [token, projectId]);
+
+
+  // the current filters as query params; shared by the list and the export
+  const filterQuery = () => {
+    let query = '';
+
+    if (completedFilter !== 'all') {
+      query += `&completed=${completedFilter}`;
+    }
+
+    if (projectId) {
+      query += `&project=${projectId}`;
+    }
+
+    if (priorityFilter !== 'all') {
+      query += `&priority=${priorityFilter}`;
+    }
+
+    if (overdueOnly) {
+      query += '&overdue=true';
+    }
+
+    if (tagQuery) {
+      query += `&tags=${encodeURIComponent(tagQuery)}&tagMode=${tagMode}`;
+    }
+
+    if (q) {
+      query += `&q=${encodeURIComponent(q)}`;
+    }
+
+    return query;
+  };
+
+  // could this task appear with the current filters? (a search can't be checked here)
+  const matchesView = (task) => {
+    if ((task.project || '') !== projectId) return false;
+    if (completedFilter !== 'all' && String(task.completed) !== completedFilter) return false;
+    if (priorityFilter !== 'all' && task.priority !== priorityFilter) return false;
+    if (overdueOnly && !isOverdue(task)) return false;
+    if (tagFilter.length) {
+      const ids = (task.tags || []).map(t => t._id);
+      const hit = tagMode === 'all' ? tagFilter.every(id => ids.includes(id)) : tagFilter.some(id => ids.includes(id));
+      if (!hit) return false;
+    }
+    return true;
+  };
+
+  const fetchTasks = async () => {
+    setLoading(true);
+
+    const position = cursor
+      ? (cursor.after ? `&after=${encodeURIComponent(cursor.after)}` : `&before=${encodeURIComponent(cursor.before)}`)
+      : '';
+    const query = `?limit=${limit}&sort=${sort}${position}${filterQuery()}`;
+    let list = null;
+    let meta = null;
+    try {
+      const r = await apiFetch(`/tasks${query}`, token);
+      if (r.ok) {
+        list = r.body.tasks || [];
+        meta = r.body.meta;
+        savePage(query, list, meta).catch(() => {});
+      } else if (r.status === 400 && cursor) {
+        // the cursor no longer fits (e.g. the sort changed): back to the first page
+        setLoading(false);
+        return setCursor(null);
+      } else {
+        setError('Failed to load tasks');
+      }
+    } catch {
+      // offline: the copy saved the last time this page was loaded
+      const saved = await loadPage(query).catch(() => null);
+      list = saved ? saved.tasks : [];
+      meta = saved && saved.meta;
+      if (!saved) setError('You are offline and this page has not been loaded before');
+    }
 
     setLoading(false);
-    if (r.ok) {
-      setTasks(r.body.tasks || []);
-    } else {
-      setError('Failed to load tasks');
+    setPageCursors({ next: (meta && meta.next) || null, prev: (meta && meta.prev) || null });
+    if (list) {
+      // new tasks waiting in the outbox show at the top of the first page
+      const ops = await outboxAll().catch(() => []);
+      setTasks(applyOutbox(list, ops, task => !cursor && matchesView(task)));
     }
   };
 
 
+  // page 2 goes back to the first page outright, as does a page that has no
+  // prev cursor (everything before it was deleted meanwhile)
+  const prevPage = () =>
+    setCursor(c => (pageCursors.prev && c.n > 2 ? { before: pageCursors.prev, n: c.n - 1 } : null));
+
+  const nextPage = () => setCursor(c => ({ after: pageCursors.next, n: (c ? c.n : 1) + 1 }));
+
   useEffect(() => {
     if (token) fetchTasks();
-  }, [token, completedFilter, sortOrder, page, limit]);
+  }, [token, completedFilter, sort, cursor, limit, projectId, priorityFilter, overdueOnly, tagQuery, tagMode, q, syncTick]);
+
+  // queued changes reached the server: reload to show the server's copies
+  useEffect(() => {
+    const onSynced = () => setSyncTick(n => n + 1);
+    window.addEventListener(SYNCED_EVENT, onSynced);
+    return () => window.removeEventListener(SYNCED_EVENT, onSynced);
+  }, []);
 
+  // wait for a pause in typing before searching; switch to relevance order
+  // while searching unless the user picked another sort
+  useEffect(() => {
+    const id = setTimeout(() => {
+      const next = searchInput.trim();
+      if (next === q) return;
+      setCursor(null);
+      setQ(next);
+      setSort(s => {
+        if (next && s === 'createdAt:desc') return 'relevance';
+        if (!next && s === 'relevance') return 'createdAt:desc';
+        return s;
+      });
+    }, 300);
+    return () => clearTimeout(id);
+  }, [searchInput, q]);
+
+
+  // send a new task (queued while offline); `tags` are the tag objects for the card
+  // shown until the server has it. Resolves with whether the task was taken.
+  const addTask = async (body, tags) => {
+    // what the card shows until the server has the task
+    const local = {
+      ...body,
+      _id: `${LOCAL_PREFIX}${crypto.randomUUID()}`,
+      tags,
+      completed: false,
+      items: [],
+      progress: { done: 0, total: 0 },
+      commentCount: 0,
+      attachments: [],
+      createdAt: new Date().toISOString(),
+      _pending: true,
+    };
+
+    const r = await submitTaskChange({ kind: 'create', taskId: local._id, body, local }, token);
+    if (r.queued) setTasks(ts => [local, ...ts]);
+    else if (r.ok) fetchTasks();
+    else setError((r.body && (r.body.message || (r.body.errors && r.body.errors.map(x => x.msg).join(', ')))) || 'Create failed');
+    return !!(r.queued || r.ok);
+  };
 
   const createTask = async (e) => {
     e && e.preventDefault();
     setError(null);
-    const r = await apiFetch('/tasks', token, { method: 'POST', body: JSON.stringify({ title, description }) });
-    if (r.ok) {
-      setTitle(''); setDescription('');
-      fetchTasks();
-    } else {
-      setError((r.body && (r.body.message || (r.body.errors && r.body.errors.map(x => x.msg).join(', ')))) || 'Create failed');
+    const added = await addTask({
+      title,
+      description,
+      project: projectId || null,
+      dueDate: fromDateInput(dueDate),
+      priority,
+      tags: selectedTags,
+      recurrence,
+    }, allTags.filter(t => selectedTags.includes(t._id)));
+    if (added) {
+      setTitle(''); setDescription(''); setDueDate(''); setPriority('medium'); setSelectedTags([]); setRecurrence(null);
     }
   };
 
-  const toggleComplete = async (task) => {
-    const r = await apiFetch(`/tasks/${task._id}`, token, { method: 'PUT', body: JSON.stringify({ completed: !task.completed }) });
-    if (r.ok) fetchTasks();
+  // create a task from a parsed quick-add line; tags it names that don't exist yet are made first
+  const quickAdd = async (parsed) => {
+    setError(null);
+    const created = [];
+    for (const name of parsed.newTags) {
+      const color = TAG_COLORS[(allTags.length + created.length) % TAG_COLORS.length];
+      const r = await apiFetch('/tags', token, { method: 'POST', body: JSON.stringify({ name, color }) });
+      if (r.ok) created.push(r.body.tag);
+    }
+    if (created.length) loadTags();
+
+    const tags = [...parsed.tags, ...created];
+    return addTask({
+      title: parsed.title,
+      description: '',
+      project: projectId || null,
+      dueDate: parsed.dueDate,
+      priority: parsed.priority || 'medium',
+      tags: tags.map(t => t._id),
+      recurrence: parsed.recurrence,
+    }, tags);
+  };
+
+  // outbox entry for changing a task; `base` is what the change was made against
+  const updateOp = (task, changes, local) => ({
+    kind: 'update',
+    taskId: task._id,
+    changes,
+    base: Object.fromEntries(Object.keys(changes).map(field => [field, task[field] === undefined ? null : task[field]])),
+    baseUpdatedAt: task.updatedAt,
+    local,
+  });
+
+  const toggleComplete = async (task, force = false) => {
+    const changes = force ? { completed: true, force: true } : { completed: !task.completed };
+    const local = { ...task, completed: changes.completed, _pending: true };
+    const r = await submitTaskChange(updateOp(task, changes, local), token);
+    if (r.queued) replaceTask(local);
+    else if (r.ok) fetchTasks();
+    else if (r.status === 409 && r.body && r.body.code === 'BLOCKED') {
+      const titles = r.body.blockers.map(b => `"${b.title}"`).join(', ');
+      if (confirm(`Still waiting on ${titles}. Complete it anyway?`)) toggleComplete(task, true);
+    } else setError('Update failed');
+  };
+
+  // recurring tasks: move to the next occurrence without completing this one
+  const skipOccurrence = async (task) => {
+    const r = await apiFetch(`/tasks/${task._id}/skip`, token, { method: 'POST' });
+    if (r.ok) replaceTask(r.body.task);
+    else setError((r.body && r.body.message) || 'Skip failed');
+  };
+
+  const stopSeries = async (task) => {
+    if (!confirm('Stop repeating this task? This occurrence is kept.')) return;
+    const r = await apiFetch(`/tasks/${task._id}`, token, { method: 'PUT', body: JSON.stringify({ recurrence: null }) });
+    if (r.ok) replaceTask(r.body.task);
     else setError('Update failed');
   };
 
+  // deleted tasks go to the trash, so instead of asking first we offer to undo
   const removeTask = async (task) => {
-    if (!confirm('Delete this task?')) return;
-    const r = await apiFetch(`/tasks/${task._id}`, token, { method: 'DELETE' });
+    const r = await submitTaskChange({ kind: 'delete', taskId: task._id, local: { title: task.title } }, token);
+    if (!r.queued && !r.ok) return setError('Delete failed');
+    setTasks(ts => ts.filter(x => x._id !== task._id));
+    setUndo({ ids: [task._id], queued: !!r.queued, message: `Deleted "${task.title}"` });
     if (r.ok) fetchTasks();
-    else setError('Delete failed');
   };
 
+  const undoDelete = async () => {
+    const { ids, queued } = undo;
+    setUndo(null);
+    // a delete still in the outbox is simply dropped; a sent one is restored from the trash
+    const results = await Promise.all(ids.map(id => (queued
+      ? cancelQueuedDelete(id)
+      : apiFetch(`/tasks/${id}/restore`, token, { method: 'POST' }).then(r => r.ok))));
+    if (results.includes(false)) setError('Some tasks could not be restored');
+    fetchTasks();
+  };
+
+  useEffect(() => {
+    if (!undo) return;
+    const id = setTimeout(() => setUndo(null), UNDO_MS);
+    return () => clearTimeout(id);
+  }, [undo]);
+
+  // download everything matching the current filters, not just this page
+  const exportTasks = async (format) => {
+    const query = `?format=${format}&tzOffset=${new Date().getTimezoneOffset()}${filterQuery()}`;
+    const res = await authFetch(`/tasks/export${query}`, token);
+    if (!res.ok) {
+      setError('Export failed');
+      return;
+    }
+
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tasks.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const toggleSelected = (task) => {
+    setSelected(s => (s.includes(task._id) ? s.filter(id => id !== task._id) : [...s, task._id]));
+  };
+
+  // one request for every selected task; the server reports each task separately
+  const runBulk = async (action, extra = {}) => {
+    setError(null);
+    const r = await apiFetch('/tasks/bulk', token, {
+      method: 'POST',
+      body: JSON.stringify({ ids: selectedIds, action, ...extra }),
+    });
+    if (!r.ok) {
+      setError((r.body && (r.body.message || (r.body.errors && r.body.errors.map(x => x.msg).join(', ')))) || 'Bulk update failed');
+      return;
+    }
+
+    const failed = r.body.results.filter(x => !x.ok);
+    setSelected(failed.map(x => x.id));
+    const deleted = action === 'delete' ? r.body.results.filter(x => x.ok).map(x => x.id) : [];
+    if (deleted.length) {
+      setUndo({ ids: deleted, queued: false, message: `Deleted ${deleted.length} task${deleted.length === 1 ? '' : 's'}` });
+    }
+    if (failed.length) {
+      setError(`${failed.length} of ${r.body.results.length} tasks were not changed: ${[...new Set(failed.map(x => x.message))].join(', ')}`);
+    }
+    fetchTasks();
+  };
+
+  // swap in the server's copy of a task without refetching the page
+  const replaceTask = (updated) => {
+    setTasks(ts => ts.map(x => (
+      x._id === updated._id
+        ? { ...keepOpenBlockers(updated, x), search: x.search, commentCount: x.commentCount, attachments: x.attachments }
+        : x
+    )));
+  };
+
+  // changes made elsewhere (another tab, another project member) patch the list in place
+  useTaskEvents(token, ({ type, task }) => {
+    if (type === 'task.updated') setTasks(ts => ts.map(x => dropDoneBlocker(x, task)));
+    if (type === 'task.deleted' || !matchesView(task)) {
+      setTasks(ts => ts.filter(x => x._id !== task._id));
+    } else if (type === 'task.updated') {
+      replaceTask(task);
+    } else if (type === 'task.created' && !cursor && sort === 'createdAt:desc' && !q) {
+      // only where a new task is known to go: the top of the newest-first first page
+      setTasks(ts => (ts.some(x => x._id === task._id)
+        ? ts
+        : [{ ...task, commentCount: 0, attachments: [] }, ...ts].slice(0, limit)));
+    }
+  });
+
   const startEdit = (task) => {
     setEditingId(task._id);
     setEditTitle(task.title);
     setEditDescription(task.description || '');
+    setEditDueDate(toDateInput(task.dueDate));
+    setEditPriority(task.priority || 'medium');
+    setEditTags((task.tags || []).map(tag => tag._id));
+    setEditRecurrence(task.recurrence || null);
   };
 
   const cancelEdit = () => {
     setEditingId(null);
     setEditTitle('');
     setEditDescription('');
+    setEditDueDate('');
+    setEditPriority('medium');
+    setEditTags([]);
+    setEditRecurrence(null);
   };
 
   const saveEdit = async (task) => {
-    const r = await apiFetch(`/tasks/${task._id}`, token, {
+    const edited = {
+      title: editTitle,
+      description: editDescription,
+      dueDate: fromDateInput(editDueDate),
+      priority: editPriority,
+      tags: editTags,
+      recurrence: editRecurrence,
+    };
+    // send only what changed, so a replayed edit can't undo someone else's work on other fields
+    const changes = Object.fromEntries(
+      Object.entries(edited).filter(([field]) => !sameValue(fieldValue(edited, field), fieldValue(task, field)))
+    );
+    if (!Object.keys(changes).length) return cancelEdit();
+
+    const local = { ...task, ...changes, tags: mergeTags(allTags, task.tags).filter(t => editTags.includes(t._id)), _pending: true };
+    // sent straight away, the edit only applies to the version it was made on
+    const r = await submitTaskChange({ ...updateOp(task, changes, local), version: task.version }, token);
+
+    if (r.queued || r.ok) {
+      if (r.queued) replaceTask(local);
+      else fetchTasks();
+      cancelEdit();
+    } else if (r.status === 412) {
+      setEditConflict({ base: task, changes, server: r.body.task });
+    } else {
+      setError('Update failed');
+    }
+  };
+
+  // after a 412: send the chosen fields against the version we now know about
+  const resolveEditConflict = async (changes) => {
+    const { server } = editConflict;
+    if (!Object.keys(changes).length) {
+      replaceTask(server);
+      setEditConflict(null);
+      return cancelEdit();
+    }
+
+    const r = await apiFetch(`/tasks/${server._id}`, token, {
       method: 'PUT',
-      body: JSON.stringify({
-        title: editTitle,
-        description: editDescription,
-      }),
+      headers: { 'If-Match': etagOf(server.version) },
+      body: JSON.stringify(changes),
     });
-
     if (r.ok) {
-      fetchTasks();
+      setEditConflict(null);
       cancelEdit();
+      fetchTasks();
+    } else if (r.status === 412) {
+      // changed yet again while the dialog was open
+      setEditConflict(c => ({ ...c, server: r.body.task }));
     } else {
-      setError('Update failed');
+      setEditConflict(null);
+      setError((r.body && r.body.message) || 'Update failed');
     }
   };
 
 
   return (
     <div className="bg-white p-6 rounded shadow">
-      <h2 className="text-lg font-medium mb-4">Tasks for {user ? user.name : 'you'}</h2>
+      <h2 className="text-lg font-medium mb-4">
+        {currentProject ? currentProject.name : `Tasks for ${user ? user.name : 'you'}`}
+      </h2>
 
-      <form
-        onSubmit={createTask}
-        className="mb-6 rounded-2xl bg-yellow-50 border border-yellow-200 p-4 shadow-sm"
-      >
-        <div className="flex flex-col gap-3">
-          <input
-            className="w-full bg-transparent border-b border-yellow-300 focus:border-yellow-500 outline-none px-1 py-2 text-sm placeholder-yellow-600"
-            placeholder="✍️ Task title"
-            value={title}
-            onChange={e => setTitle(e.target.value)}
-          />
+      <ProjectBar
+        token={token}
+        user={user}
+        projects={projects}
+        current={currentProject}
+        onSelect={id => {
+          setCursor(null);
+          setProjectId(id);
+        }}
+        onChanged={loadProjects}
+      />
 
-          <textarea
-            className="w-full bg-transparent border-b border-yellow-300 focus:border-yellow-500 outline-none px-1 py-2 text-sm placeholder-yellow-600 resize-none"
-            placeholder="Optional description…"
-            rows={2}
-            value={description}
-            onChange={e => setDescription(e.target.value)}
-          />
+      {canEdit && <QuickAdd token={token} onAdd={quickAdd} />}
 
-          <div className="flex justify-end">
-            <button
-              type="submit"
-              className="px-4 py-2 rounded-full bg-black text-white text-sm hover:scale-105 transition-transform"
-            >
-              ➕ Add task
-            </button>
+      {canEdit && (
+        <form
+          onSubmit={createTask}
+          className="mb-6 rounded-2xl bg-yellow-50 border border-yellow-200 p-4 shadow-sm"
+        >
+          <div className="flex flex-col gap-3">
+            <input
+              className="w-full bg-transparent border-b border-yellow-300 focus:border-yellow-500 outline-none px-1 py-2 text-sm placeholder-yellow-600"
+              placeholder="✍️ Task title"
+              value={title}
+              onChange={e => setTitle(e.target.value)}
+            />
+
+            <textarea
+              className="w-full bg-transparent border-b border-yellow-300 focus:border-yellow-500 outline-none px-1 py-2 text-sm placeholder-yellow-600 resize-none"
+              placeholder="Optional description…"
+              rows={2}
+              value={description}
+              onChange={e => setDescription(e.target.value)}
+            />
+
+            <TagPicker
+              token={token}
+              tags={allTags}
+              value={selectedTags}
+              onChange={setSelectedTags}
+              onCreated={loadTags}
+            />
+
+            <RecurrenceEditor value={recurrence} onChange={setRecurrence} />
+
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div className="flex flex-wrap items-center gap-3">
+                <label className="flex items-center gap-2 text-sm text-yellow-700">
+                  <CalendarDays className="w-4 h-4" />
+                  <input
+                    type="date"
+                    className="bg-transparent border-b border-yellow-300 focus:border-yellow-500 outline-none px-1 py-1 text-sm"
+                    value={dueDate}
+                    onChange={e => setDueDate(e.target.value)}
+                  />
+                </label>
+
+                <select
+                  className="bg-transparent border-b border-yellow-300 focus:border-yellow-500 outline-none px-1 py-1 text-sm text-yellow-700"
+                  value={priority}
+                  onChange={e => setPriority(e.target.value)}
+                >
+                  {PRIORITIES.map(p => (
+                    <option key={p} value={p}>{p} priority</option>
+                  ))}
+                </select>
+              </div>
+
+              <button
+                type="submit"
+                className="px-4 py-2 rounded-full bg-black text-white text-sm hover:scale-105 transition-transform"
+              >
+                ➕ Add task
+              </button>
+            </div>
           </div>
-        </div>
-      </form>
+        </form>
+      )}
 
 
       {error && <div className="text-red-600 mb-3">{error}</div>}
 
+      <SyncPanel token={token} />
+
       {/* Toolbar */}
       <div className="mb-6">
         <div className="bg-gray-50 border rounded-2xl p-4 shadow-sm flex flex-wrap items-center gap-4 justify-between">
 
           {/* Left: Filters */}
           <div className="flex flex-wrap gap-3 items-center">
+            <div className="relative">
+              <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                className="pl-9 pr-4 py-2 rounded-full border bg-white text-sm focus:ring-2 focus:ring-gray-900/10"
+                placeholder="Search tasks"
+                value={searchInput}
+                onChange={e => setSearchInput(e.target.value)}
+              />
+            </div>
+
             <select
               className="px-4 py-2 rounded-full border bg-white text-sm focus:ring-2 focus:ring-gray-900/10"
               value={completedFilter}
               onChange={e => {
-                setPage(1);
+                setCursor(null);
                 setCompletedFilter(e.target.value);
               }}
             >
@@ -569,12 +1762,73 @@ function Tasks({ token, user }) {
 
             <select
               className="px-4 py-2 rounded-full border bg-white text-sm focus:ring-2 focus:ring-gray-900/10"
-              value={sortOrder}
-              onChange={e => setSortOrder(e.target.value)}
+              value={priorityFilter}
+              onChange={e => {
+                setCursor(null);
+                setPriorityFilter(e.target.value);
+              }}
+            >
+              <option value="all">Any priority</option>
+              {PRIORITIES.map(p => (
+                <option key={p} value={p}>{p}</option>
+              ))}
+            </select>
+
+            <select
+              className="px-4 py-2 rounded-full border bg-white text-sm focus:ring-2 focus:ring-gray-900/10"
+              value={sort}
+              onChange={e => setSort(e.target.value)}
+            >
+              {q && <option value="relevance">Best match</option>}
+              <option value="createdAt:desc">Newest first</option>
+              <option value="createdAt:asc">Oldest first</option>
+              <option value="dueDate:asc">Due date</option>
+              <option value="priority:desc">Highest priority</option>
+            </select>
+
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={overdueOnly}
+                onChange={e => {
+                  setCursor(null);
+                  setOverdueOnly(e.target.checked);
+                }}
+              />
+              Overdue only
+            </label>
+
+            <button
+              onClick={() => setManagingTags(m => !m)}
+              className="flex items-center gap-1 px-3 py-2 rounded-full text-sm hover:bg-gray-100 transition"
+              title="Manage tags"
+            >
+              <TagIcon className="w-4 h-4" />
+              Tags
+            </button>
+
+            <select
+              className="px-3 py-2 rounded-full border bg-white text-sm"
+              value=""
+              onChange={e => e.target.value && exportTasks(e.target.value)}
+              title="Export the tasks matching these filters"
             >
-              <option value="desc">Newest first</option>
-              <option value="asc">Oldest first</option>
+              <option value="">Export…</option>
+              <option value="csv">CSV (spreadsheet)</option>
+              <option value="json">JSON (backup)</option>
+              <option value="ics">Calendar (.ics)</option>
             </select>
+
+            {canEdit && (
+              <button
+                onClick={() => setImporting(m => !m)}
+                className="flex items-center gap-1 px-3 py-2 rounded-full text-sm hover:bg-gray-100 transition"
+                title="Import tasks from a file"
+              >
+                <Upload className="w-4 h-4" />
+                Import
+              </button>
+            )}
           </div>
 
           {/* Right: Pagination */}
@@ -583,7 +1837,7 @@ function Tasks({ token, user }) {
               className="px-3 py-2 rounded-full border bg-white text-sm"
               value={limit}
               onChange={e => {
-                setPage(1);
+                setCursor(null);
                 setLimit(Number(e.target.value));
               }}
             >
@@ -595,29 +1849,108 @@ function Tasks({ token, user }) {
             <div className="flex items-center gap-2 bg-white border rounded-full px-2 py-1">
               <button
                 className="px-3 py-1 rounded-full text-sm hover:bg-gray-100 disabled:opacity-40"
-                disabled={page === 1}
-                onClick={() => setPage(p => Math.max(1, p - 1))}
+                disabled={!cursor}
+                onClick={prevPage}
               >
                 Prev
               </button>
 
               <span className="text-xs text-gray-500 px-1">
-                Page {page}
+                Page {cursor ? cursor.n : 1}
               </span>
 
               <button
-                className="px-3 py-1 rounded-full text-sm hover:bg-gray-100"
-                onClick={() => setPage(p => p + 1)}
+                className="px-3 py-1 rounded-full text-sm hover:bg-gray-100 disabled:opacity-40"
+                disabled={!pageCursors.next}
+                onClick={nextPage}
               >
                 Next
               </button>
             </div>
           </div>
         </div>
+
+        {allTags.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mt-3 px-1">
+            {allTags.map(tag => (
+              <TagChip
+                key={tag._id}
+                tag={tag}
+                active={tagFilter.includes(tag._id)}
+                onClick={() => {
+                  setCursor(null);
+                  setTagFilter(f => (f.includes(tag._id) ? f.filter(x => x !== tag._id) : [...f, tag._id]));
+                }}
+              />
+            ))}
+
+            {tagFilter.length > 1 && (
+              <select
+                className="px-2 py-1 rounded-full border bg-white text-xs"
+                value={tagMode}
+                onChange={e => {
+                  setCursor(null);
+                  setTagMode(e.target.value);
+                }}
+              >
+                <option value="any">match any</option>
+                <option value="all">match all</option>
+              </select>
+            )}
+          </div>
+        )}
+
+        {importing && (
+          <ImportPanel
+            token={token}
+            projectId={projectId}
+            onImported={() => {
+              loadTags();
+              fetchTasks();
+            }}
+            onClose={() => setImporting(false)}
+          />
+        )}
+
+        {managingTags && (
+          <TagManager
+            token={token}
+            tags={allTags}
+            onChanged={() => {
+              loadTags();
+              fetchTasks();
+            }}
+            onDeleted={id => setTagFilter(f => f.filter(x => x !== id))}
+          />
+        )}
       </div>
 
 
 
+      {canEdit && tasks.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3 mb-3 px-1">
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={allSelected}
+              onChange={() => setSelected(allSelected ? [] : tasks.map(t => t._id))}
+            />
+            Select all
+          </label>
+
+          {selectedIds.length > 0 && (
+            <BulkBar
+              count={selectedIds.length}
+              tags={allTags}
+              projects={projects}
+              projectId={projectId}
+              onAction={runBulk}
+              onClear={() => setSelected([])}
+            />
+          )}
+        </div>
+      )}
+
       {loading ? (
         <div>Loading...</div>
       ) : (
@@ -636,6 +1969,16 @@ function Tasks({ token, user }) {
               />
 
               <div className="flex justify-between gap-4">
+                {canEdit && !isLocalId(t._id) && (
+                  <input
+                    type="checkbox"
+                    className="mt-1.5 ml-2"
+                    checked={selectedIds.includes(t._id)}
+                    onChange={() => toggleSelected(t)}
+                    aria-label={`Select ${t.title}`}
+                  />
+                )}
+
                 {/* Content */}
                 <div className="flex-1 pl-2">
                   {editingId === t._id ? (
@@ -650,6 +1993,35 @@ function Tasks({ token, user }) {
                         value={editDescription}
                         onChange={e => setEditDescription(e.target.value)}
                       />
+                      <div className="flex flex-wrap gap-2 mt-2">
+                        <input
+                          type="date"
+                          className="px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-gray-900/10"
+                          value={editDueDate}
+                          onChange={e => setEditDueDate(e.target.value)}
+                        />
+                        <select
+                          className="px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-gray-900/10"
+                          value={editPriority}
+                          onChange={e => setEditPriority(e.target.value)}
+                        >
+                          {PRIORITIES.map(p => (
+                            <option key={p} value={p}>{p} priority</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="mt-2">
+                        <TagPicker
+                          token={token}
+                          tags={mergeTags(allTags, t.tags)}
+                          value={editTags}
+                          onChange={setEditTags}
+                          onCreated={loadTags}
+                        />
+                      </div>
+                      <div className="mt-2">
+                        <RecurrenceEditor value={editRecurrence} onChange={setEditRecurrence} />
+                      </div>
                     </>
                   ) : (
                     <>
@@ -657,25 +2029,129 @@ function Tasks({ token, user }) {
                         className={`font-medium text-lg ${t.completed ? 'line-through text-gray-500' : ''
                           }`}
                       >
-                        {t.title}
+                        {t.search ? <Highlighted text={t.title} ranges={t.search.title} /> : t.title}
                       </h3>
 
                       {t.description && (
                         <p className="text-sm text-gray-600 mt-1">
-                          {t.description}
+                          {t.search
+                            ? <Highlighted text={t.search.description.text} ranges={t.search.description.ranges} />
+                            : t.description}
                         </p>
                       )}
 
+                      <div className="flex flex-wrap items-center gap-2 mt-2">
+                        {statuses.some(st => st.key === t.status) && (
+                          <span className="px-2 py-0.5 rounded-full text-xs border text-gray-600">
+                            {statuses.find(st => st.key === t.status).name}
+                          </span>
+                        )}
+
+                        <span className={`px-2 py-0.5 rounded-full text-xs ${PRIORITY_STYLES[t.priority] || PRIORITY_STYLES.medium}`}>
+                          {t.priority || 'medium'}
+                        </span>
+
+                        {t.dueDate && (
+                          <span className="flex items-center gap-1 text-xs text-gray-500">
+                            <CalendarDays className="w-3 h-3" />
+                            {new Date(t.dueDate).toLocaleDateString()}
+                          </span>
+                        )}
+
+                        {isOverdue(t) && (
+                          <span className="px-2 py-0.5 rounded-full text-xs bg-red-500 text-white">
+                            Overdue
+                          </span>
+                        )}
+
+                        <BlockedBadge task={t} onClick={() => setDependencyTask(t)} />
+
+                        {(t.tags || []).map(tag => (
+                          <TagChip key={tag._id} tag={tag} />
+                        ))}
+
+                        {t._pending && (
+                          <span className="px-2 py-0.5 rounded-full text-xs bg-amber-100 text-amber-700" title="Saved on this device, waiting to sync">
+                            Not synced
+                          </span>
+                        )}
+                      </div>
+
+                      {t.recurrence && (
+                        <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-gray-500">
+                          <Repeat className="w-3 h-3" />
+                          {describeRecurrence(t.recurrence)}
+                          {canEdit && (
+                            <>
+                              <button onClick={() => skipOccurrence(t)} className="underline hover:text-gray-800">
+                                Skip
+                              </button>
+                              <button onClick={() => stopSeries(t)} className="underline hover:text-gray-800">
+                                Stop
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      )}
+
                       <p className="text-xs text-gray-400 mt-2">
                         {new Date(t.createdAt).toLocaleString()}
                       </p>
+
+                      {/* these need the task to exist on the server */}
+                      {!isLocalId(t._id) && (
+                        <>
+                          <Checklist
+                            task={t}
+                            token={token}
+                            canEdit={canEdit}
+                            onChange={replaceTask}
+                            onError={setError}
+                          />
+
+                          <Attachments
+                            task={t}
+                            token={token}
+                            canEdit={canEdit}
+                            onChange={files => setTasks(ts => ts.map(x => (x._id === t._id ? { ...x, attachments: files } : x)))}
+                            onError={setError}
+                          />
+
+                          <Comments
+                            task={t}
+                            token={token}
+                            user={user}
+                            canModerate={!currentProject || currentProject.role === 'owner'}
+                            onCountChange={delta => setTasks(ts => ts.map(x => (
+                              x._id === t._id ? { ...x, commentCount: (x.commentCount || 0) + delta } : x
+                            )))}
+                          />
+                        </>
+                      )}
                     </>
                   )}
                 </div>
 
                 {/* Actions */}
                 <div className="flex flex-col gap-2">
-                  {editingId === t._id ? (
+                  {!canEdit ? (
+                    <>
+                      <button
+                        onClick={() => setHistoryTask(t)}
+                        className="p-2 rounded-lg bg-gray-200 text-gray-700 hover:scale-105 transition"
+                        title="History"
+                      >
+                        <History size={16} />
+                      </button>
+                      <button
+                        onClick={() => setDependencyTask(t)}
+                        className="p-2 rounded-lg bg-gray-200 text-gray-700 hover:scale-105 transition"
+                        title="Dependencies"
+                      >
+                        <Link2 size={16} />
+                      </button>
+                    </>
+                  ) : editingId === t._id ? (
                     <>
                       <button
                         onClick={() => saveEdit(t)}
@@ -694,6 +2170,22 @@ function Tasks({ token, user }) {
                     </>
                   ) : (
                     <>
+                      <button
+                        onClick={() => setHistoryTask(t)}
+                        className="p-2 rounded-lg bg-gray-200 text-gray-700 hover:scale-105 transition"
+                        title="History"
+                      >
+                        <History size={16} />
+                      </button>
+
+                      <button
+                        onClick={() => setDependencyTask(t)}
+                        className="p-2 rounded-lg bg-gray-200 text-gray-700 hover:scale-105 transition"
+                        title="Dependencies"
+                      >
+                        <Link2 size={16} />
+                      </button>
+
                       <button
                         onClick={() => startEdit(t)}
                         className="p-2 rounded-lg bg-yellow-400 text-white hover:scale-105 transition"
@@ -726,6 +2218,2496 @@ function Tasks({ token, user }) {
           ))}
         </div>
       )}
+
+      {historyTask && (
+        <HistoryDrawer task={historyTask} token={token} onClose={() => setHistoryTask(null)} />
+      )}
+
+      {dependencyTask && (
+        <DependencyDrawer
+          task={dependencyTask}
+          token={token}
+          canEdit={canEdit}
+          onChanged={replaceTask}
+          onClose={() => setDependencyTask(null)}
+        />
+      )}
+
+      {editConflict && (
+        <EditConflictDialog
+          {...editConflict}
+          tags={mergeTags(allTags, editConflict.server.tags)}
+          onResolve={resolveEditConflict}
+          onClose={() => setEditConflict(null)}
+        />
+      )}
+
+      {undo && <UndoToast message={undo.message} onUndo={undoDelete} onClose={() => setUndo(null)} />}
+    </div>
+  );
+}
+
+function Checklist({ task, token, canEdit, onChange, onError }) {
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState('');
+
+  const items = task.items || [];
+  const progress = task.progress || { done: 0, total: items.length };
+  const percent = progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+
+  const send = async (path, opts, fallback) => {
+    const r = await apiFetch(`/tasks/${task._id}/items${path}`, token, opts);
+    if (r.ok) onChange(r.body.task);
+    else onError((r.body && r.body.message) || fallback);
+    return r.ok;
+  };
+
+  const addItem = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    if (await send('', { method: 'POST', body: JSON.stringify({ text }) }, 'Add failed')) setText('');
+  };
+
+  const toggleItem = (item) => {
+    const done = !item.done;
+    // ticking off the last open step: offer to finish the whole task
+    const last = done && !task.completed && items.every(i => i.done || i._id === item._id);
+    const completeTask = last && confirm('All steps are done. Mark the task complete?');
+    send(`/${item._id}`, { method: 'PUT', body: JSON.stringify({ done, completeTask }) }, 'Update failed');
+  };
+
+  const moveItem = (index, delta) => {
+    const order = items.map(i => i._id);
+    const [moved] = order.splice(index, 1);
+    order.splice(index + delta, 0, moved);
+    send('/order', { method: 'PUT', body: JSON.stringify({ order }) }, 'Reorder failed');
+  };
+
+  const removeItem = (item) => {
+    send(`/${item._id}`, { method: 'DELETE' }, 'Delete failed');
+  };
+
+  if (!items.length && !canEdit) return null;
+
+  return (
+    <div className="mt-3">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className="w-full flex items-center gap-3 text-xs text-gray-500"
+      >
+        {open ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+        {progress.total ? (
+          <>
+            <div className="flex-1 h-1.5 rounded-full bg-gray-100 overflow-hidden">
+              <div className="h-full bg-green-400 transition-all" style={{ width: `${percent}%` }} />
+            </div>
+            <span>{progress.done}/{progress.total}</span>
+          </>
+        ) : (
+          <span>Add checklist</span>
+        )}
+      </button>
+
+      {open && (
+        <div className="mt-2 space-y-1 animate-fade-in">
+          {items.map((item, index) => (
+            <div key={item._id} className="group flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={item.done}
+                disabled={!canEdit}
+                onChange={() => toggleItem(item)}
+              />
+              <span className={`flex-1 ${item.done ? 'line-through text-gray-400' : ''}`}>{item.text}</span>
+
+              {canEdit && (
+                <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition">
+                  <button
+                    disabled={index === 0}
+                    onClick={() => moveItem(index, -1)}
+                    className="p-1 rounded hover:bg-gray-100 disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <ArrowUp size={12} />
+                  </button>
+                  <button
+                    disabled={index === items.length - 1}
+                    onClick={() => moveItem(index, 1)}
+                    className="p-1 rounded hover:bg-gray-100 disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <ArrowDown size={12} />
+                  </button>
+                  <button
+                    onClick={() => removeItem(item)}
+                    className="p-1 rounded hover:bg-red-50 text-red-500"
+                    title="Remove step"
+                  >
+                    <X size={12} />
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+
+          {canEdit && (
+            <form onSubmit={addItem} className="flex items-center gap-2 pt-1">
+              <input
+                className="flex-1 px-2 py-1 border-b text-sm outline-none focus:border-gray-400"
+                placeholder="Add a step…"
+                value={text}
+                onChange={e => setText(e.target.value)}
+              />
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ask the server what a quick-add line means; null when it can't be reached
+function parseQuickAdd(token, text) {
+  return apiFetch('/tasks/parse', token, {
+    method: 'POST',
+    body: JSON.stringify({ text, tzOffset: new Date().getTimezoneOffset() }),
+  }).then(r => (r.ok ? r.body : null)).catch(() => null);
+}
+
+// One line for a whole task: "Pay rent tomorrow 9am #home !high every month".
+// The preview shows the fields the server read out of it before anything is saved.
+function QuickAdd({ token, onAdd }) {
+  const [text, setText] = useState('');
+  const [preview, setPreview] = useState(null); // { parsed, matches } of a recent parse
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!text.trim()) return;
+    let cancelled = false;
+    const id = setTimeout(() => {
+      parseQuickAdd(token, text).then(result => {
+        if (!cancelled) setPreview(result);
+      });
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(id);
+    };
+  }, [text, token]);
+
+  const change = (value) => {
+    setText(value);
+    if (!value.trim()) setPreview(null);
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!text.trim() || busy) return;
+    setBusy(true);
+    // parse again: the preview can be a keystroke behind. Offline, the whole line is the title.
+    const result = await parseQuickAdd(token, text);
+    const parsed = result
+      ? result.parsed
+      : { title: text.trim(), dueDate: null, priority: null, tags: [], newTags: [], recurrence: null };
+    const ok = await onAdd(parsed);
+    setBusy(false);
+    if (ok) change('');
+  };
+
+  const parsed = text.trim() && preview ? preview.parsed : null;
+  const due = parsed && parsed.dueDate ? new Date(parsed.dueDate) : null;
+  // 23:59 is how a due date without a time is stored
+  const dueText = due && (due.getHours() === 23 && due.getMinutes() === 59
+    ? due.toLocaleDateString()
+    : due.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }));
+
+  return (
+    <form onSubmit={submit} className="mb-3 rounded-2xl bg-yellow-50 border border-yellow-200 p-4 shadow-sm">
+      <div className="flex items-center gap-3">
+        <input
+          className="flex-1 bg-transparent border-b border-yellow-300 focus:border-yellow-500 outline-none px-1 py-2 text-sm placeholder-yellow-600"
+          placeholder="⚡ Quick add: Pay rent tomorrow 9am #home !high every month"
+          value={text}
+          onChange={e => change(e.target.value)}
+        />
+        <button
+          type="submit"
+          disabled={busy || !text.trim()}
+          className="px-4 py-2 rounded-full bg-black text-white text-sm hover:scale-105 transition-transform disabled:opacity-40"
+        >
+          Add
+        </button>
+      </div>
+
+      {parsed && (
+        <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-yellow-800">
+          {parsed.title
+            ? <span className="font-medium">{parsed.title}</span>
+            : <span className="text-red-600">No title yet</span>}
+          {dueText && (
+            <span className="flex items-center gap-1">
+              <CalendarDays className="w-3 h-3" /> {dueText}
+            </span>
+          )}
+          {parsed.priority && (
+            <span className={`px-2 py-0.5 rounded-full ${PRIORITY_STYLES[parsed.priority]}`}>{parsed.priority} priority</span>
+          )}
+          {parsed.tags.map(tag => <TagChip key={tag._id} tag={tag} />)}
+          {parsed.newTags.map(name => (
+            <span key={name} className="px-2 py-0.5 rounded-full border border-dashed text-gray-500" title="Will be created">
+              #{name} (new)
+            </span>
+          ))}
+          {parsed.recurrence && (
+            <span className="flex items-center gap-1">
+              <Repeat className="w-3 h-3" /> {describeRecurrence(parsed.recurrence)}
+            </span>
+          )}
+        </div>
+      )}
+    </form>
+  );
+}
+
+function TagChip({ tag, active = true, onClick }) {
+  const style = active
+    ? { backgroundColor: `${tag.color}22`, color: tag.color, borderColor: tag.color }
+    : { color: '#6b7280' };
+
+  return (
+    <span
+      onClick={onClick}
+      style={style}
+      className={`px-2 py-0.5 rounded-full border text-xs ${onClick ? 'cursor-pointer select-none' : ''}`}
+    >
+      #{tag.name}
+    </span>
+  );
+}
+
+function TagPicker({ token, tags, value, onChange, onCreated }) {
+  const [name, setName] = useState('');
+
+  const toggle = (id) => onChange(value.includes(id) ? value.filter(x => x !== id) : [...value, id]);
+
+  const create = async () => {
+    if (!name.trim()) return;
+    const color = TAG_COLORS[tags.length % TAG_COLORS.length];
+    const r = await apiFetch('/tags', token, { method: 'POST', body: JSON.stringify({ name, color }) });
+    if (r.ok) {
+      setName('');
+      onChange([...value, r.body.tag._id]);
+      onCreated();
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {tags.map(tag => (
+        <TagChip key={tag._id} tag={tag} active={value.includes(tag._id)} onClick={() => toggle(tag._id)} />
+      ))}
+      <input
+        className="w-24 bg-transparent border-b border-gray-300 outline-none px-1 text-xs"
+        placeholder="+ new tag"
+        value={name}
+        onChange={e => setName(e.target.value)}
+        onKeyDown={e => {
+          // Enter would submit the surrounding task form
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            create();
+          }
+        }}
+      />
+    </div>
+  );
+}
+
+function TagManager({ token, tags, onChanged, onDeleted }) {
+  const [error, setError] = useState(null);
+
+  const update = async (tag, changes) => {
+    setError(null);
+    const r = await apiFetch(`/tags/${tag._id}`, token, { method: 'PUT', body: JSON.stringify(changes) });
+    if (r.ok) onChanged();
+    else setError((r.body && r.body.message) || 'Update failed');
+  };
+
+  const remove = async (tag) => {
+    if (!confirm(`Delete #${tag.name}? It will be removed from every task.`)) return;
+    const r = await apiFetch(`/tags/${tag._id}`, token, { method: 'DELETE' });
+    if (r.ok) {
+      onDeleted(tag._id);
+      onChanged();
+    } else {
+      setError('Delete failed');
+    }
+  };
+
+  return (
+    <div className="mt-3 rounded-2xl border bg-white p-4 space-y-2">
+      {error && <div className="text-red-600 text-sm">{error}</div>}
+      {tags.length === 0 && <div className="text-sm text-gray-500">No tags yet</div>}
+
+      {tags.map(tag => (
+        <div key={tag._id} className="flex items-center gap-3">
+          <input
+            type="color"
+            className="w-6 h-6 rounded cursor-pointer"
+            defaultValue={tag.color}
+            onBlur={e => e.target.value !== tag.color && update(tag, { color: e.target.value })}
+          />
+          <input
+            className="flex-1 px-2 py-1 border-b text-sm outline-none focus:border-gray-400"
+            defaultValue={tag.name}
+            onBlur={e => e.target.value.trim() && e.target.value !== tag.name && update(tag, { name: e.target.value })}
+          />
+          <button
+            onClick={() => remove(tag)}
+            className="p-1 rounded-full hover:bg-red-50 text-red-500"
+            title="Delete tag"
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function RecurrenceEditor({ value, onChange }) {
+  const rule = value || null;
+
+  const update = (changes) => {
+    // dates are computed on the server in the user's local time
+    onChange({ interval: 1, byWeekday: [], ...rule, ...changes, tzOffset: new Date().getTimezoneOffset() });
+  };
+
+  const toggleDay = (d) => {
+    const days = rule.byWeekday || [];
+    update({ byWeekday: days.includes(d) ? days.filter(x => x !== d) : [...days, d] });
+  };
+
+  const end = rule && rule.until ? 'until' : rule && rule.count ? 'count' : 'never';
+  const inputClass = 'px-2 py-1 rounded-lg border bg-white text-xs';
+
+  return (
+    <div className="flex flex-col gap-2 text-xs text-gray-600">
+      <div className="flex flex-wrap items-center gap-2">
+        <Repeat className="w-4 h-4" />
+        <select
+          className={inputClass}
+          value={rule ? rule.freq : ''}
+          onChange={e => (e.target.value
+            ? update({ freq: e.target.value, weekOfMonth: null, byMonthDay: null, byWeekday: [] })
+            : onChange(null))}
+        >
+          <option value="">Does not repeat</option>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+          <option value="yearly">Yearly</option>
+        </select>
+
+        {rule && (
+          <>
+            every
+            <input
+              type="number"
+              min={1}
+              className={`${inputClass} w-14`}
+              value={rule.interval || 1}
+              onChange={e => update({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+            />
+            {{ daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)', yearly: 'year(s)' }[rule.freq]}
+          </>
+        )}
+      </div>
+
+      {rule && rule.freq === 'weekly' && (
+        <div className="flex flex-wrap gap-1">
+          {WEEKDAYS.map((day, d) => (
+            <button
+              key={day}
+              type="button"
+              onClick={() => toggleDay(d)}
+              className={`px-2 py-1 rounded-full border ${(rule.byWeekday || []).includes(d) ? 'bg-gray-900 text-white' : 'bg-white'}`}
+            >
+              {day.slice(0, 2)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {rule && rule.freq === 'monthly' && (
+        <div className="flex flex-wrap items-center gap-2">
+          on
+          <select
+            className={inputClass}
+            value={rule.weekOfMonth || ''}
+            onChange={e => {
+              const weekOfMonth = e.target.value ? Number(e.target.value) : null;
+              update({ weekOfMonth, byWeekday: weekOfMonth ? [(rule.byWeekday || [])[0] || 1] : [] });
+            }}
+          >
+            <option value="">the same day</option>
+            {[1, 2, 3, 4, -1].map(n => (
+              <option key={n} value={n}>the {ordinal(n)}</option>
+            ))}
+          </select>
+          {rule.weekOfMonth && (
+            <select
+              className={inputClass}
+              value={(rule.byWeekday || [])[0]}
+              onChange={e => update({ byWeekday: [Number(e.target.value)] })}
+            >
+              {WEEKDAYS.map((day, d) => (
+                <option key={day} value={d}>{day}</option>
+              ))}
+            </select>
+          )}
+        </div>
+      )}
+
+      {rule && (
+        <div className="flex flex-wrap items-center gap-2">
+          ends
+          <select
+            className={inputClass}
+            value={end}
+            onChange={e => update({
+              until: e.target.value === 'until' ? fromDateInput(toDateInput(new Date())) : null,
+              count: e.target.value === 'count' ? 5 : null,
+            })}
+          >
+            <option value="never">never</option>
+            <option value="until">on</option>
+            <option value="count">after</option>
+          </select>
+          {end === 'until' && (
+            <input
+              type="date"
+              className={inputClass}
+              value={toDateInput(rule.until)}
+              onChange={e => update({ until: fromDateInput(e.target.value) })}
+            />
+          )}
+          {end === 'count' && (
+            <>
+              <input
+                type="number"
+                min={1}
+                className={`${inputClass} w-14`}
+                value={rule.count}
+                onChange={e => update({ count: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+              />
+              times
+            </>
+          )}
+        </div>
+      )}
+
+      {rule && <div className="italic">{describeRecurrence(rule)}</div>}
+    </div>
+  );
+}
+
+const HISTORY_VERBS = {
+  create: 'created the task',
+  update: 'edited the task',
+  complete: 'completed the task',
+  reopen: 'reopened the task',
+  delete: 'deleted the task',
+  restore: 'restored the task from the trash',
+};
+
+// readable value of a history change, e.g. a due date as a local date
+function historyValue(field, value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'dueDate') return new Date(value).toLocaleDateString();
+  if (field === 'tags') return value.length ? value.map(n => `#${n}`).join(' ') : '—';
+  if (field === 'recurrence') return describeRecurrence(value);
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return String(value);
+}
+
+// "Blocked" chip for a card whose blockers aren't all done yet
+function BlockedBadge({ task, onClick }) {
+  const open = task.completed ? [] : task.openBlockers || [];
+  if (!open.length) return null;
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      title={`Blocked by ${open.map(b => b.title).join(', ')}`}
+      className="flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-gray-800 text-white hover:bg-gray-700"
+    >
+      <Lock className="w-3 h-3" />
+      {open.length === 1 ? `Blocked by ${open[0].title}` : `Blocked by ${open.length} tasks`}
+    </button>
+  );
+}
+
+// one level of a dependency tree and everything below it
+function DependencyTree({ nodes, childKey, onOpen, onRemove }) {
+  if (!nodes.length) return null;
+  return (
+    <ul className="ml-2 pl-3 border-l border-gray-200 space-y-1">
+      {nodes.map((n, i) => (
+        <li key={`${n._id}-${i}`}>
+          <div className="flex items-center gap-2 text-sm">
+            {n.completed
+              ? <Check className="w-3 h-3 text-green-600 flex-shrink-0" />
+              : <Lock className="w-3 h-3 text-gray-400 flex-shrink-0" />}
+            <button
+              onClick={() => onOpen(n)}
+              className={`text-left hover:underline ${n.completed ? 'line-through text-gray-400' : ''}`}
+            >
+              {n.title}
+            </button>
+            {onRemove && (
+              <button onClick={() => onRemove(n)} className="ml-auto p-1 rounded-full hover:bg-gray-100" title="Remove">
+                <X size={12} />
+              </button>
+            )}
+          </div>
+          <DependencyTree nodes={n[childKey]} childKey={childKey} onOpen={onOpen} />
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// What a task waits on and what waits on it. Clicking a task in either tree
+// moves the drawer to that task; editors can add and remove direct blockers.
+function DependencyDrawer({ task, token, canEdit, onChanged, onClose }) {
+  const [current, setCurrent] = useState({ _id: task._id, title: task.title });
+  const [graph, setGraph] = useState(null);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+  const [reload, setReload] = useState(0); // bumped after a change
+
+  useEffect(() => {
+    apiFetch(`/tasks/${current._id}/graph`, token).then(r => {
+      if (r.ok) setGraph(r.body.graph);
+      else setError((r.body && r.body.message) || 'Failed to load dependencies');
+    });
+  }, [current._id, token, reload]);
+
+  // candidates come from the same list: dependencies don't cross projects
+  useEffect(() => {
+    const text = search.trim();
+    if (!text) return;
+    let cancelled = false;
+    const projectParam = task.project ? `project=${task.project}&` : '';
+    const id = setTimeout(() => {
+      apiFetch(`/tasks?${projectParam}q=${encodeURIComponent(text)}&limit=8`, token).then(r => {
+        if (!cancelled && r.ok) setResults(r.body.tasks);
+      });
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(id);
+    };
+  }, [search, task.project, token]);
+
+  const changeSearch = (value) => {
+    setSearch(value);
+    if (!value.trim()) setResults([]);
+  };
+
+  const open = (node) => {
+    setGraph(null);
+    setError(null);
+    changeSearch('');
+    setCurrent({ _id: node._id, title: node.title });
+  };
+
+  const apply = async (request) => {
+    setError(null);
+    const r = await request;
+    if (!r.ok) {
+      setError(r.body && r.body.code === 'DEPENDENCY_CYCLE'
+        ? `That would make a loop: ${r.body.cycle.map(c => c.title || '(deleted task)').join(' → ')}`
+        : (r.body && (r.body.message || (r.body.errors && r.body.errors.map(x => x.msg).join(', ')))) || 'Update failed');
+      return;
+    }
+    onChanged(r.body.task);
+    changeSearch('');
+    setReload(n => n + 1);
+  };
+
+  const addBlocker = (other) => apply(apiFetch(`/tasks/${current._id}/blockers`, token, {
+    method: 'POST',
+    body: JSON.stringify({ taskId: other._id }),
+  }));
+  const removeBlocker = (other) => apply(apiFetch(`/tasks/${current._id}/blockers/${other._id}`, token, { method: 'DELETE' }));
+
+  const direct = new Set(graph ? graph.blockers.map(b => b._id) : []);
+  const candidates = results.filter(t => t._id !== current._id && !direct.has(t._id));
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-black/20" onClick={onClose}>
+      <aside
+        className="w-full max-w-sm h-full bg-white shadow-xl p-6 overflow-y-auto animate-fadeIn"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="font-medium">Dependencies · {current.title}</h3>
+          <button onClick={onClose} className="p-2 rounded-full hover:bg-gray-100" title="Close">
+            <X size={16} />
+          </button>
+        </div>
+
+        {current._id !== task._id && (
+          <button onClick={() => open(task)} className="mb-4 text-xs text-gray-500 hover:underline">
+            ← Back to {task.title}
+          </button>
+        )}
+
+        {error && <div className="text-red-600 text-sm mb-3">{error}</div>}
+
+        {!graph ? (
+          !error && <div className="text-sm">Loading...</div>
+        ) : (
+          <div className="space-y-6">
+            <section>
+              <h4 className="text-xs uppercase tracking-wide text-gray-400 mb-2">Blocked by</h4>
+              {graph.blockers.length === 0
+                ? <p className="text-sm text-gray-500">Nothing, it can be done any time</p>
+                : <DependencyTree nodes={graph.blockers} childKey="blockers" onOpen={open} onRemove={canEdit ? removeBlocker : null} />}
+
+              {canEdit && (
+                <div className="mt-3">
+                  <div className="relative">
+                    <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                    <input
+                      className="w-full pl-9 pr-3 py-2 rounded-full border text-sm"
+                      placeholder="Add a task it waits on…"
+                      value={search}
+                      onChange={e => changeSearch(e.target.value)}
+                    />
+                  </div>
+                  {search.trim() && (
+                    <ul className="mt-2 space-y-1">
+                      {candidates.length === 0 && <li className="text-xs text-gray-500 px-3">No matching tasks</li>}
+                      {candidates.map(t => (
+                        <li key={t._id}>
+                          <button
+                            onClick={() => addBlocker(t)}
+                            className="w-full text-left px-3 py-1.5 rounded-lg text-sm hover:bg-gray-50"
+                          >
+                            {t.title}
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </section>
+
+            <section>
+              <h4 className="text-xs uppercase tracking-wide text-gray-400 mb-2">Blocking</h4>
+              {graph.blocking.length === 0
+                ? <p className="text-sm text-gray-500">No task is waiting on this one</p>
+                : <DependencyTree nodes={graph.blocking} childKey="blocking" onOpen={open} />}
+            </section>
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+function HistoryDrawer({ task, token, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+
+  useEffect(() => {
+    apiFetch(`/tasks/${task._id}/history?page=${page}&limit=20`, token).then(r => {
+      setLoading(false);
+      if (r.ok) {
+        setEntries(e => (page === 1 ? r.body.history : [...e, ...r.body.history]));
+        setPages(r.body.meta.pages);
+      }
+    });
+  }, [task._id, token, page]);
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-black/20" onClick={onClose}>
+      <aside
+        className="w-full max-w-sm h-full bg-white shadow-xl p-6 overflow-y-auto animate-fadeIn"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="font-medium">History · {task.title}</h3>
+          <button onClick={onClose} className="p-2 rounded-full hover:bg-gray-100" title="Close">
+            <X size={16} />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="text-sm">Loading...</div>
+        ) : (
+          <ol className="relative border-l border-gray-200 ml-2 space-y-6">
+            {entries.length === 0 && <li className="ml-4 text-sm text-gray-500">No history yet</li>}
+            {entries.map(entry => (
+              <li key={entry._id} className="ml-4">
+                <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-gray-300 border-2 border-white" />
+                <p className="text-sm">
+                  <span className="font-medium">{entry.user ? entry.user.name : 'Someone'}</span>{' '}
+                  {HISTORY_VERBS[entry.action] || entry.action}
+                </p>
+                <p className="text-xs text-gray-400">{new Date(entry.createdAt).toLocaleString()}</p>
+
+                {entry.action !== 'delete' && entry.changes.length > 0 && (
+                  <ul className="mt-2 space-y-1 text-xs text-gray-600">
+                    {entry.changes.map(c => (
+                      <li key={c.field}>
+                        <span className="text-gray-400">{c.field}:</span>{' '}
+                        {entry.action !== 'create' && (
+                          <>
+                            <span className="line-through">{historyValue(c.field, c.from)}</span>{' → '}
+                          </>
+                        )}
+                        <span>{historyValue(c.field, c.to)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {page < pages && (
+          <button
+            onClick={() => setPage(p => p + 1)}
+            className="mt-6 w-full py-2 rounded-full border text-sm hover:bg-gray-50"
+          >
+            Load older
+          </button>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+function Comments({ task, token, user, canModerate, onCountChange }) {
+  const [open, setOpen] = useState(false);
+  const [comments, setComments] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [text, setText] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [error, setError] = useState(null);
+
+  const count = task.commentCount || 0;
+
+  useEffect(() => {
+    if (!open) return;
+    apiFetch(`/tasks/${task._id}/comments?page=${page}&limit=20`, token).then(r => {
+      if (r.ok) {
+        setComments(c => (page === 1 ? r.body.comments : [...c, ...r.body.comments]));
+        setPages(r.body.meta.pages);
+      } else {
+        setError('Failed to load comments');
+      }
+    });
+  }, [open, page, task._id, token]);
+
+  const addComment = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    setError(null);
+    const r = await apiFetch(`/tasks/${task._id}/comments`, token, { method: 'POST', body: JSON.stringify({ body: text }) });
+    if (r.ok) {
+      setText('');
+      setComments(c => [...c, r.body.comment]);
+      onCountChange(1);
+    } else {
+      setError('Comment failed');
+    }
+  };
+
+  const saveComment = async (comment) => {
+    const r = await apiFetch(`/tasks/${task._id}/comments/${comment._id}`, token, {
+      method: 'PUT',
+      body: JSON.stringify({ body: editText }),
+    });
+    if (r.ok) {
+      setComments(c => c.map(x => (x._id === comment._id ? r.body.comment : x)));
+      setEditingId(null);
+    } else {
+      setError('Update failed');
+    }
+  };
+
+  const removeComment = async (comment) => {
+    if (!confirm('Delete this comment?')) return;
+    const r = await apiFetch(`/tasks/${task._id}/comments/${comment._id}`, token, { method: 'DELETE' });
+    if (r.ok) {
+      setComments(c => c.filter(x => x._id !== comment._id));
+      onCountChange(-1);
+    } else {
+      setError('Delete failed');
+    }
+  };
+
+  const isMine = (comment) => user && comment.author && comment.author._id === user._id;
+
+  return (
+    <div className="mt-3">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className="flex items-center gap-1 text-xs text-gray-500 hover:text-gray-800"
+      >
+        <MessageSquare className="w-3 h-3" />
+        {count ? `${count} comment${count === 1 ? '' : 's'}` : 'Comment'}
+      </button>
+
+      {open && (
+        <div className="mt-2 space-y-3 animate-fade-in">
+          {error && <div className="text-red-600 text-xs">{error}</div>}
+
+          {page < pages && (
+            <button onClick={() => setPage(p => p + 1)} className="text-xs text-gray-500 underline">
+              Load more
+            </button>
+          )}
+
+          {comments.map(c => (
+            <div key={c._id} className="group rounded-xl bg-gray-50 px-3 py-2">
+              <div className="flex items-center justify-between gap-2">
+                <p className="text-xs">
+                  <span className="font-medium">{c.author ? c.author.name : 'Someone'}</span>{' '}
+                  <span className="text-gray-400">
+                    {new Date(c.createdAt).toLocaleString()}
+                    {c.editedAt && ' (edited)'}
+                  </span>
+                </p>
+
+                <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition">
+                  {isMine(c) && (
+                    <button
+                      onClick={() => {
+                        setEditingId(c._id);
+                        setEditText(c.body);
+                      }}
+                      className="p-1 rounded hover:bg-gray-200"
+                      title="Edit comment"
+                    >
+                      <Pencil size={12} />
+                    </button>
+                  )}
+                  {(isMine(c) || canModerate) && (
+                    <button
+                      onClick={() => removeComment(c)}
+                      className="p-1 rounded hover:bg-red-50 text-red-500"
+                      title="Delete comment"
+                    >
+                      <Trash2 size={12} />
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {editingId === c._id ? (
+                <div className="flex items-start gap-2 mt-1">
+                  <textarea
+                    className="flex-1 px-2 py-1 border rounded-lg text-sm resize-none"
+                    rows={2}
+                    value={editText}
+                    onChange={e => setEditText(e.target.value)}
+                  />
+                  <button onClick={() => saveComment(c)} className="p-1 rounded bg-green-500 text-white" title="Save">
+                    <Check size={12} />
+                  </button>
+                  <button onClick={() => setEditingId(null)} className="p-1 rounded bg-gray-400 text-white" title="Cancel">
+                    <X size={12} />
+                  </button>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-700 whitespace-pre-wrap mt-1">{c.body}</p>
+              )}
+            </div>
+          ))}
+
+          <form onSubmit={addComment} className="flex items-start gap-2">
+            <textarea
+              className="flex-1 px-3 py-2 border rounded-xl text-sm resize-none focus:ring-2 focus:ring-gray-900/10"
+              rows={2}
+              placeholder="Write a comment…"
+              value={text}
+              onChange={e => setText(e.target.value)}
+            />
+            <button type="submit" className="px-3 py-2 rounded-full bg-gray-900 text-white text-xs">
+              Send
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// <img> can't send an Authorization header, so images are fetched as blobs
+function AuthImage({ path, token, alt, className }) {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+    authFetch(path, token)
+      .then(res => (res.ok ? res.blob() : null))
+      .then(blob => {
+        if (!blob || cancelled) return;
+        url = URL.createObjectURL(blob);
+        setSrc(url);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [path, token]);
+
+  return src
+    ? <img src={src} alt={alt} className={className} />
+    : <div className={`${className} bg-gray-100 animate-pulse`} />;
+}
+
+function Attachments({ task, token, canEdit, onChange, onError }) {
+  const [uploading, setUploading] = useState(false);
+  const attachments = task.attachments || [];
+  const base = `/tasks/${task._id}/attachments`;
+
+  const upload = async (fileList) => {
+    const files = [...fileList];
+    if (!files.length) return;
+    const form = new FormData();
+    files.forEach(f => form.append('files', f));
+
+    setUploading(true);
+    const r = await apiFetch(base, token, { method: 'POST', body: form });
+    setUploading(false);
+
+    if (r.ok) onChange([...attachments, ...r.body.attachments]);
+    else onError((r.body && r.body.message) || 'Upload failed');
+  };
+
+  const download = async (a) => {
+    const res = await authFetch(`${base}/${a._id}/download`, token);
+    if (!res.ok) return onError('Download failed');
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = a.filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const remove = async (a) => {
+    if (!confirm(`Delete ${a.filename}?`)) return;
+    const r = await apiFetch(`${base}/${a._id}`, token, { method: 'DELETE' });
+    if (r.ok) onChange(attachments.filter(x => x._id !== a._id));
+    else onError('Delete failed');
+  };
+
+  if (!attachments.length && !canEdit) return null;
+
+  return (
+    <div className="mt-3 flex flex-wrap items-center gap-2">
+      {attachments.map(a => (
+        <div key={a._id} className="group relative flex items-center gap-2 rounded-xl border bg-gray-50 pr-2 text-xs">
+          <button onClick={() => download(a)} className="flex items-center gap-2" title={`Download ${a.filename}`}>
+            {a.mimeType.startsWith('image/') ? (
+              <AuthImage
+                path={`${base}/${a._id}/download`}
+                token={token}
+                alt={a.filename}
+                className="w-10 h-10 rounded-l-xl object-cover"
+              />
+            ) : (
+              <span className="w-10 h-10 rounded-l-xl flex items-center justify-center bg-gray-100">
+                <FileText className="w-4 h-4 text-gray-500" />
+              </span>
+            )}
+            <span className="max-w-[10rem] truncate">{a.filename}</span>
+            <span className="text-gray-400">{formatBytes(a.size)}</span>
+          </button>
+
+          {canEdit && (
+            <button
+              onClick={() => remove(a)}
+              className="p-1 rounded-full text-red-500 opacity-0 group-hover:opacity-100 hover:bg-red-50 transition"
+              title="Delete attachment"
+            >
+              <X size={12} />
+            </button>
+          )}
+        </div>
+      ))}
+
+      {canEdit && (
+        <label className="flex items-center gap-1 px-3 py-2 rounded-xl border border-dashed text-xs text-gray-500 cursor-pointer hover:bg-gray-50">
+          <Paperclip className="w-3 h-3" />
+          {uploading ? 'Uploading…' : 'Attach'}
+          <input
+            type="file"
+            multiple
+            className="hidden"
+            disabled={uploading}
+            onChange={e => {
+              upload(e.target.files);
+              e.target.value = '';
+            }}
+          />
+        </label>
+      )}
+    </div>
+  );
+}
+
+const IMPORT_FIELDS = ['title', 'description', 'status', 'completed', 'dueDate', 'priority', 'tags'];
+
+// Import from a CSV or JSON file: every change to the file or the column
+// mapping re-runs a dry run, so the report always matches what Import will do.
+function ImportPanel({ token, projectId, onImported, onClose }) {
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({}); // field -> column, '' = not imported
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const send = async (chosen, map, dryRun) => {
+    const form = new FormData();
+    form.append('file', chosen);
+    form.append('mapping', JSON.stringify(map));
+    form.append('dryRun', String(dryRun));
+    if (projectId) form.append('project', projectId);
+
+    setBusy(true);
+    setError(null);
+    const r = await apiFetch('/tasks/import', token, { method: 'POST', body: form });
+    setBusy(false);
+
+    // a bad mapping still tells us the file's columns, so the user can fix it
+    if (r.body && r.body.columns) setReport(r.ok ? r.body : { ...r.body, errors: [] });
+    if (!r.ok) setError((r.body && r.body.message) || 'Import failed');
+    return r;
+  };
+
+  const pickFile = (chosen) => {
+    setFile(chosen);
+    setMapping({});
+    setReport(null);
+    if (chosen) send(chosen, {}, true);
+  };
+
+  const changeMapping = (field, column) => {
+    const next = { ...(report ? report.mapping : {}), ...mapping, [field]: column };
+    setMapping(next);
+    send(file, next, true);
+  };
+
+  const runImport = async () => {
+    const r = await send(file, { ...report.mapping, ...mapping }, false);
+    if (r.ok) onImported();
+  };
+
+  const current = report ? { ...report.mapping, ...mapping } : {};
+
+  return (
+    <div className="mt-3 rounded-2xl border bg-white p-4 shadow-sm text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-medium">Import tasks</h3>
+        <button onClick={onClose} className="p-1 rounded hover:bg-gray-100" title="Close">
+          <X size={16} />
+        </button>
+      </div>
+
+      <input type="file" accept=".csv,.json,text/csv,application/json" onChange={e => pickFile(e.target.files[0] || null)} />
+
+      {report && (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 mt-4">
+            {IMPORT_FIELDS.map(field => (
+              <label key={field} className="flex flex-col gap-1 text-xs text-gray-600">
+                {field}
+                <select
+                  className="px-2 py-1 border rounded text-sm"
+                  value={current[field] || ''}
+                  onChange={e => changeMapping(field, e.target.value)}
+                >
+                  <option value="">— not imported —</option>
+                  {report.columns.map(col => (
+                    <option key={col} value={col}>{col}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {report.total !== undefined && (
+            <div className="mt-4 space-y-1">
+              <p>
+                {report.dryRun
+                  ? `${report.valid} of ${report.total} rows ready to import.`
+                  : `Imported ${report.imported} of ${report.total} rows.`}
+                {report.newTags.length > 0 && ` New tags: ${report.newTags.join(', ')}.`}
+              </p>
+              {report.errors.length > 0 && (
+                <ul className="max-h-40 overflow-y-auto text-xs text-red-600">
+                  {report.errors.map((e, i) => (
+                    <li key={i}>Row {e.row}, {e.field}: {e.message}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </>
+      )}
+
+      {error && <div className="text-red-600 mt-2">{error}</div>}
+
+      {report && report.dryRun && report.valid > 0 && (
+        <button
+          disabled={busy}
+          onClick={runImport}
+          className="mt-3 px-4 py-2 rounded-full bg-black text-white text-sm disabled:opacity-40"
+        >
+          Import {report.valid} tasks
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Changes that couldn't be synced on their own: conflicts wait for the user
+// to pick a side, rejected changes are only reported.
+function SyncPanel({ token }) {
+  const { conflicts, failures } = useSyncState();
+  if (!conflicts.length && !failures.length) return null;
+
+  return (
+    <div className="mb-4 space-y-2 text-sm">
+      {conflicts.map(op => (
+        <div key={op.id} className="flex flex-wrap items-center justify-between gap-2 rounded-xl border border-red-200 bg-red-50 px-4 py-2">
+          <span>
+            "{op.local.title}" was changed elsewhere while you were offline
+            ({op.conflict.fields.join(', ')}).
+          </span>
+          <span className="flex gap-2">
+            <button onClick={() => resolveConflict(op, 'mine', token)} className="px-3 py-1 rounded-full bg-gray-900 text-white">
+              Keep mine
+            </button>
+            <button onClick={() => resolveConflict(op, 'theirs', token)} className="px-3 py-1 rounded-full border bg-white">
+              Keep theirs
+            </button>
+          </span>
+        </div>
+      ))}
+
+      {failures.map((message, i) => (
+        <div key={i} className="flex items-center justify-between gap-2 rounded-xl border border-amber-200 bg-amber-50 px-4 py-2">
+          <span>{message}</span>
+          <button
+            onClick={() => setSyncState({ failures: failures.filter((_, j) => j !== i) })}
+            className="p-1 rounded hover:bg-amber-100"
+            title="Dismiss"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// fields of a task an edit conflict is shown for
+const CONFLICT_FIELDS = ['title', 'description', 'dueDate', 'priority', 'tags', 'recurrence', 'status', 'completed'];
+
+// Someone saved the task while it was being edited. Fields only one side changed
+// are merged as they are; for fields both changed the user picks mine or theirs.
+function EditConflictDialog({ base, changes, server, tags, onResolve, onClose }) {
+  const [keepMine, setKeepMine] = useState({});
+
+  const differs = (field, a, b) => !sameValue(fieldValue(a, field), fieldValue(b, field));
+  const mineOnly = Object.keys(changes).filter(f => !differs(f, server, base) || !differs(f, server, changes));
+  const clashing = Object.keys(changes).filter(f => !mineOnly.includes(f));
+  const theirsOnly = CONFLICT_FIELDS.filter(f => !(f in changes) && differs(f, server, base));
+
+  // tag ids (mine) or populated tags (theirs) -> names, for historyValue
+  const shown = (field, value) => historyValue(field, field === 'tags'
+    ? (value || []).map(t => (t && t.name) || (tags.find(x => x._id === t) || {}).name || '?')
+    : value);
+
+  const merged = Object.fromEntries(
+    Object.entries(changes).filter(([f]) => mineOnly.includes(f) || keepMine[f])
+  );
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/20" onClick={onClose}>
+      <div className="w-full max-w-lg bg-white rounded-2xl shadow-xl p-6 animate-fadeIn" onClick={e => e.stopPropagation()}>
+        <h3 className="font-medium mb-1">"{server.title}" was changed while you were editing</h3>
+        <p className="text-xs text-gray-500 mb-4">
+          Your changes to fields nobody else touched are kept. Choose which version wins where you both changed something.
+        </p>
+
+        <ul className="space-y-3 text-sm">
+          {clashing.map(f => (
+            <li key={f} className="rounded-xl border border-red-200 bg-red-50 p-3">
+              <p className="text-xs text-gray-500 mb-1">{f}</p>
+              <label className="flex items-center gap-2">
+                <input type="radio" checked={!keepMine[f]} onChange={() => setKeepMine(k => ({ ...k, [f]: false }))} />
+                <span>Theirs: {shown(f, server[f])}</span>
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="radio" checked={!!keepMine[f]} onChange={() => setKeepMine(k => ({ ...k, [f]: true }))} />
+                <span>Mine: {shown(f, changes[f])}</span>
+              </label>
+            </li>
+          ))}
+
+          {mineOnly.map(f => (
+            <li key={f} className="text-xs text-gray-600">
+              <span className="text-gray-400">{f}:</span> {shown(f, changes[f])} <span className="text-gray-400">(yours)</span>
+            </li>
+          ))}
+
+          {theirsOnly.map(f => (
+            <li key={f} className="text-xs text-gray-600">
+              <span className="text-gray-400">{f}:</span> {shown(f, server[f])} <span className="text-gray-400">(theirs)</span>
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex flex-wrap justify-end gap-2 mt-6 text-sm">
+          <button onClick={() => onResolve({})} className="px-4 py-2 rounded-full border">
+            Discard mine
+          </button>
+          <button onClick={() => onResolve(changes)} className="px-4 py-2 rounded-full border">
+            Overwrite with mine
+          </button>
+          <button onClick={() => onResolve(merged)} className="px-4 py-2 rounded-full bg-gray-900 text-white">
+            Save merged
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const UNDO_MS = 8000; // how long the undo toast stays up
+
+function UndoToast({ message, onUndo, onClose }) {
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 rounded-full bg-gray-900 text-white text-sm px-5 py-3 shadow-lg animate-fadeIn">
+      <span>{message}</span>
+      <button onClick={onUndo} className="font-medium text-yellow-300 hover:underline">
+        Undo
+      </button>
+      <button onClick={onClose} className="p-1 rounded-full hover:bg-white/10" title="Dismiss">
+        <X size={14} />
+      </button>
+    </div>
+  );
+}
+
+// Actions for the tasks ticked in the list. Tags are added or removed, never
+// replaced, so tags already on other tasks survive a bulk retag.
+function BulkBar({ count, tags, projects, projectId, onAction, onClear }) {
+  const [tagId, setTagId] = useState('');
+  const [target, setTarget] = useState('');
+
+  // personal tasks, or any project the user can add tasks to
+  const targets = projects.filter(p => p._id !== projectId && p.role !== 'viewer');
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 bg-gray-900 text-white rounded-full px-4 py-1.5 text-sm">
+      <span className="mr-1">{count} selected</span>
+
+      <button onClick={() => onAction('complete')} className="px-2 py-0.5 rounded-full hover:bg-white/10">
+        Complete
+      </button>
+      <button onClick={() => onAction('reopen')} className="px-2 py-0.5 rounded-full hover:bg-white/10">
+        Reopen
+      </button>
+
+      {tags.length > 0 && (
+        <span className="flex items-center gap-1">
+          <select
+            className="bg-transparent border-b border-white/30 outline-none text-sm"
+            value={tagId}
+            onChange={e => setTagId(e.target.value)}
+          >
+            <option value="" className="text-black">Tag…</option>
+            {tags.map(tag => (
+              <option key={tag._id} value={tag._id} className="text-black">{tag.name}</option>
+            ))}
+          </select>
+          <button
+            disabled={!tagId}
+            onClick={() => onAction('retag', { addTags: [tagId] })}
+            className="px-2 py-0.5 rounded-full hover:bg-white/10 disabled:opacity-40"
+          >
+            Add
+          </button>
+          <button
+            disabled={!tagId}
+            onClick={() => onAction('retag', { removeTags: [tagId] })}
+            className="px-2 py-0.5 rounded-full hover:bg-white/10 disabled:opacity-40"
+          >
+            Remove
+          </button>
+        </span>
+      )}
+
+      <span className="flex items-center gap-1">
+        <select
+          className="bg-transparent border-b border-white/30 outline-none text-sm"
+          value={target}
+          onChange={e => setTarget(e.target.value)}
+        >
+          <option value="" className="text-black">Move to…</option>
+          {projectId && <option value="personal" className="text-black">Personal tasks</option>}
+          {targets.map(p => (
+            <option key={p._id} value={p._id} className="text-black">{p.name}</option>
+          ))}
+        </select>
+        <button
+          disabled={!target}
+          onClick={() => onAction('move', { project: target === 'personal' ? null : target })}
+          className="px-2 py-0.5 rounded-full hover:bg-white/10 disabled:opacity-40"
+        >
+          Move
+        </button>
+      </span>
+
+      <button onClick={() => onAction('delete')} className="px-2 py-0.5 rounded-full text-red-300 hover:bg-white/10">
+        Delete
+      </button>
+      <button onClick={onClear} className="p-1 rounded-full hover:bg-white/10" title="Clear selection">
+        <X size={14} />
+      </button>
+    </div>
+  );
+}
+
+// Render text with the [start, end) ranges from a search result marked up
+function Highlighted({ text, ranges }) {
+  if (!ranges || !ranges.length) return text;
+
+  const parts = [];
+  let pos = 0;
+  ranges.forEach(([start, end], i) => {
+    if (start > pos) parts.push(text.slice(pos, start));
+    parts.push(
+      <mark key={i} className="bg-yellow-200 rounded px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    );
+    pos = end;
+  });
+  if (pos < text.length) parts.push(text.slice(pos));
+
+  return <>{parts}</>;
+}
+
+function ProjectBar({ token, user, projects, current, onSelect, onChanged }) {
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [showMembers, setShowMembers] = useState(false);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [error, setError] = useState(null);
+
+  const isOwner = current && current.role === 'owner';
+
+  const errorOf = (r, fallback) =>
+    (r.body && (r.body.message || (r.body.errors && r.body.errors.map(x => x.msg).join(', ')))) || fallback;
+
+  const createProject = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const r = await apiFetch('/projects', token, { method: 'POST', body: JSON.stringify({ name }) });
+    if (r.ok) {
+      setName('');
+      setCreating(false);
+      await onChanged();
+      onSelect(r.body.project._id);
+    } else {
+      setError(errorOf(r, 'Create failed'));
+    }
+  };
+
+  const deleteProject = async () => {
+    if (!confirm(`Delete "${current.name}" and all of its tasks?`)) return;
+    const r = await apiFetch(`/projects/${current._id}`, token, { method: 'DELETE' });
+    if (r.ok) {
+      onSelect('');
+      onChanged();
+    } else {
+      setError(errorOf(r, 'Delete failed'));
+    }
+  };
+
+  const invite = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const r = await apiFetch(`/projects/${current._id}/members`, token, {
+      method: 'POST',
+      body: JSON.stringify({ email: inviteEmail, role: inviteRole }),
+    });
+    if (r.ok) {
+      setInviteEmail('');
+      onChanged();
+    } else {
+      setError(errorOf(r, 'Invite failed'));
+    }
+  };
+
+  const changeRole = async (member, role) => {
+    const r = await apiFetch(`/projects/${current._id}/members/${member.user._id}`, token, {
+      method: 'PUT',
+      body: JSON.stringify({ role }),
+    });
+    if (r.ok) onChanged();
+    else setError(errorOf(r, 'Update failed'));
+  };
+
+  const removeMember = async (member) => {
+    const leaving = user && member.user._id === user._id;
+    if (!confirm(leaving ? 'Leave this project?' : `Remove ${member.user.name}?`)) return;
+    const r = await apiFetch(`/projects/${current._id}/members/${member.user._id}`, token, { method: 'DELETE' });
+    if (r.ok) {
+      if (leaving) onSelect('');
+      onChanged();
+    } else {
+      setError(errorOf(r, 'Remove failed'));
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <Folder className="w-4 h-4 text-gray-500" />
+        <select
+          className="px-4 py-2 rounded-full border bg-white text-sm focus:ring-2 focus:ring-gray-900/10"
+          value={current ? current._id : ''}
+          onChange={e => {
+            setShowMembers(false);
+            onSelect(e.target.value);
+          }}
+        >
+          <option value="">Personal</option>
+          {projects.map(p => (
+            <option key={p._id} value={p._id}>{p.name}</option>
+          ))}
+        </select>
+
+        {current && (
+          <button
+            onClick={() => setShowMembers(v => !v)}
+            className="flex items-center gap-1 px-3 py-2 rounded-full text-sm hover:bg-gray-100 transition"
+          >
+            <Users className="w-4 h-4" />
+            {current.members.length}
+          </button>
+        )}
+
+        {isOwner && (
+          <button
+            onClick={deleteProject}
+            className="p-2 rounded-full hover:bg-red-50 text-red-500 transition"
+            title="Delete project"
+          >
+            <Trash2 size={16} />
+          </button>
+        )}
+
+        {creating ? (
+          <form onSubmit={createProject} className="flex items-center gap-2">
+            <input
+              autoFocus
+              className="px-3 py-2 rounded-full border text-sm focus:ring-2 focus:ring-gray-900/10"
+              placeholder="Project name"
+              value={name}
+              onChange={e => setName(e.target.value)}
+            />
+            <button type="submit" className="p-2 rounded-full bg-gray-900 text-white" title="Create">
+              <Check size={14} />
+            </button>
+            <button type="button" onClick={() => setCreating(false)} className="p-2 rounded-full bg-gray-200" title="Cancel">
+              <X size={14} />
+            </button>
+          </form>
+        ) : (
+          <button
+            onClick={() => setCreating(true)}
+            className="px-3 py-2 rounded-full text-sm hover:bg-gray-100 transition"
+          >
+            + New project
+          </button>
+        )}
+      </div>
+
+      {error && <div className="text-red-600 text-sm mt-2">{error}</div>}
+
+      {current && showMembers && (
+        <div className="mt-3 rounded-2xl border bg-gray-50 p-4 space-y-2">
+          {current.members.map(m => (
+            <div key={m.user._id} className="flex items-center justify-between gap-3 text-sm">
+              <span>
+                {m.user.name} <span className="text-gray-400">{m.user.email}</span>
+              </span>
+
+              <div className="flex items-center gap-2">
+                {isOwner && m.role !== 'owner' ? (
+                  <select
+                    className="px-2 py-1 rounded-full border bg-white text-xs"
+                    value={m.role}
+                    onChange={e => changeRole(m, e.target.value)}
+                  >
+                    <option value="editor">editor</option>
+                    <option value="viewer">viewer</option>
+                  </select>
+                ) : (
+                  <span className="text-xs text-gray-500">{m.role}</span>
+                )}
+
+                {m.role !== 'owner' && (isOwner || (user && m.user._id === user._id)) && (
+                  <button
+                    onClick={() => removeMember(m)}
+                    className="p-1 rounded-full hover:bg-red-50 text-red-500"
+                    title={user && m.user._id === user._id ? 'Leave project' : 'Remove member'}
+                  >
+                    <X size={14} />
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+
+          {isOwner && (
+            <form onSubmit={invite} className="flex flex-wrap items-center gap-2 pt-2 border-t">
+              <input
+                className="flex-1 px-3 py-1.5 rounded-full border bg-white text-sm"
+                placeholder="Invite by email"
+                value={inviteEmail}
+                onChange={e => setInviteEmail(e.target.value)}
+              />
+              <select
+                className="px-2 py-1.5 rounded-full border bg-white text-sm"
+                value={inviteRole}
+                onChange={e => setInviteRole(e.target.value)}
+              >
+                <option value="editor">Editor</option>
+                <option value="viewer">Viewer</option>
+              </select>
+              <button type="submit" className="px-3 py-1.5 rounded-full bg-gray-900 text-white text-sm">
+                Invite
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Sessions({ token, onLogoutEverywhere }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadSessions = useCallback(() =>
+    apiFetch('/auth/sessions', token).then(r => {
+      setLoading(false);
+      if (r.ok) setSessions(r.body.sessions || []);
+      else setError('Failed to load sessions');
+    }), [token]);
+
+  useEffect(() => {
+    if (token) loadSessions();
+  }, [token, loadSessions]);
+
+  const revoke = async (session) => {
+    const r = await apiFetch(`/auth/sessions/${session.id}`, token, { method: 'DELETE' });
+    if (r.ok) loadSessions();
+    else setError('Revoke failed');
+  };
+
+  return (
+    <div className="bg-white p-6 rounded shadow">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-medium">Active sessions</h2>
+        <button
+          onClick={() => {
+            if (confirm('Log out on every device, including this one?')) onLogoutEverywhere();
+          }}
+          className="px-4 py-2 rounded-full bg-red-500 text-white text-sm hover:scale-105 transition-transform"
+        >
+          Log out everywhere
+        </button>
+      </div>
+
+      {error && <div className="text-red-600 mb-3">{error}</div>}
+
+      {loading ? (
+        <div>Loading...</div>
+      ) : (
+        <div className="space-y-3">
+          {sessions.map(s => (
+            <div key={s.id} className="flex items-center justify-between gap-4 rounded-2xl border p-4">
+              <div className="flex items-start gap-3">
+                <Monitor className="w-5 h-5 text-gray-500 mt-0.5" />
+                <div>
+                  <p className="text-sm font-medium">
+                    {s.userAgent || 'Unknown device'}
+                    {s.current && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full bg-green-100 text-green-700 text-xs">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-400 mt-1">
+                    {s.ip} · last active {new Date(s.lastUsedAt).toLocaleString()}
+                  </p>
+                </div>
+              </div>
+
+              {!s.current && (
+                <button
+                  onClick={() => revoke(s)}
+                  className="p-2 rounded-lg bg-red-500 text-white hover:scale-105 transition"
+                  title="Revoke session"
+                >
+                  <X size={16} />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// lifetimes offered for new API tokens, in days (null = never expires)
+const TOKEN_LIFETIMES = [[30, '30 days'], [90, '90 days'], [365, '1 year'], [null, 'Never']];
+
+function ApiTokens({ token }) {
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState([]); // every scope the API knows
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState('');
+  const [picked, setPicked] = useState(['tasks:read']);
+  const [lifetime, setLifetime] = useState('90');
+  const [created, setCreated] = useState(null); // raw token, shown once
+  const [copied, setCopied] = useState(false);
+
+  const loadTokens = useCallback(() =>
+    apiFetch('/tokens', token).then(r => {
+      setLoading(false);
+      if (r.ok) {
+        setTokens(r.body.tokens || []);
+        setScopes(r.body.scopes || []);
+      } else {
+        setError('Failed to load tokens');
+      }
+    }), [token]);
+
+  useEffect(() => {
+    if (token) loadTokens();
+  }, [token, loadTokens]);
+
+  const togglePicked = (scope) => {
+    setPicked(p => (p.includes(scope) ? p.filter(x => x !== scope) : [...p, scope]));
+  };
+
+  const createToken = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const r = await apiFetch('/tokens', token, {
+      method: 'POST',
+      body: JSON.stringify({ name, scopes: picked, expiresInDays: lifetime ? Number(lifetime) : null }),
+    });
+    if (!r.ok) {
+      setError((r.body && (r.body.message || (r.body.errors && r.body.errors.map(x => x.msg).join(', ')))) || 'Could not create the token');
+      return;
+    }
+    setCreated(r.body.token);
+    setCopied(false);
+    setName('');
+    loadTokens();
+  };
+
+  const revoke = async (t) => {
+    if (!confirm(`Revoke "${t.name}"? Scripts using it stop working immediately.`)) return;
+    const r = await apiFetch(`/tokens/${t._id}`, token, { method: 'DELETE' });
+    if (r.ok) loadTokens();
+    else setError('Revoke failed');
+  };
+
+  const copyCreated = () => {
+    navigator.clipboard.writeText(created).then(() => setCopied(true)).catch(() => {});
+  };
+
+  const state = (t) => {
+    if (t.revokedAt) return 'revoked';
+    if (t.expiresAt && new Date(t.expiresAt) <= new Date()) return 'expired';
+    return null;
+  };
+
+  return (
+    <div className="bg-white p-6 rounded shadow">
+      <h2 className="text-lg font-medium mb-1">Personal API tokens</h2>
+      <p className="text-xs text-gray-400 mb-4">
+        For scripts and integrations: send <code>Authorization: Bearer &lt;token&gt;</code>. A token can only do what its scopes allow.
+      </p>
+
+      {error && <div className="text-red-600 mb-3">{error}</div>}
+
+      {created && (
+        <div className="mb-4 rounded-xl border border-green-200 bg-green-50 p-4 text-sm">
+          <p className="mb-2">Copy your new token now — it won't be shown again.</p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 break-all bg-white border rounded px-2 py-1">{created}</code>
+            <button onClick={copyCreated} className="p-2 rounded-lg border bg-white hover:bg-gray-50" title="Copy">
+              {copied ? <Check size={14} /> : <Copy size={14} />}
+            </button>
+            <button onClick={() => setCreated(null)} className="p-2 rounded-lg hover:bg-green-100" title="Done">
+              <X size={14} />
+            </button>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={createToken} className="mb-6 rounded-2xl border p-4 space-y-3 text-sm">
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            className="flex-1 min-w-[12rem] px-3 py-2 rounded-xl border"
+            placeholder="Token name, e.g. nightly report"
+            value={name}
+            onChange={e => setName(e.target.value)}
+          />
+          <select className="px-3 py-2 rounded-xl border bg-white" value={lifetime} onChange={e => setLifetime(e.target.value)}>
+            {TOKEN_LIFETIMES.map(([days, label]) => (
+              <option key={label} value={days || ''}>{label}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={!name.trim() || !picked.length}
+            className="px-4 py-2 rounded-full bg-gray-900 text-white disabled:opacity-40"
+          >
+            Create token
+          </button>
+        </div>
+        <div className="flex flex-wrap gap-3">
+          {scopes.map(scope => (
+            <label key={scope} className="flex items-center gap-1 text-xs">
+              <input type="checkbox" checked={picked.includes(scope)} onChange={() => togglePicked(scope)} />
+              {scope}
+            </label>
+          ))}
+        </div>
+      </form>
+
+      {loading ? (
+        <div>Loading...</div>
+      ) : tokens.length === 0 ? (
+        <p className="text-sm text-gray-500">No tokens yet.</p>
+      ) : (
+        <div className="space-y-3">
+          {tokens.map(t => (
+            <div key={t._id} className={`flex items-center justify-between gap-4 rounded-2xl border p-4 ${state(t) ? 'opacity-50' : ''}`}>
+              <div className="flex items-start gap-3">
+                <KeyRound className="w-5 h-5 text-gray-500 mt-0.5" />
+                <div>
+                  <p className="text-sm font-medium">
+                    {t.name} <code className="ml-1 text-xs text-gray-400">{t.prefix}…</code>
+                    {state(t) && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full bg-gray-100 text-gray-600 text-xs">{state(t)}</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">{t.scopes.join(', ')}</p>
+                  <p className="text-xs text-gray-400 mt-1">
+                    created {new Date(t.createdAt).toLocaleDateString()}
+                    {' · '}{t.expiresAt ? `expires ${new Date(t.expiresAt).toLocaleDateString()}` : 'never expires'}
+                    {' · '}{t.lastUsedAt ? `last used ${new Date(t.lastUsedAt).toLocaleString()}` : 'never used'}
+                  </p>
+                </div>
+              </div>
+
+              {!state(t) && (
+                <button
+                  onClick={() => revoke(t)}
+                  className="p-2 rounded-lg bg-red-500 text-white hover:scale-105 transition"
+                  title="Revoke token"
+                >
+                  <X size={16} />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Trash({ token }) {
+  const [tasks, setTasks] = useState([]);
+  const [meta, setMeta] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // everything the user can see, personal and project tasks alike
+  const loadTrash = useCallback(() =>
+    apiFetch(`/tasks/trash?project=all&page=${page}`, token).then(r => {
+      setLoading(false);
+      if (r.ok) {
+        setTasks(r.body.tasks || []);
+        setMeta(r.body.meta);
+      } else {
+        setError('Failed to load the trash');
+      }
+    }), [token, page]);
+
+  useEffect(() => {
+    if (token) loadTrash();
+  }, [token, loadTrash]);
+
+  const restore = async (task) => {
+    const r = await apiFetch(`/tasks/${task._id}/restore`, token, { method: 'POST' });
+    if (r.ok) loadTrash();
+    else setError((r.body && r.body.message) || 'Restore failed');
+  };
+
+  return (
+    <div className="bg-white p-6 rounded shadow">
+      <h2 className="text-lg font-medium mb-1">Trash</h2>
+      {meta && (
+        <p className="text-xs text-gray-400 mb-4">
+          Deleted tasks are removed for good after {meta.retentionDays} days.
+        </p>
+      )}
+
+      {error && <div className="text-red-600 mb-3">{error}</div>}
+
+      {loading ? (
+        <div>Loading...</div>
+      ) : tasks.length === 0 ? (
+        <p className="text-sm text-gray-500">The trash is empty.</p>
+      ) : (
+        <div className="space-y-3">
+          {tasks.map(t => (
+            <div key={t._id} className="flex items-center justify-between gap-4 rounded-2xl border p-4">
+              <div>
+                <p className="text-sm font-medium">{t.title}</p>
+                <p className="text-xs text-gray-400 mt-1">
+                  Deleted {new Date(t.deletedAt).toLocaleString()}
+                  {t.deletedBy && ` by ${t.deletedBy.name}`}
+                  {' · '}gone on {new Date(t.purgeAt).toLocaleDateString()}
+                </p>
+              </div>
+
+              <button
+                onClick={() => restore(t)}
+                className="flex items-center gap-1 px-3 py-1.5 rounded-lg border text-sm hover:bg-gray-50 transition"
+                title="Restore"
+              >
+                <RotateCcw size={14} /> Restore
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {meta && meta.pages > 1 && (
+        <div className="flex items-center justify-center gap-3 mt-4 text-sm">
+          <button disabled={page <= 1} onClick={() => setPage(p => p - 1)} className="px-3 py-1 rounded border disabled:opacity-40">
+            Prev
+          </button>
+          <span>{page} / {meta.pages}</span>
+          <button disabled={page >= meta.pages} onClick={() => setPage(p => p + 1)} className="px-3 py-1 rounded border disabled:opacity-40">
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const BOARD_COLUMN_LIMIT = 50;
+
+// Tasks as columns of their workflow statuses; dropping a card on another
+// column saves its new status.
+function Board({ token }) {
+  const [projects, setProjects] = useState([]);
+  const [projectId, setProjectId] = useState(''); // '' = personal tasks
+  const [statuses, setStatuses] = useState([]);
+  const [canEditWorkflow, setCanEditWorkflow] = useState(false);
+  const [columns, setColumns] = useState({}); // status key -> tasks
+  const [loading, setLoading] = useState(true);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [editingWorkflow, setEditingWorkflow] = useState(false);
+  const [error, setError] = useState(null);
+
+  const currentProject = projects.find(p => p._id === projectId) || null;
+  const canEdit = !currentProject || currentProject.role !== 'viewer';
+  const projectParam = projectId ? `project=${projectId}` : '';
+
+  useEffect(() => {
+    if (token) {
+      apiFetch('/projects', token).then(r => {
+        if (r.ok) setProjects(r.body.projects || []);
+      }).catch(() => {});
+    }
+  }, [token]);
+
+  // the workflow first, then one request per column
+  const loadBoard = useCallback(() =>
+    apiFetch(`/workflow?${projectParam}`, token)
+      .then(async w => {
+        if (!w.ok) throw new Error('Failed to load the board');
+        const lists = await Promise.all(w.body.statuses.map(s =>
+          apiFetch(`/tasks?${projectParam}&status=${s.key}&limit=${BOARD_COLUMN_LIMIT}&sort=priority:desc`, token)));
+
+        setStatuses(w.body.statuses);
+        setCanEditWorkflow(w.body.canEdit);
+        setColumns(Object.fromEntries(w.body.statuses.map((s, i) => [s.key, lists[i].ok ? lists[i].body.tasks : []])));
+      })
+      .catch(() => setError('Failed to load the board'))
+      .finally(() => setLoading(false)), [token, projectParam]);
+
+  useEffect(() => {
+    if (token) loadBoard();
+  }, [token, loadBoard]);
+
+  // keep the columns in step with changes made elsewhere
+  useTaskEvents(token, ({ type, task }) => {
+    setColumns(cols => {
+      const old = Object.values(cols).flat().find(t => t._id === task._id);
+      const next = Object.fromEntries(Object.entries(cols).map(([key, list]) => [
+        key,
+        list.filter(t => t._id !== task._id).map(t => dropDoneBlocker(t, task)),
+      ]));
+      if (type !== 'task.deleted' && (task.project || '') === projectId && next[task.status]) {
+        next[task.status] = [keepOpenBlockers(task, old), ...next[task.status]];
+      }
+      return next;
+    });
+  });
+
+  const moveTask = async (taskId, status, force = false) => {
+    const from = Object.keys(columns).find(key => columns[key].some(t => t._id === taskId));
+    if (!from || from === status) return;
+
+    const task = columns[from].find(t => t._id === taskId);
+    const before = columns;
+    // move the card right away, put it back if the server says no
+    setColumns(cols => ({
+      ...cols,
+      [from]: cols[from].filter(t => t._id !== taskId),
+      [status]: [{ ...task, status }, ...cols[status]],
+    }));
+
+    const r = await apiFetch(`/tasks/${taskId}`, token, { method: 'PUT', body: JSON.stringify({ status, force }) }).catch(() => ({ ok: false }));
+    if (!r.ok) {
+      setColumns(before);
+      if (r.status === 409 && r.body && r.body.code === 'BLOCKED') {
+        const titles = r.body.blockers.map(b => `"${b.title}"`).join(', ');
+        if (confirm(`Still waiting on ${titles}. Move it anyway?`)) moveTask(taskId, status, true);
+        return;
+      }
+      setError((r.body && r.body.message) || 'Could not move the task');
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded shadow">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-3">
+          <h2 className="text-lg font-medium">Board</h2>
+          <select
+            className="px-3 py-1.5 rounded-full border bg-white text-sm"
+            value={projectId}
+            onChange={e => {
+              setLoading(true);
+              setEditingWorkflow(false);
+              setProjectId(e.target.value);
+            }}
+          >
+            <option value="">Personal tasks</option>
+            {projects.map(p => (
+              <option key={p._id} value={p._id}>{p.name}</option>
+            ))}
+          </select>
+        </div>
+
+        {canEditWorkflow && (
+          <button
+            onClick={() => setEditingWorkflow(e => !e)}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-full text-sm hover:bg-gray-100 transition"
+          >
+            <Columns3 className="w-4 h-4" />
+            Edit columns
+          </button>
+        )}
+      </div>
+
+      {error && <div className="text-red-600 mb-3">{error}</div>}
+
+      {editingWorkflow && (
+        <WorkflowEditor
+          token={token}
+          projectParam={projectParam}
+          statuses={statuses}
+          onSaved={() => {
+            setEditingWorkflow(false);
+            loadBoard();
+          }}
+        />
+      )}
+
+      {loading ? (
+        <div>Loading...</div>
+      ) : (
+        <div className="flex gap-4 overflow-x-auto pb-2">
+          {statuses.map(s => (
+            <div
+              key={s.key}
+              onDragOver={e => {
+                if (!canEdit) return;
+                e.preventDefault();
+                setDropTarget(s.key);
+              }}
+              onDragLeave={() => setDropTarget(t => (t === s.key ? null : t))}
+              onDrop={e => {
+                e.preventDefault();
+                setDropTarget(null);
+                moveTask(e.dataTransfer.getData('text/plain'), s.key);
+              }}
+              className={`flex-shrink-0 w-64 rounded-2xl p-3 transition
+                ${dropTarget === s.key ? 'bg-yellow-50 ring-2 ring-yellow-300' : 'bg-gray-50'}`}
+            >
+              <div className="flex items-center justify-between mb-3 px-1">
+                <h3 className="text-sm font-medium">
+                  {s.name}
+                  {s.done && <Check className="inline w-3 h-3 ml-1 text-green-600" />}
+                </h3>
+                <span className="text-xs text-gray-400">{(columns[s.key] || []).length}</span>
+              </div>
+
+              <div className="space-y-2 min-h-[4rem]">
+                {(columns[s.key] || []).map(t => (
+                  <div
+                    key={t._id}
+                    draggable={canEdit}
+                    onDragStart={e => e.dataTransfer.setData('text/plain', t._id)}
+                    className={`rounded-xl border bg-white p-3 shadow-sm text-sm ${canEdit ? 'cursor-grab' : ''}`}
+                  >
+                    <p className={s.done ? 'line-through text-gray-500' : ''}>{t.title}</p>
+                    <div className="flex flex-wrap items-center gap-1 mt-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs ${PRIORITY_STYLES[t.priority] || PRIORITY_STYLES.medium}`}>
+                        {t.priority || 'medium'}
+                      </span>
+                      {t.dueDate && (
+                        <span className={`text-xs ${isOverdue(t) ? 'text-red-600' : 'text-gray-500'}`}>
+                          {new Date(t.dueDate).toLocaleDateString()}
+                        </span>
+                      )}
+                      <BlockedBadge task={t} />
+                      {(t.tags || []).map(tag => (
+                        <TagChip key={tag._id} tag={tag} />
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Calendar: tasks on the day they're due, a month (six weeks from the Sunday
+// before the 1st) or a week at a time. Dragging a task to another day moves its
+// due date, keeping the time of day; dropping it on the tray unschedules it.
+const CALENDAR_DAYS = { month: 42, week: 7 };
+const CALENDAR_CELL_LIMIT = 3; // tasks shown in a month cell before "+N more"
+const TRAY_LIMIT = 50;
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function addDays(date, n) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + n);
+  return d;
+}
+
+function calendarStart(view, anchor) {
+  const first = view === 'month' ? new Date(anchor.getFullYear(), anchor.getMonth(), 1) : startOfDay(anchor);
+  return addDays(first, -first.getDay());
+}
+
+// the new due date for a task dropped on `day`: same time of day, or the end of the day if it had none
+function dueOn(task, day) {
+  const d = new Date(day);
+  if (task.dueDate) {
+    const old = new Date(task.dueDate);
+    d.setHours(old.getHours(), old.getMinutes(), old.getSeconds(), 0);
+  } else {
+    d.setHours(23, 59, 59, 0);
+  }
+  return d.toISOString();
+}
+
+function Calendar({ token }) {
+  const [view, setView] = useState('month');
+  const [anchor, setAnchor] = useState(() => startOfDay(new Date()));
+  const [projects, setProjects] = useState([]);
+  const [projectId, setProjectId] = useState(''); // '' = personal tasks, 'all' = everything visible
+  const [tasks, setTasks] = useState([]); // due within the range shown
+  const [tray, setTray] = useState([]); // open tasks without a due date
+  const [truncated, setTruncated] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [dropTarget, setDropTarget] = useState(null); // day key, or 'tray'
+  const [expanded, setExpanded] = useState(null); // day key of a month cell showing all its tasks
+  const [error, setError] = useState(null);
+
+  const start = calendarStart(view, anchor);
+  const end = addDays(start, CALENDAR_DAYS[view]);
+  const from = start.toISOString();
+  const to = end.toISOString();
+  const days = Array.from({ length: CALENDAR_DAYS[view] }, (_, i) => addDays(start, i));
+  const today = toDateInput(new Date());
+  const projectParam = projectId ? `project=${projectId}` : '';
+
+  const roleOf = t => (t.project ? (projects.find(p => p._id === t.project) || {}).role : 'owner');
+  const canEdit = t => roleOf(t) !== 'viewer';
+  const inScope = t => projectId === 'all' || (t.project || '') === projectId;
+
+  const byDay = new Map();
+  tasks.forEach(t => {
+    const key = toDateInput(t.dueDate);
+    byDay.set(key, [...(byDay.get(key) || []), t]);
+  });
+
+  useEffect(() => {
+    if (token) {
+      apiFetch('/projects', token).then(r => {
+        if (r.ok) setProjects(r.body.projects || []);
+      }).catch(() => {});
+    }
+  }, [token]);
+
+  // the range and the tray; reloads when the range really moves (from / to are strings)
+  useEffect(() => {
+    if (!token) return;
+    Promise.all([
+      apiFetch(`/tasks?${projectParam}&from=${from}&to=${to}`, token),
+      apiFetch(`/tasks?${projectParam}&scheduled=false&completed=false&limit=${TRAY_LIMIT}&sort=priority:desc`, token),
+    ])
+      .then(([range, unscheduled]) => {
+        if (!range.ok) throw new Error('Failed to load the calendar');
+        setTasks(range.body.tasks);
+        setTruncated(range.body.meta.truncated);
+        setTray(unscheduled.ok ? unscheduled.body.tasks : []);
+      })
+      .catch(() => setError('Failed to load the calendar'))
+      .finally(() => setLoading(false));
+  }, [token, projectParam, from, to]);
+
+  // put a task where it now belongs: on its day, in the tray, or nowhere
+  const place = (task, old) => {
+    const due = task.dueDate && new Date(task.dueDate);
+    setTasks(list => {
+      const rest = list.filter(t => t._id !== task._id).map(t => dropDoneBlocker(t, task));
+      return due && due >= start && due < end ? [...rest, keepOpenBlockers(task, old)] : rest;
+    });
+    setTray(list => {
+      const rest = list.filter(t => t._id !== task._id);
+      return !due && !task.completed ? [keepOpenBlockers(task, old), ...rest] : rest;
+    });
+  };
+
+  // keep the calendar in step with changes made elsewhere
+  useTaskEvents(token, ({ type, task }) => {
+    const old = [...tasks, ...tray].find(t => t._id === task._id);
+    if (type === 'task.deleted' || !inScope(task)) {
+      setTasks(list => list.filter(t => t._id !== task._id));
+      setTray(list => list.filter(t => t._id !== task._id));
+    } else {
+      place(task, old);
+    }
+  });
+
+  // day = Date, or null to unschedule
+  const reschedule = async (taskId, day) => {
+    const task = [...tasks, ...tray].find(t => t._id === taskId);
+    if (!task || !canEdit(task)) return;
+    const dueDate = day ? dueOn(task, day) : null;
+    if (dueDate === task.dueDate || (!dueDate && !task.dueDate)) return;
+
+    const before = { tasks, tray };
+    // move it right away, put it back if the server says no
+    place({ ...task, dueDate }, task);
+
+    const r = await apiFetch(`/tasks/${taskId}`, token, { method: 'PUT', body: JSON.stringify({ dueDate }) }).catch(() => ({ ok: false }));
+    if (!r.ok) {
+      setTasks(before.tasks);
+      setTray(before.tray);
+      setError((r.body && r.body.message) || 'Could not reschedule the task');
+    }
+  };
+
+  const dropZone = key => ({
+    onDragOver: e => {
+      e.preventDefault();
+      setDropTarget(key);
+    },
+    onDragLeave: () => setDropTarget(t => (t === key ? null : t)),
+    onDrop: e => {
+      e.preventDefault();
+      setDropTarget(null);
+      reschedule(e.dataTransfer.getData('text/plain'), key === 'tray' ? null : new Date(`${key}T00:00:00`));
+    },
+  });
+
+  // the grid stays up while the next range loads; "Today" may not change the range at all
+  const shift = n => {
+    setExpanded(null);
+    setAnchor(a => (view === 'month' ? new Date(a.getFullYear(), a.getMonth() + n, 1) : addDays(a, 7 * n)));
+  };
+
+  const card = t => (
+    <div
+      key={t._id}
+      draggable={canEdit(t)}
+      onDragStart={e => e.dataTransfer.setData('text/plain', t._id)}
+      title={t.dueDate ? new Date(t.dueDate).toLocaleString() : t.title}
+      className={`rounded-lg border bg-white px-2 py-1 text-xs shadow-sm ${canEdit(t) ? 'cursor-grab' : ''}`}
+    >
+      <p className={`truncate ${t.completed ? 'line-through text-gray-400' : isOverdue(t) ? 'text-red-600' : ''}`}>{t.title}</p>
+      {(view === 'week' || (t.openBlockers || []).length > 0) && (
+        <div className="flex flex-wrap items-center gap-1 mt-1">
+          {view === 'week' && (
+            <span className={`px-2 py-0.5 rounded-full ${PRIORITY_STYLES[t.priority] || PRIORITY_STYLES.medium}`}>
+              {t.priority || 'medium'}
+            </span>
+          )}
+          <BlockedBadge task={t} />
+          {view === 'week' && (t.tags || []).map(tag => <TagChip key={tag._id} tag={tag} />)}
+        </div>
+      )}
+    </div>
+  );
+
+  const title = view === 'month'
+    ? anchor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+    : `${start.toLocaleDateString()} – ${addDays(end, -1).toLocaleDateString()}`;
+
+  return (
+    <div className="bg-white p-6 rounded shadow">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-3">
+          <h2 className="text-lg font-medium">Calendar</h2>
+          <select
+            className="px-3 py-1.5 rounded-full border bg-white text-sm"
+            value={projectId}
+            onChange={e => {
+              setLoading(true);
+              setProjectId(e.target.value);
+            }}
+          >
+            <option value="">Personal tasks</option>
+            <option value="all">Everything</option>
+            {projects.map(p => (
+              <option key={p._id} value={p._id}>{p.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex items-center gap-2 text-sm">
+          <button onClick={() => shift(-1)} className="p-1.5 rounded-full hover:bg-gray-100" title="Previous">
+            <ChevronLeft size={16} />
+          </button>
+          <button
+            onClick={() => setAnchor(startOfDay(new Date()))}
+            className="px-3 py-1 rounded-full border hover:bg-gray-50"
+          >
+            Today
+          </button>
+          <button onClick={() => shift(1)} className="p-1.5 rounded-full hover:bg-gray-100" title="Next">
+            <ChevronRight size={16} />
+          </button>
+          <span className="font-medium min-w-[10rem] text-center">{title}</span>
+          {['month', 'week'].map(v => (
+            <button
+              key={v}
+              onClick={() => {
+                if (v === view) return;
+                setLoading(true);
+                setView(v);
+              }}
+              className={`px-3 py-1 rounded-full capitalize ${v === view ? 'bg-gray-900 text-white' : 'hover:bg-gray-100'}`}
+            >
+              {v}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <div className="text-red-600 mb-3">{error}</div>}
+      {truncated && <div className="text-sm text-yellow-700 mb-3">Too many tasks in this range; only the first ones are shown.</div>}
+
+      {loading ? (
+        <div>Loading...</div>
+      ) : (
+        <div className="flex gap-4">
+          <div className="flex-1 min-w-0">
+            <div className="grid grid-cols-7 gap-1 mb-1">
+              {WEEKDAYS.map(d => (
+                <div key={d} className="text-xs text-gray-500 text-center">{d.slice(0, 3)}</div>
+              ))}
+            </div>
+            <div className="grid grid-cols-7 gap-1">
+              {days.map(day => {
+                const key = toDateInput(day);
+                const list = byDay.get(key) || [];
+                const outside = view === 'month' && day.getMonth() !== anchor.getMonth();
+                const shown = view === 'month' && expanded !== key ? list.slice(0, CALENDAR_CELL_LIMIT) : list;
+                return (
+                  <div
+                    key={key}
+                    {...dropZone(key)}
+                    className={`rounded-xl p-1.5 transition ${view === 'month' ? 'min-h-[6rem]' : 'min-h-[20rem]'}
+                      ${dropTarget === key ? 'bg-yellow-50 ring-2 ring-yellow-300' : outside ? 'bg-gray-50/50' : 'bg-gray-50'}`}
+                  >
+                    <div className={`text-xs mb-1 px-1 ${key === today ? 'font-semibold text-blue-600' : outside ? 'text-gray-300' : 'text-gray-500'}`}>
+                      {view === 'week' ? day.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) : day.getDate()}
+                    </div>
+                    <div className="space-y-1">
+                      {shown.map(card)}
+                      {shown.length < list.length && (
+                        <button onClick={() => setExpanded(key)} className="text-xs text-gray-500 hover:underline px-1">
+                          +{list.length - shown.length} more
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          <aside
+            {...dropZone('tray')}
+            className={`w-56 flex-shrink-0 rounded-2xl p-3 transition
+              ${dropTarget === 'tray' ? 'bg-yellow-50 ring-2 ring-yellow-300' : 'bg-gray-50'}`}
+          >
+            <div className="flex items-center justify-between mb-3 px-1">
+              <h3 className="text-sm font-medium">Unscheduled</h3>
+              <span className="text-xs text-gray-400">{tray.length}</span>
+            </div>
+            <div className="space-y-1 min-h-[4rem]">
+              {tray.map(card)}
+              {!tray.length && <p className="text-xs text-gray-400 px-1">Drop a task here to clear its due date.</p>}
+            </div>
+          </aside>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Rename, reorder, add and remove the columns of a workflow. Keys are kept
+// for existing columns so their tasks stay put; new columns get one from the server.
+function WorkflowEditor({ token, projectParam, statuses, onSaved }) {
+  const [rows, setRows] = useState(statuses);
+  const [error, setError] = useState(null);
+
+  const update = (i, changes) => setRows(rs => rs.map((r, j) => (j === i ? { ...r, ...changes } : r)));
+  const move = (i, by) => setRows(rs => {
+    const next = [...rs];
+    [next[i], next[i + by]] = [next[i + by], next[i]];
+    return next;
+  });
+
+  const save = async () => {
+    setError(null);
+    const r = await apiFetch(`/workflow?${projectParam}`, token, { method: 'PUT', body: JSON.stringify({ statuses: rows }) });
+    if (r.ok) onSaved();
+    else setError((r.body && (r.body.message || (r.body.errors && r.body.errors.map(x => x.msg).join(', ')))) || 'Save failed');
+  };
+
+  return (
+    <div className="mb-4 rounded-2xl border p-4 text-sm space-y-2">
+      {rows.map((row, i) => (
+        <div key={row.key || `new-${i}`} className="flex items-center gap-2">
+          <input
+            className="flex-1 px-2 py-1 border rounded"
+            value={row.name}
+            onChange={e => update(i, { name: e.target.value })}
+          />
+          <label className="flex items-center gap-1 text-xs text-gray-600">
+            <input type="checkbox" checked={row.done} onChange={e => update(i, { done: e.target.checked })} />
+            done
+          </label>
+          <button disabled={i === 0} onClick={() => move(i, -1)} className="p-1 rounded hover:bg-gray-100 disabled:opacity-30" title="Move left">
+            <ArrowUp size={14} />
+          </button>
+          <button disabled={i === rows.length - 1} onClick={() => move(i, 1)} className="p-1 rounded hover:bg-gray-100 disabled:opacity-30" title="Move right">
+            <ArrowDown size={14} />
+          </button>
+          <button
+            disabled={rows.length === 1}
+            onClick={() => setRows(rs => rs.filter((_, j) => j !== i))}
+            className="p-1 rounded hover:bg-gray-100 disabled:opacity-30"
+            title="Remove column (its tasks move to the first column of the same kind)"
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+      ))}
+
+      {error && <div className="text-red-600">{error}</div>}
+
+      <div className="flex gap-2 pt-1">
+        <button
+          onClick={() => setRows(rs => [...rs, { name: 'New column', done: false }])}
+          className="px-3 py-1 rounded-full border hover:bg-gray-50"
+        >
+          Add column
+        </button>
+        <button onClick={save} className="px-3 py-1 rounded-full bg-black text-white">
+          Save
+        </button>
+      </div>
     </div>
   );
 }